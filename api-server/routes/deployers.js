@@ -0,0 +1,79 @@
+// api-server/routes/deployers.js
+const express = require('express');
+const Deployer = require('../../shared/models/Deployer');
+const logger = require('../../shared/utils/logger');
+const { isAddress, parseLimit, parseBoolean, parseChainId } = require('../utils/query');
+
+const router = express.Router();
+
+// Sortable profile fields (all descending)
+const SORT_FIELDS = ['tokenCount', 'lastLaunchAt', 'maxLaunchesInWindow', 'peakLiquidityUsd', 'peakFdvUsd'];
+
+/**
+ * GET /api/deployers
+ * Deployer profiles, optionally only serial launchers.
+ * Query: sort, serial, chainId, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sort = req.query.sort || 'tokenCount';
+    if (!SORT_FIELDS.includes(sort)) {
+      return res.status(400).json({ error: `Invalid sort, expected one of ${SORT_FIELDS.join(', ')}` });
+    }
+
+    const filter = {};
+
+    const serial = parseBoolean(req.query.serial);
+    if (serial !== undefined) {
+      filter.isSerialLauncher = serial;
+    }
+
+    const chainId = parseChainId(req.query.chainId);
+    if (chainId === null) {
+      return res.status(400).json({ error: 'Invalid chainId' });
+    }
+    if (chainId !== undefined) {
+      filter.chainId = chainId;
+    }
+
+    const deployers = await Deployer.find(filter, { _id: 0, __v: 0 })
+      .sort({ [sort]: -1, address: 1 })
+      .limit(parseLimit(req.query.limit))
+      .maxTimeMS(30000)
+      .lean();
+
+    res.json({ data: deployers });
+  } catch (error) {
+    logger.error('Error listing deployers:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/deployers/:address
+ * A deployer's profile on every chain they launched on.
+ * Their tokens are available from /api/tokens?deployer=
+ */
+router.get('/:address', async (req, res) => {
+  try {
+    if (!isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid deployer address' });
+    }
+
+    const profiles = await Deployer.find(
+      { address: req.params.address.toLowerCase() },
+      { _id: 0, __v: 0 }
+    ).lean();
+
+    if (profiles.length === 0) {
+      return res.status(404).json({ error: 'Deployer not found' });
+    }
+
+    res.json({ data: profiles });
+  } catch (error) {
+    logger.error(`Error fetching deployer ${req.params.address}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
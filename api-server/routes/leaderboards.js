@@ -0,0 +1,62 @@
+// api-server/routes/leaderboards.js
+const express = require('express');
+const TokenPrice = require('../../shared/models/TokenPrice');
+const logger = require('../../shared/utils/logger');
+const { parseLimit } = require('../utils/query');
+
+const router = express.Router();
+
+// Leaderboards map onto the descending TokenPrice indexes
+const LEADERBOARDS = {
+  volume: 'volume_usd',
+  price: 'price_usd'
+};
+
+/**
+ * GET /api/leaderboards/:board
+ * Top tokens by 24h volume or price, joined with their Token metadata.
+ */
+router.get('/:board', async (req, res) => {
+  try {
+    const field = LEADERBOARDS[req.params.board];
+    if (!field) {
+      return res.status(404).json({ error: `Unknown leaderboard, expected one of ${Object.keys(LEADERBOARDS).join(', ')}` });
+    }
+
+    const rows = await TokenPrice.aggregate([
+      { $match: { [field]: { $gt: 0 } } },
+      { $sort: { [field]: -1 } },
+      { $limit: parseLimit(req.query.limit) },
+      {
+        // Tokens are unique per chain, not per address
+        $lookup: {
+          from: 'tokens',
+          let: { chainId: '$chainId', contractAddress: '$contractAddress' },
+          as: 'token',
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$chainId', '$$chainId'] },
+                    { $eq: ['$contractAddress', '$$contractAddress'] }
+                  ]
+                }
+              }
+            },
+            { $project: { _id: 0, name: 1, symbol: 1, decimals: 1, deployer: 1, createdAt: 1, hasV3Pool: 1 } }
+          ]
+        }
+      },
+      { $unwind: { path: '$token', preserveNullAndEmptyArrays: true } },
+      { $project: { _id: 0, __v: 0 } }
+    ]).option({ maxTimeMS: 30000 });
+
+    res.json({ data: rows });
+  } catch (error) {
+    logger.error(`Error fetching ${req.params.board} leaderboard:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,397 @@
+// api-server/routes/tokens.js
+const express = require('express');
+const Token = require('../../shared/models/Token');
+const TokenPrice = require('../../shared/models/TokenPrice');
+const TokenCandle = require('../../shared/models/TokenCandle');
+const PoolLiquidity = require('../../shared/models/PoolLiquidity');
+const Trade = require('../../shared/models/Trade');
+const TokenHolder = require('../../shared/models/TokenHolder');
+const logger = require('../../shared/utils/logger');
+const {
+  isAddress,
+  parseLimit,
+  parseBoolean,
+  parseChainId,
+  encodeCursor,
+  decodeCursor
+} = require('../utils/query');
+
+const router = express.Router();
+
+// Fields a token list can be paged by (both are indexed on Token)
+const SORT_FIELDS = {
+  createdAt: { isDate: true },
+  blockNumber: { isDate: false }
+};
+
+const LIST_PROJECTION = {
+  chainId: 1,
+  contractAddress: 1,
+  name: 1,
+  symbol: 1,
+  decimals: 1,
+  totalSupply: 1,
+  deployer: 1,
+  createdAt: 1,
+  blockNumber: 1,
+  hasV3Pool: 1,
+  holderCount: 1,
+  top10HolderShare: 1,
+  deployerShare: 1,
+  riskScore: 1,
+  riskLevel: 1
+};
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Attach TokenPrice rows to a list of tokens
+ * @param {Array} tokens - Lean token documents
+ * @returns {Promise<Array>} Tokens with a `price` field (null when unpriced)
+ */
+async function attachPrices(tokens) {
+  const prices = await TokenPrice.find({
+    contractAddress: { $in: tokens.map(token => token.contractAddress) }
+  }).lean();
+
+  // The same address can be priced on several chains
+  const keyOf = doc => `${doc.chainId}:${doc.contractAddress}`;
+  const byToken = new Map(prices.map(price => [keyOf(price), price]));
+  return tokens.map(token => ({
+    ...token,
+    price: byToken.get(keyOf(token)) || null
+  }));
+}
+
+/**
+ * Find the token an /:address route refers to. Tokens are unique per chain, so
+ * `?chainId=` picks the chain; without it the address must exist on only one.
+ * Sends the 400/404/409 response itself when there is no single match.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [projection] - Token fields to load (chainId is always included)
+ * @returns {Promise<Object|null>} Lean token document, or null when a response was sent
+ */
+async function findToken(req, res, projection) {
+  if (!isAddress(req.params.address)) {
+    res.status(400).json({ error: 'Invalid token address' });
+    return null;
+  }
+
+  const chainId = parseChainId(req.query.chainId);
+  if (chainId === null) {
+    res.status(400).json({ error: 'Invalid chainId' });
+    return null;
+  }
+
+  const filter = { contractAddress: req.params.address.toLowerCase() };
+  if (chainId !== undefined) filter.chainId = chainId;
+
+  const tokens = await Token.find(filter, projection ? { ...projection, chainId: 1, contractAddress: 1 } : undefined)
+    .limit(10)
+    .maxTimeMS(30000)
+    .lean();
+
+  if (tokens.length === 0) {
+    res.status(404).json({ error: 'Token not found' });
+    return null;
+  }
+  if (tokens.length > 1) {
+    res.status(409).json({
+      error: 'Token exists on several chains, pass chainId',
+      chainIds: tokens.map(token => token.chainId)
+    });
+    return null;
+  }
+
+  return tokens[0];
+}
+
+/**
+ * GET /api/tokens
+ * Newest-first token list paged by createdAt or blockNumber.
+ * Query: sort, limit, cursor, deployer, hasV3Pool, riskLevel
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sort = SORT_FIELDS[req.query.sort] ? req.query.sort : 'createdAt';
+    const limit = parseLimit(req.query.limit);
+
+    const filter = {};
+
+    if (req.query.deployer) {
+      if (!isAddress(req.query.deployer)) {
+        return res.status(400).json({ error: 'Invalid deployer address' });
+      }
+      filter.deployer = req.query.deployer.toLowerCase();
+    }
+
+    const hasV3Pool = parseBoolean(req.query.hasV3Pool);
+    if (hasV3Pool !== undefined) {
+      filter.hasV3Pool = hasV3Pool;
+    }
+
+    if (req.query.riskLevel) {
+      if (!RISK_LEVELS.includes(req.query.riskLevel)) {
+        return res.status(400).json({ error: `riskLevel must be one of ${RISK_LEVELS.join(', ')}` });
+      }
+      filter.riskLevel = req.query.riskLevel;
+    }
+
+    if (req.query.cursor) {
+      const cursorFilter = decodeCursor(req.query.cursor, sort, SORT_FIELDS[sort].isDate);
+      if (!cursorFilter) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      Object.assign(filter, cursorFilter);
+    }
+
+    const tokens = await Token.find(filter, LIST_PROJECTION)
+      .sort({ [sort]: -1, _id: -1 })
+      .limit(limit)
+      .maxTimeMS(30000)
+      .lean();
+
+    const nextCursor = tokens.length === limit
+      ? encodeCursor(tokens[tokens.length - 1], sort)
+      : null;
+
+    res.json({
+      data: await attachPrices(tokens),
+      nextCursor
+    });
+  } catch (error) {
+    logger.error('Error listing tokens:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/tokens/search?q=
+ * Full-text search over symbol and name using the Token text index.
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (!q) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const tokens = await Token.find(
+      { $text: { $search: q } },
+      { ...LIST_PROJECTION, score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(parseLimit(req.query.limit))
+      .maxTimeMS(30000)
+      .lean();
+
+    res.json({ data: await attachPrices(tokens) });
+  } catch (error) {
+    logger.error('Error searching tokens:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/tokens/:address
+ * Token detail including its DEX pools, current price, holder stats and risk breakdown.
+ * Query: chainId (required when the address exists on several chains)
+ */
+router.get('/:address', async (req, res) => {
+  try {
+    const token = await findToken(req, res);
+    if (!token) return;
+
+    const price = await TokenPrice.findOne({ chainId: token.chainId, contractAddress: token.contractAddress }).lean();
+
+    res.json({
+      data: {
+        ...token,
+        v3Pools: token.v3Pools || [],
+        price: price || null
+      }
+    });
+  } catch (error) {
+    logger.error(`Error fetching token ${req.params.address}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/tokens/:address/candles
+ * OHLCV candles for a token. Query: chainId, resolution (1m|5m|1h|1d), from, to, limit
+ */
+router.get('/:address/candles', async (req, res) => {
+  try {
+    const token = await findToken(req, res, { _id: 1 });
+    if (!token) return;
+
+    const resolution = req.query.resolution || '1h';
+    if (!TokenCandle.RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({ error: `resolution must be one of ${TokenCandle.RESOLUTIONS.join(', ')}` });
+    }
+
+    const filter = {
+      chainId: token.chainId,
+      contractAddress: token.contractAddress,
+      resolution
+    };
+
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({ error: 'from/to must be valid dates' });
+      }
+
+      filter.bucketStart = {};
+      if (from) filter.bucketStart.$gte = from;
+      if (to) filter.bucketStart.$lte = to;
+    }
+
+    const candles = await TokenCandle.find(filter, { _id: 0, __v: 0, expiresAt: 0 })
+      .sort({ bucketStart: -1 })
+      .limit(parseLimit(req.query.limit))
+      .maxTimeMS(30000)
+      .lean();
+
+    res.json({ data: candles.reverse() });
+  } catch (error) {
+    logger.error(`Error fetching candles for ${req.params.address}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/tokens/:address/trades
+ * Indexed swaps for a token, newest first. Query: chainId, side (buy|sell), trader, before, limit
+ */
+router.get('/:address/trades', async (req, res) => {
+  try {
+    const token = await findToken(req, res, { _id: 1 });
+    if (!token) return;
+
+    const filter = { chainId: token.chainId, contractAddress: token.contractAddress };
+
+    if (req.query.side) {
+      if (!['buy', 'sell'].includes(req.query.side)) {
+        return res.status(400).json({ error: 'side must be buy or sell' });
+      }
+      filter.side = req.query.side;
+    }
+
+    if (req.query.trader) {
+      if (!isAddress(req.query.trader)) {
+        return res.status(400).json({ error: 'Invalid trader address' });
+      }
+      filter.trader = req.query.trader.toLowerCase();
+    }
+
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before)) {
+        return res.status(400).json({ error: 'before must be a valid date' });
+      }
+      filter.timestamp = { $lt: before };
+    }
+
+    const trades = await Trade.find(filter, { _id: 0, __v: 0, expiresAt: 0, createdAt: 0, updatedAt: 0 })
+      .sort({ timestamp: -1, logIndex: -1 })
+      .limit(parseLimit(req.query.limit))
+      .maxTimeMS(30000)
+      .lean();
+
+    res.json({ data: trades });
+  } catch (error) {
+    logger.error(`Error fetching trades for ${req.params.address}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/tokens/:address/holders
+ * Largest holders of a token with their share of total supply. Query: chainId, limit
+ */
+router.get('/:address/holders', async (req, res) => {
+  try {
+    const token = await findToken(req, res, { totalSupply: 1, holderCount: 1, holdersUpdatedAt: 1 });
+    if (!token) return;
+
+    const holders = await TokenHolder.find(
+      { chainId: token.chainId, contractAddress: token.contractAddress, balanceValue: { $gt: 0 } },
+      { _id: 0, address: 1, balance: 1, balanceValue: 1 }
+    )
+      .sort({ balanceValue: -1 })
+      .limit(parseLimit(req.query.limit))
+      .maxTimeMS(30000)
+      .lean();
+
+    const supply = token.totalSupply ? Number(token.totalSupply) : 0;
+
+    res.json({
+      data: holders.map(holder => ({
+        address: holder.address,
+        balance: holder.balance,
+        share: supply > 0 ? holder.balanceValue / supply : null
+      })),
+      holderCount: token.holderCount != null ? token.holderCount : null,
+      updatedAt: token.holdersUpdatedAt || null
+    });
+  } catch (error) {
+    logger.error(`Error fetching holders for ${req.params.address}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/tokens/:address/liquidity
+ * Pool state history for a token, newest first. Each record is a refresh that
+ * saw the pool change; `liquidityPulled` marks large quote reserve drops.
+ * Query: chainId, pool, pulled, from, to, limit
+ */
+router.get('/:address/liquidity', async (req, res) => {
+  try {
+    const token = await findToken(req, res, { _id: 1 });
+    if (!token) return;
+
+    const filter = { chainId: token.chainId, contractAddress: token.contractAddress };
+
+    if (req.query.pool) {
+      if (!isAddress(req.query.pool)) {
+        return res.status(400).json({ error: 'Invalid pool address' });
+      }
+      filter.poolAddress = req.query.pool.toLowerCase();
+    }
+
+    const pulled = parseBoolean(req.query.pulled);
+    if (pulled !== undefined) {
+      filter.liquidityPulled = pulled;
+    }
+
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({ error: 'from/to must be valid dates' });
+      }
+
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lte = to;
+    }
+
+    const history = await PoolLiquidity.find(filter, { _id: 0, __v: 0, expiresAt: 0, createdAt: 0, updatedAt: 0 })
+      .sort({ timestamp: -1 })
+      .limit(parseLimit(req.query.limit))
+      .maxTimeMS(30000)
+      .lean();
+
+    res.json({ data: history });
+  } catch (error) {
+    logger.error(`Error fetching liquidity history for ${req.params.address}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+// api-server/server.js
+require('dotenv').config();
+const express = require('express');
+const db = require('../shared/config/db');
+const logger = require('../shared/utils/logger');
+
+const PORT = process.env.PORT || 3000;
+
+// Wrap everything in an async IIFE (Immediately Invoked Function Expression)
+(async function() {
+  try {
+    // Set service name for logging (every line carries it, so before anything logs)
+    process.env.SERVICE_NAME = 'api-server';
+
+    // Connect to database FIRST, before importing any models
+    await db.connectToDatabase();
+
+    // Only import routes (and their models) AFTER connection is established
+    const tokenRoutes = require('./routes/tokens');
+    const leaderboardRoutes = require('./routes/leaderboards');
+    const deployerRoutes = require('./routes/deployers');
+
+    const app = express();
+    app.disable('x-powered-by');
+
+    app.use('/api/tokens', tokenRoutes);
+    app.use('/api/leaderboards', leaderboardRoutes);
+    app.use('/api/deployers', deployerRoutes);
+
+    // Unknown routes
+    app.use((req, res) => {
+      res.status(404).json({ error: 'Not found' });
+    });
+
+    // Last-resort error handler
+    app.use((err, req, res, next) => {
+      logger.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+      res.status(500).json({ error: 'Internal server error' });
+    });
+
+    const server = app.listen(PORT, () => {
+      logger.info(`API server listening on port ${PORT}`);
+    });
+
+    // Handle graceful shutdown
+    process.on('SIGTERM', async () => {
+      logger.info('SIGTERM received, shutting down');
+      server.close(async () => {
+        try {
+          await db.closeConnection();
+          process.exit(0);
+        } catch (err) {
+          logger.error('Error during shutdown:', err);
+          process.exit(1);
+        }
+      });
+    });
+
+  } catch (error) {
+    logger.error('Error starting API server:', error);
+    process.exit(1);
+  }
+})();
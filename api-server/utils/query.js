@@ -0,0 +1,89 @@
+// api-server/utils/query.js
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Check that a value looks like an EVM address
+ * @param {string} value - Candidate address
+ * @returns {boolean}
+ */
+function isAddress(value) {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+}
+
+/**
+ * Parse the `limit` query parameter, clamped to MAX_LIMIT
+ * @param {string} value - Raw query value
+ * @returns {number}
+ */
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit <= 0) return DEFAULT_LIMIT;
+  return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * Parse a boolean query parameter ("true"/"false")
+ * @param {string} value - Raw query value
+ * @returns {boolean|undefined} undefined when absent or unrecognised
+ */
+function parseBoolean(value) {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+}
+
+/**
+ * Parse the `chainId` query parameter
+ * @param {string} value - Raw query value
+ * @returns {number|null|undefined} undefined when absent, null when not an integer
+ */
+function parseChainId(value) {
+  if (value === undefined || value === '') return undefined;
+  const chainId = Number(value);
+  return Number.isInteger(chainId) ? chainId : null;
+}
+
+/**
+ * Encode a keyset cursor from the last document of a page
+ * @param {Object} doc - Last document on the page
+ * @param {string} field - Sort field
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(doc, field) {
+  const value = doc[field] instanceof Date ? doc[field].toISOString() : doc[field];
+  return Buffer.from(JSON.stringify({ v: value, id: String(doc._id) })).toString('base64url');
+}
+
+/**
+ * Decode a keyset cursor into a query continuing a descending sort
+ * @param {string} cursor - Opaque cursor from encodeCursor
+ * @param {string} field - Sort field
+ * @param {boolean} isDate - Whether the sort field holds dates
+ * @returns {Object|null} Mongo filter, or null if the cursor is invalid
+ */
+function decodeCursor(cursor, field, isDate) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const value = isDate && v != null ? new Date(v) : v;
+
+    return {
+      $or: [
+        { [field]: { $lt: value } },
+        { [field]: value, _id: { $lt: id } }
+      ]
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  isAddress,
+  parseLimit,
+  parseBoolean,
+  parseChainId,
+  encodeCursor,
+  decodeCursor
+};
@@ -1,405 +1,326 @@
 // blockchain-collector/collector.js
 require('dotenv').config();
-const cron = require('node-cron');
-const mongoose = require('mongoose');
-const axios = require('axios');
 const db = require('../shared/config/db');
-const { ethers } = require('ethers');
+const constants = require('../shared/config/constants');
+const chainsConfig = require('../shared/config/chains');
 const logger = require('../shared/utils/logger');
-const fs = require('fs').promises;
-const path = require('path');
+const lifecycle = require('./utils/lifecycle');
 
 // Wrap everything in an async IIFE (Immediately Invoked Function Expression)
 (async function() {
   try {
+    // Set service name for logging (every line carries it, so before anything logs)
+    process.env.SERVICE_NAME = 'blockchain-collector';
+    
     // Connect to database FIRST, before importing any models
     await db.connectToDatabase();
     
+    // SIGTERM/SIGINT drain in-flight work through the shutdown steps registered below
+    lifecycle.installSignalHandlers();
+    
     // Only import models AFTER connection is established
-    const Token = require('../shared/models/Token');
     const tokenStorageService = require('./services/tokenStorageService');
     const poolService = require('./services/poolService');
+    const poolRefreshService = require('./services/poolRefreshService');
+    const swapService = require('./services/swapService');
+    const holderService = require('./services/holderService');
+    const riskService = require('./services/riskService');
+    const alertService = require('./services/alertService');
+    const priceService = require('./services/priceService');
+    const priceEngine = require('./services/priceEngine');
+    const candleService = require('./services/candleService');
+    const websocketServer = require('./services/websocketServer');
+    const healthServer = require('./services/healthServer');
+    const jobRunner = require('./services/jobRunner');
+    const blockchainService = require('./services/blockchainService');
+    const blockStateService = require('./services/blockStateService');
+    const tokenScannerService = require('./services/tokenScannerService');
+    const tokenMetadataService = require('./services/tokenMetadataService');
+    const deployerService = require('./services/deployerService');
+    const deployerAnalyticsService = require('./services/deployerAnalyticsService');
+    const rpc = require('./utils/rpc');
     
-    // Set service name for logging
-    process.env.SERVICE_NAME = 'blockchain-collector';
+    // One scanning pipeline per enabled factory on every configured chain
+    const pipelines = chainsConfig.getEnabledFactories().map(({ chain, factory }) =>
+      tokenScannerService.createPipeline(chain, factory)
+    );
     
-    // Define the factory address
-    const FACTORY_ADDRESS = '0x9bd7dCc13c532F37F65B0bF078C8f83E037e7445';
+    // Chains that have at least one enabled factory
+    const activeChains = chainsConfig.chains.filter(chain =>
+      pipelines.some(pipeline => pipeline.chain.chainId === chain.chainId)
+    );
     
-    // Define the TokenCreated event signature
-    const TOKEN_CREATED_EVENT = 'TokenCreated(address,uint256,address,string,string,uint256,address,uint256)';
-
-    // Define the KOA factory interface for decoding
-    const koaFactoryInterface = new ethers.Interface([
-      "function deployToken(string _name, string _symbol, uint256 _supply, int24 _initialTick, uint24 _fee, bytes32 _salt, address _deployer, address _recipient, uint256 _recipientAmount) payable returns (address tokenAddress, uint256 tokenId)"
-    ]);
-    
-    // State file path
-    const STATE_FILE = path.join(__dirname, '../../state/blockState.json');
-
-    // Rate limiting configuration
-    const RATE_LIMIT = {
-      initialDelay: 1000, // 1 second
-      maxDelay: 30000,    // 30 seconds
-      backoffFactor: 1.5  // Exponential backoff factor
-    };
-
-    // Batch processing configuration
-    const BATCH_CONFIG = {
-      maxBatchSize: 50,    // Maximum tokens to process in one batch
-      minBatchSize: 10,    // Minimum tokens to process in one batch
-      batchTimeout: 5000   // 5 seconds timeout for batch processing
-    };
-
-    // Map of known transaction hashes to their correct deployer addresses
-    const KNOWN_DEPLOYERS = {
-      '0xd45006335d15893457b4cf57bd2528f26432c99ac3b8b086a27ac99bff5bf385': '0x86e8d2532D531ECEBa1316f5E545C8AF7B650146',
-      '0x27257bcbb52cff88ac7272cfa53fafad83a141d1778593ebb74e2ecbf159cc53': '0xCA5799410f108E44Ca5fb1FF38f96c3aC5926Fac',
-      '0x26ba12be030c1ad051d20a97df802661236f98b4c1117c39b9ed05506a354aa2': '0xe5351fbA63916F69A9f4A437d5BB5E2da5a0672f',
-      '0xd1392dd1936c7841588a11a65cb252c5dddd9ede0a010727da38b2a154254d09': '0x01eEbDB7F6855f1DdFD38C1131d67E8Ed462eC5E'
-    };
-
-    // Addresses to exclude as deployers (even if found in transaction data)
-    const EXCLUDED_DEPLOYERS = [
-      '0x903878B49BBA6c55d14857fBc25805De7825e231'.toLowerCase(),
-      '0x0000000000000000000000000000000000000000'.toLowerCase()
-    ];
-
-    // Function to check if an address should be excluded as a deployer
-    function shouldExcludeAddress(address) {
-      if (!address) return true;
-      
-      const normalizedAddress = address.toLowerCase();
-      return EXCLUDED_DEPLOYERS.includes(normalizedAddress);
-    }
-
-    async function getDeployerFromTransaction(txHash, provider) {
-      try {
-        // Check cache first
-        if (!global.deployerCache) {
-          global.deployerCache = new Map();
-        }
-        
-        if (global.deployerCache.has(txHash)) {
-          return global.deployerCache.get(txHash);
-        }
-        
-        // Check if this is a known transaction with a verified deployer
-        const normalizedTxHash = txHash.toLowerCase();
-        if (KNOWN_DEPLOYERS[normalizedTxHash]) {
-          const knownDeployer = KNOWN_DEPLOYERS[normalizedTxHash];
-          logger.info(`Using known deployer ${knownDeployer} for transaction ${txHash}`);
-          global.deployerCache.set(txHash, knownDeployer);
-          return knownDeployer;
-        }
-        
-        // Get transaction
-        logger.info(`Fetching transaction details for ${txHash}`);
-        const tx = await provider.getTransaction(txHash);
-        
-        if (!tx || !tx.data) {
-          logger.warn(`No transaction data found for ${txHash}`);
-          return null;
-        }
-        
-        const inputData = tx.data;
-        logger.info(`Got transaction input data for ${txHash}, length: ${inputData.length}`);
-        
-        // Method ID is the first 4 bytes (8 hex characters) after "0x"
-        const methodId = inputData.slice(0, 10);
-        logger.info(`Method ID: ${methodId}`);
-        
-        // For the KOA factory deployToken method (0xaaf29850), we can decode the parameters
-        if (methodId === '0xaaf29850') {
-          try {
-            // Decode the transaction input
-            const decoded = koaFactoryInterface.parseTransaction({ data: inputData });
-            
-            if (decoded && decoded.args) {
-              // Log all the decoded parameters for debugging
-              logger.info(`Decoded transaction parameters for ${txHash}:`);
-              for (let i = 0; i < decoded.args.length; i++) {
-                const argValue = decoded.args[i] ? 
-                  (typeof decoded.args[i] === 'object' && decoded.args[i].toString ? 
-                    decoded.args[i].toString() : 
-                    String(decoded.args[i])) 
-                  : 'null';
-                
-                // Fixed: avoid referencing function fragment inputs directly
-                const paramName = i === 6 ? '_deployer' : `param${i}`;
-                logger.info(`  Param #${i} (${paramName}): ${argValue}`);
-              }
-              
-              // The _deployer address should be the 7th parameter (index 6)
-              if (decoded.args.length > 6 && decoded.args[6]) {
-                const deployer = decoded.args[6];
-                logger.info(`Found _deployer parameter from transaction: ${deployer}`);
-                
-                // Verify this is a valid address and not an excluded address
-                if (ethers.isAddress(deployer) && !shouldExcludeAddress(deployer)) {
-                  global.deployerCache.set(txHash, deployer);
-                  return deployer;
-                } else {
-                  logger.info(`_deployer parameter ${deployer} is excluded or invalid`);
-                }
-              }
-            }
-          } catch (decodeError) {
-            logger.error(`Error decoding transaction input: ${decodeError.message}`);
-            logger.error(decodeError.stack);
-          }
+    /**
+     * Index new pools containing tracked tokens from each chain's DEX factory logs,
+     * then update risk scores
+     * @param {Object} run - Job run context
+     */
+    async function discoverPools(run) {
+      for (const chain of activeChains) {
+        try {
+          const provider = rpc.createProvider(chain);
+          
+          // Pool discovery never scans past the chain's token cursors
+          const tokenCursorKeys = pipelines
+            .filter(pipeline => pipeline.chain.chainId === chain.chainId)
+            .map(pipeline => pipeline.cursorKey);
+          
+          await poolService.discoverPools(chain, tokenCursorKeys, provider);
+          
+          // Rescore tokens whose pools, holders or deployer history changed
+          run.record(await riskService.scoreTokens(chain, provider));
+        } catch (error) {
+          run.count('errors');
+          logger.error(`Error discovering ${chain.name} pools:`, error);
         }
-        
-        return null;
-      } catch (error) {
-        logger.error(`Error getting deployer from transaction: ${error.message}`);
-        return null;
       }
     }
     
-    // Get the last processed block number
-    async function getLastProcessedBlock() {
-      try {
-        const data = await fs.readFile(STATE_FILE, 'utf8');
-        return JSON.parse(data).lastBlock;
-      } catch (error) {
-        // If file doesn't exist, return 0
-        return 0;
+    /**
+     * Refresh pool state for due tokens and re-check tokens that have no pool yet
+     * @param {Object} run - Job run context
+     */
+    async function refreshPools(run) {
+      for (const chain of activeChains) {
+        try {
+          const provider = rpc.createProvider(chain);
+          run.record(await poolRefreshService.refreshPools(chain, provider));
+        } catch (error) {
+          run.count('errors');
+          logger.error(`Error refreshing ${chain.name} pools:`, error);
+        }
       }
     }
-
-    // Save the last processed block number
-    async function saveLastProcessedBlock(blockNumber) {
-      try {
-        await fs.mkdir(path.dirname(STATE_FILE), { recursive: true });
-        await fs.writeFile(STATE_FILE, JSON.stringify({ lastBlock: blockNumber }));
-      } catch (error) {
-        logger.error('Error saving last processed block:', error);
+    
+    /**
+     * Index new swaps and recompute rolling trade stats
+     * @param {Object} run - Job run context
+     */
+    async function indexSwaps(run) {
+      // GeckoTerminal volumes win when it is the price source
+      const priceSource = process.env.PRICE_SOURCE || constants.PRICE_SOURCE;
+      
+      for (const chain of activeChains) {
+        try {
+          const provider = rpc.createProvider(chain);
+          await swapService.indexSwaps(chain, provider);
+          run.record(await swapService.updateTradeStats(chain, { includeVolume: priceSource === 'onchain' }));
+        } catch (error) {
+          run.count('errors');
+          logger.error(`Error indexing ${chain.name} swaps:`, error);
+        }
       }
     }
-
-    // Process tokens in batches with rate limiting
-    async function processTokensInBatches(tokens, provider) {
-      const batches = [];
-      for (let i = 0; i < tokens.length; i += BATCH_CONFIG.maxBatchSize) {
-        batches.push(tokens.slice(i, i + BATCH_CONFIG.maxBatchSize));
-      }
-
-      let delay = RATE_LIMIT.initialDelay;
-      for (const batch of batches) {
+    
+    /**
+     * Follow Transfer logs into holder balances and per-token holder stats
+     * @param {Object} run - Job run context
+     */
+    async function indexHolders(run) {
+      for (const pipeline of pipelines) {
         try {
-          // Process the batch
-          await tokenStorageService.storeTokens(batch);
-          logger.info(`Processed batch of ${batch.length} tokens`);
-
-          // Add delay between batches
-          if (batches.indexOf(batch) < batches.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, delay));
-            delay = Math.min(delay * RATE_LIMIT.backoffFactor, RATE_LIMIT.maxDelay);
-          }
+          const provider = rpc.createProvider(pipeline.chain);
+          await holderService.indexHolders(pipeline, provider);
         } catch (error) {
-          logger.error('Error processing batch:', error);
-          // On error, increase delay more aggressively
-          delay = Math.min(delay * RATE_LIMIT.backoffFactor * 2, RATE_LIMIT.maxDelay);
+          run.count('errors');
+          pipeline.log.error('Error indexing holders:', error);
         }
       }
     }
-
+    
     /**
-     * Fetch tokens deployed by KOA factory
+     * Refresh token prices from the configured price source
+     * @param {Object} run - Job run context
      */
-    async function fetchAndStoreTokens() {
-      try {
-        logger.info('Fetching tokens deployed by KOA factory...');
-        
-        // Create a provider with rate limiting
-        const provider = new ethers.JsonRpcProvider(process.env.BASE_RPC_URL);
-        
-        // Calculate the event topic
-        const eventTopic = ethers.id(TOKEN_CREATED_EVENT);
-        
-        // Get the current block number
-        const currentBlock = await provider.getBlockNumber();
-        logger.info(`Current block: ${currentBlock}`);
-        
-        // Get last processed block
-        const lastProcessedBlock = await getLastProcessedBlock();
-        logger.info(`Last processed block: ${lastProcessedBlock}`);
-        
-        // If we're up to date, no need to scan
-        if (currentBlock <= lastProcessedBlock) {
-          logger.info('Already up to date with blockchain');
-          return;
-        }
-        
-        // Calculate scan range (with a maximum limit)
-        const MAX_BLOCKS_PER_SCAN = 500; // Scan last 500 blocks
-        
-        const scanRange = Math.min(
-          currentBlock - lastProcessedBlock,
-          MAX_BLOCKS_PER_SCAN
-        );
-        
-        const startBlock = Math.max(0, currentBlock - scanRange);
-        logger.info(`Scanning blocks ${startBlock} to ${currentBlock} [${scanRange} blocks]`);
-        
-        // Process in chunks to avoid timeout issues
-        const CHUNK_SIZE = 1000;
-        const allTokens = [];
-        
-        for (let chunkStart = startBlock; chunkStart < currentBlock; chunkStart += CHUNK_SIZE) {
-          const chunkEnd = Math.min(chunkStart + CHUNK_SIZE - 1, currentBlock);
-          
-          logger.info(`Processing block chunk ${chunkStart} to ${chunkEnd} [${chunkEnd - chunkStart + 1} blocks]`);
-          
-          try {
-            // Query for events in this chunk
-            const filter = {
-              address: FACTORY_ADDRESS,
-              topics: [eventTopic],
-              fromBlock: chunkStart,
-              toBlock: chunkEnd
-            };
-            
-            // Get logs for this chunk
-            const logs = await provider.getLogs(filter);
-            logger.info(`Found ${logs.length} token creation events in blocks ${chunkStart}-${chunkEnd}`);
-            
-            // Process the logs
-            for (const log of logs) {
-              try {
-                // The event parameters are ABI encoded in the data field
-                const decodedData = ethers.AbiCoder.defaultAbiCoder().decode(
-                  ['address', 'uint256', 'address', 'string', 'string', 'uint256', 'address', 'uint256'],
-                  log.data
-                );
-                
-                const tokenAddress = decodedData[0];
-                const name = decodedData[3];
-                const symbol = decodedData[4];
-                const supply = decodedData[5];
-                
-                // Get deployer from transaction
-                const deployer = await getDeployerFromTransaction(log.transactionHash, provider);
-                
-                const tokenData = {
-                  contractAddress: tokenAddress.toLowerCase(),
-                  name: name,
-                  symbol: symbol,
-                  decimals: 18,
-                  supply: supply.toString(),
-                  deployer: deployer ? deployer.toLowerCase() : null,
-                  createdAt: new Date(),
-                  transactionHash: log.transactionHash,
-                  blockNumber: log.blockNumber
-                };
-                
-                allTokens.push(tokenData);
-              } catch (error) {
-                logger.error(`Error decoding event data:`, error);
-              }
-            }
-            
-            // Add delay between chunks to avoid rate limiting
-            if (chunkEnd < currentBlock) {
-              const delay = Math.min(
-                RATE_LIMIT.initialDelay * Math.pow(RATE_LIMIT.backoffFactor, Math.floor((chunkEnd - startBlock) / CHUNK_SIZE)),
-                RATE_LIMIT.maxDelay
-              );
-              await new Promise(resolve => setTimeout(resolve, delay));
-            }
-          } catch (error) {
-            logger.error(`Error processing block chunk ${chunkStart}-${chunkEnd}:`, error);
-            // On error, wait longer before next chunk
-            await new Promise(resolve => setTimeout(resolve, RATE_LIMIT.maxDelay));
+    async function updateTokenPrices(run) {
+      const priceSource = process.env.PRICE_SOURCE || constants.PRICE_SOURCE;
+      
+      for (const chain of activeChains) {
+        try {
+          if (priceSource === 'geckoterminal') {
+            run.record(await priceService.updateTokenPrices(chain));
+            continue;
           }
+          
+          // Derive prices from DEX pools without any external API
+          const provider = rpc.createProvider(chain);
+          run.record(await priceEngine.updateOnChainPrices(provider, chain));
+        } catch (error) {
+          run.count('errors');
+          logger.error(`Error updating ${chain.name} token prices:`, error);
         }
-        
-        // Process all found tokens in batches
-        if (allTokens.length > 0) {
-          await processTokensInBatches(allTokens, provider);
-          logger.info(`Processed ${allTokens.length} tokens from blocks ${startBlock} to ${currentBlock}`);
-        } else {
-          logger.info('No new tokens found');
-        }
-        
-        // Save the last processed block
-        await saveLastProcessedBlock(currentBlock);
-        
-      } catch (error) {
-        logger.error('Error in fetchAndStoreTokens:', error);
       }
     }
     
     /**
-     * Find V3 pools for existing tokens that haven't been checked yet
+     * Scan every pipeline for new tokens
+     * @param {Object} run - Job run context
      */
-    async function updateExistingTokenPools() {
-      try {
-        logger.info('Checking for V3 pools for existing tokens...');
-        
-        // Create provider for querying pools
-        const provider = new ethers.JsonRpcProvider(process.env.BASE_RPC_URL);
-        
-        // Get tokens that haven't been checked for pools yet
-        const tokensToCheck = await Token.find(
-          { hasV3Pool: { $exists: false } },
-          null,
-          { limit: 50 }  // Process in batches of 50
-        );
-        
-        if (tokensToCheck.length === 0) {
-          logger.info('No unchecked tokens found for pool lookup');
-          return;
-        }
-        
-        logger.info(`Found ${tokensToCheck.length} tokens to check for V3 pools`);
-        
-        // Process tokens
-        await poolService.processTokenPools(tokensToCheck, provider);
-        
-      } catch (error) {
-        logger.error('Error updating existing token pools:', error);
+    async function fetchAndStoreTokens(run) {
+      for (const pipeline of pipelines) {
+        run.record(await tokenScannerService.fetchAndStoreTokens(pipeline));
       }
     }
     
+    /**
+     * Parse `--backfill` or `--backfill=FROM:TO` from the command line
+     * @returns {Object|null} Backfill range ({} for deployment block to head), or null
+     */
+    function getBackfillArgument() {
+      const arg = process.argv.find(value => value === '--backfill' || value.startsWith('--backfill='));
+      if (!arg) return null;
+      
+      const [fromBlock, toBlock] = (arg.split('=')[1] || '').split(':');
+      return {
+        fromBlock: fromBlock ? parseInt(fromBlock, 10) : undefined,
+        toBlock: toBlock ? parseInt(toBlock, 10) : undefined
+      };
+    }
+    
+    // Scheduled jobs; schedules live in constants.js
+    // Scan for new tokens
+    jobRunner.register('fetchAndStoreTokens', constants.BLOCKCHAIN_SCAN_INTERVAL, fetchAndStoreTokens);
+    
+    // Follow DEX factory pool creation logs and rescore changed tokens
+    jobRunner.register('discoverPools', constants.POOL_DISCOVERY_INTERVAL, discoverPools);
+    
+    // Refresh pool state on tiered cadences and record liquidity history
+    jobRunner.register('refreshPools', constants.POOL_REFRESH_INTERVAL, refreshPools);
+    
+    // Index swaps from tracked pools into trades, volumes and trader counts
+    jobRunner.register('indexSwaps', constants.SWAP_INDEX_INTERVAL, indexSwaps);
+    
+    // Track holder balances, concentration and the deployer's share
+    jobRunner.register('indexHolders', constants.HOLDER_INDEX_INTERVAL, indexHolders);
+    
+    // Refresh token prices on the configured schedule
+    jobRunner.register('updateTokenPrices', constants.PRICE_UPDATE_INTERVAL, updateTokenPrices);
+    
+    // Roll 1m candles up into 5m/1h/1d buckets
+    jobRunner.register('rollupCandles', constants.CANDLE_ROLLUP_INTERVAL, () => candleService.rollupCandles());
+    
+    // Rebuild deployer profiles and serial-launcher flags
+    jobRunner.register('updateDeployerProfiles', constants.DEPLOYER_UPDATE_INTERVAL, () => deployerAnalyticsService.updateDeployerProfiles());
+    
+    // Retry alert webhooks that failed or never finished
+    jobRunner.register('retryAlertDeliveries', constants.ALERT_RETRY_INTERVAL, () => alertService.retryDeliveries());
+    
+    // Startup sequence, awaited below and drained on shutdown
+    let initializing = null;
+    
+    // Shutdown steps, in order: stop new work, let in-flight work finish, then close
+    // the servers and the DB. Jobs stop between chunks and only save cursors for
+    // ranges that were fully stored.
+    lifecycle.onShutdown('scheduler', () => jobRunner.stop());
+    lifecycle.onShutdown('token monitoring', (deadline) => blockchainService.stopTokenMonitoring(deadline));
+    lifecycle.onShutdown('startup', async (deadline) => {
+      // A --backfill or the startup scans may still be finishing their current chunk
+      if (initializing && !(await lifecycle.waitUntil(initializing, deadline))) {
+        logger.warn('Startup work still running at the shutdown deadline');
+        return { exitCode: lifecycle.EXIT_CODES.DRAIN_TIMEOUT };
+      }
+    });
+    lifecycle.onShutdown('jobs', async (deadline) => {
+      const { drained, running } = await jobRunner.drain(deadline);
+      if (!drained) {
+        logger.warn(`Jobs still running at the shutdown deadline: ${running.join(', ')}`);
+        return { exitCode: lifecycle.EXIT_CODES.DRAIN_TIMEOUT };
+      }
+    });
+    lifecycle.onShutdown('alerts', () => alertService.stop());
+    lifecycle.onShutdown('push feed', () => websocketServer.stop());
+    lifecycle.onShutdown('health server', () => healthServer.stop());
+    lifecycle.onShutdown('database', () => db.closeConnection());
+    
     // Initialize data fetching
     async function initializeDataFetching() {
       logger.info('Initializing data fetching service...');
       
+      logger.info(`Running ${pipelines.length} pipelines: ${pipelines.map(pipeline => pipeline.name).join(', ')}`);
+      
+      // Built-in deployer overrides and exclusions; edits in Mongo take effect without a restart
+      await deployerService.seedDefaultRules();
+      
+      // The legacy state file and untagged tokens belong to the original Base KOA factory
+      const legacyPipeline = pipelines.find(pipeline => pipeline.name === 'base:koa');
+      if (legacyPipeline) {
+        await blockStateService.migrateFromFile(legacyPipeline.cursorKey);
+        await tokenStorageService.tagLegacyTokens(legacyPipeline.chain.chainId, legacyPipeline.factory.address);
+      }
+      
+      // Tokens are unique per chain; replace indexes that were unique per address
+      await tokenStorageService.migrateTokenIndexes();
+      
+      // Fill in event fields, ERC-20 metadata and block times on old token records
+      if (process.argv.includes('--repair-tokens')) {
+        for (const pipeline of pipelines) {
+          await tokenMetadataService.repairTokens(pipeline, tokenScannerService.getProvider(pipeline));
+        }
+        
+        logger.info('Token repair complete, exiting');
+        await db.closeConnection();
+        process.exit(0);
+      }
+      
+      const backfillRange = getBackfillArgument();
+      if (backfillRange) {
+        for (const pipeline of pipelines) {
+          const { acquired } = await tokenScannerService.backfill(pipeline, backfillRange);
+          if (!acquired) {
+            pipeline.log.warn('Another collector instance holds the cursor lease, backfill not started');
+          }
+        }
+        
+        // A bounded repair range is a one-off job
+        if (backfillRange.toBlock !== undefined) {
+          logger.info('Backfill range complete, exiting');
+          await db.closeConnection();
+          process.exit(0);
+        }
+      }
+      
       // Do a full scan on startup
-      await fetchAndStoreTokens();
+      await jobRunner.runJob('fetchAndStoreTokens', { trigger: 'startup' });
       
-      // Check pools for existing tokens
-      await updateExistingTokenPools();
+      // Index pools created since the last run
+      await jobRunner.runJob('discoverPools', { trigger: 'startup' });
       
-      // Setup scheduled jobs
-      // Scan for new tokens every minute
-      cron.schedule('* * * * *', fetchAndStoreTokens);
+      // Refresh prices for stored tokens
+      await jobRunner.runJob('updateTokenPrices', { trigger: 'startup' });
       
-      // Update pools for unchecked tokens every 15 minutes
-      cron.schedule('*/30 * * * *', updateExistingTokenPools);
+      // Start the schedules; each job is skipped while its previous run is still going
+      jobRunner.start();
       
       logger.info('Data fetching service initialized with scheduled jobs');
     }
     
     // Start everything
     logger.info('Starting blockchain collector...');
-    await initializeDataFetching();
     
-    // Handle graceful shutdown
-    process.on('SIGTERM', async () => {
-      logger.info('SIGTERM received, shutting down');
-      try {
-        await db.closeConnection();
-        process.exit(0);
-      } catch (err) {
-        logger.error('Error during shutdown:', err);
-        process.exit(1);
-      }
-    });
+    // Start the push feed first so clients see events from the initial scan
+    websocketServer.start();
+    
+    // Evaluate alert rules against the same events
+    alertService.start();
+    
+    // Liveness, readiness and Prometheus metrics for the orchestrator
+    healthServer.start({ pipelines, activeChains });
+    
+    initializing = initializeDataFetching();
+    await initializing;
+    
+    // Low-latency delivery between polls; the scanner fills gaps and confirms
+    if (!lifecycle.isShuttingDown()) {
+      await blockchainService.startTokenMonitoring(pipelines);
+    }
     
   } catch (error) {
+    // A signal during startup stops the startup scan early; the shutdown steps exit
+    if (lifecycle.isShuttingDown()) {
+      logger.info(`Startup interrupted by shutdown: ${error.message}`);
+      return;
+    }
+    
     logger.error('Error starting collector:', error);
     process.exit(1);
   }
@@ -0,0 +1,398 @@
+// blockchain-collector/services/alertService.js
+const crypto = require('crypto');
+const axios = require('axios');
+const AlertRule = require('../../shared/models/AlertRule');
+const Alert = require('../../shared/models/Alert');
+const TokenCandle = require('../../shared/models/TokenCandle');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const eventBus = require('../utils/eventBus');
+
+// Rules are re-read from Mongo so they can be edited without a redeploy
+const RULES_REFRESH_INTERVAL = 60000; // 1 minute
+
+// Payload fields computed on demand for price-updated rules
+const PRICE_CHANGE_FIELDS = ['priceChangeH1', 'priceMoveH1'];
+
+let rules = null;
+let rulesLoadedAt = 0;
+let rulesLoading = null;
+
+let unsubscribers = [];
+
+// Rule/chain/subject keys being triggered and alerts being delivered by this process,
+// so concurrent events can't slip past a cooldown and retries never race a first attempt
+const triggering = new Set();
+const delivering = new Set();
+
+/**
+ * Load enabled rules, re-reading them once the refresh interval has passed
+ * @returns {Promise<Map>} Event type -> rules
+ */
+async function loadRules() {
+  if (rules && Date.now() - rulesLoadedAt < RULES_REFRESH_INTERVAL) {
+    return rules;
+  }
+
+  if (!rulesLoading) {
+    rulesLoading = (async () => {
+      const enabled = await AlertRule.find({ enabled: true }).lean();
+
+      const byEvent = new Map();
+      for (const rule of enabled) {
+        if (!byEvent.has(rule.event)) byEvent.set(rule.event, []);
+        byEvent.get(rule.event).push(rule);
+      }
+
+      rules = byEvent;
+      rulesLoadedAt = Date.now();
+      return rules;
+    })().finally(() => {
+      rulesLoading = null;
+    });
+  }
+
+  return rulesLoading;
+}
+
+/**
+ * Read a dotted path from an event payload
+ * @param {Object} data - Event payload
+ * @param {string} path - Field path (e.g. 'pools.0.dex')
+ * @returns {*} Field value, or undefined
+ */
+function getField(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Check one rule condition against an event payload. Strings compare
+ * case-insensitively so addresses match however they were typed.
+ * @param {Object} data - Event payload
+ * @param {Object} condition - { field, op, value }
+ * @returns {boolean}
+ */
+function matchesCondition(data, condition) {
+  const actual = getField(data, condition.field);
+  const normalise = value => (typeof value === 'string' ? value.toLowerCase() : value);
+
+  if (actual === undefined || actual === null) {
+    // A missing field only satisfies "not equal"
+    return condition.op === 'ne' && condition.value != null;
+  }
+
+  switch (condition.op) {
+    case 'eq':
+      return normalise(actual) === normalise(condition.value);
+    case 'ne':
+      return normalise(actual) !== normalise(condition.value);
+    case 'gt':
+      return Number(actual) > Number(condition.value);
+    case 'gte':
+      return Number(actual) >= Number(condition.value);
+    case 'lt':
+      return Number(actual) < Number(condition.value);
+    case 'lte':
+      return Number(actual) <= Number(condition.value);
+    case 'in':
+      return Array.isArray(condition.value) && condition.value.map(normalise).includes(normalise(actual));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether every condition of a rule holds for an event payload
+ * @param {Object} rule - AlertRule document
+ * @param {Object} data - Event payload
+ * @returns {boolean}
+ */
+function matchesRule(rule, data) {
+  return (rule.conditions || []).every(condition => matchesCondition(data, condition));
+}
+
+/**
+ * Add derived fields that rules for this event refer to. Price updates get the
+ * change against the last 1m candle close from an hour ago (as a fraction).
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @param {Array} candidates - Rules for this event type
+ * @returns {Promise<Object>} Payload with derived fields
+ */
+async function enrichPayload(type, data, candidates) {
+  if (type !== eventBus.EVENTS.PRICE_UPDATED || !data.priceUsd) return data;
+
+  const needsChange = candidates.some(rule =>
+    (rule.conditions || []).some(condition => PRICE_CHANGE_FIELDS.includes(condition.field))
+  );
+  if (!needsChange) return data;
+
+  const reference = await TokenCandle.findOne(
+    {
+      chainId: data.chainId,
+      contractAddress: data.contractAddress,
+      resolution: '1m',
+      bucketStart: { $lte: new Date(Date.now() - 60 * 60 * 1000) }
+    },
+    { close: 1 }
+  ).sort({ bucketStart: -1 }).lean();
+
+  if (!reference || !reference.close) return data;
+
+  const priceChangeH1 = (data.priceUsd - reference.close) / reference.close;
+  return { ...data, priceChangeH1, priceMoveH1: Math.abs(priceChangeH1) };
+}
+
+/**
+ * Sign a webhook body. Receivers recompute HMAC-SHA256 over `${timestamp}.${body}`
+ * with the rule's secret and compare it to X-Alert-Signature.
+ * @param {string} secret - Rule secret
+ * @param {string} timestamp - Unix seconds sent as X-Alert-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Delay before the next delivery attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(attempts) {
+  return constants.ALERT_RETRY_BASE_SECONDS * 1000 * Math.pow(2, attempts - 1);
+}
+
+/**
+ * POST an alert to its rule's webhook and record the outcome
+ * @param {Object} alert - Alert document
+ * @param {Object} rule - AlertRule document
+ */
+async function deliver(alert, rule) {
+  const id = alert._id.toString();
+  if (delivering.has(id)) return;
+
+  delivering.add(id);
+  const attempts = alert.attempts + 1;
+
+  try {
+    if (!/^https?:\/\//i.test(rule.webhookUrl)) {
+      throw Object.assign(new Error(`Unsupported webhook URL ${rule.webhookUrl}`), { permanent: true });
+    }
+
+    const body = JSON.stringify({
+      id,
+      rule: { id: rule._id.toString(), name: rule.name },
+      event: alert.event,
+      triggeredAt: alert.createdAt,
+      data: alert.payload
+    });
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Alert-Id': id,
+      'X-Alert-Timestamp': timestamp
+    };
+    if (rule.secret) {
+      headers['X-Alert-Signature'] = signPayload(rule.secret, timestamp, body);
+    }
+
+    const response = await axios.post(rule.webhookUrl, body, {
+      headers,
+      timeout: constants.ALERT_WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      throw Object.assign(new Error(`Webhook responded with HTTP ${response.status}`), { status: response.status });
+    }
+
+    await Alert.updateOne(
+      { _id: alert._id },
+      { $set: { status: 'delivered', attempts, deliveredAt: new Date(), responseStatus: response.status, lastError: null } }
+    );
+    logger.info(`Alert ${id} for rule "${rule.name}" delivered`);
+  } catch (error) {
+    const failed = error.permanent || attempts >= constants.ALERT_MAX_ATTEMPTS;
+
+    await Alert.updateOne(
+      { _id: alert._id },
+      {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          attempts,
+          nextAttemptAt: failed ? null : new Date(Date.now() + getRetryDelay(attempts)),
+          responseStatus: error.status || null,
+          lastError: error.message
+        }
+      }
+    ).catch(updateError => logger.error(`Error recording delivery of alert ${id}:`, updateError));
+
+    const message = `Alert ${id} for rule "${rule.name}" not delivered (attempt ${attempts}): ${error.message}`;
+    if (failed) {
+      logger.error(`${message}, giving up`);
+    } else {
+      logger.warn(message);
+    }
+  } finally {
+    delivering.delete(id);
+  }
+}
+
+/**
+ * Record a triggered rule unless it's cooling down for this subject on this chain, then deliver it
+ * @param {Object} rule - AlertRule document
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ */
+async function trigger(rule, type, data) {
+  const chainId = data.chainId != null ? data.chainId : null;
+  const subject = (data.contractAddress || data.deployer || '').toLowerCase() || null;
+  const key = `${rule._id}:${chainId}:${subject}`;
+  if (triggering.has(key)) return;
+
+  triggering.add(key);
+  let alert;
+
+  try {
+    const now = new Date();
+    const cooldownSeconds = rule.cooldownSeconds != null ? rule.cooldownSeconds : constants.ALERT_DEFAULT_COOLDOWN_SECONDS;
+
+    if (cooldownSeconds > 0) {
+      const recent = await Alert.exists({
+        ruleId: rule._id,
+        chainId,
+        subject,
+        createdAt: { $gt: new Date(now.getTime() - cooldownSeconds * 1000) }
+      });
+      if (recent) {
+        logger.debug(`Alert rule "${rule.name}" cooling down for ${subject}`);
+        return;
+      }
+    }
+
+    alert = await Alert.create({
+      ruleId: rule._id,
+      ruleName: rule.name,
+      event: type,
+      chainId,
+      subject,
+      payload: data,
+      // Claimed by this process for the first attempt; the retry job picks it up if that never finishes
+      nextAttemptAt: new Date(now.getTime() + constants.ALERT_WEBHOOK_TIMEOUT_MS * 2),
+      expiresAt: constants.ALERT_RETENTION_DAYS
+        ? new Date(now.getTime() + constants.ALERT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+
+    await AlertRule.updateOne({ _id: rule._id }, { $set: { lastTriggeredAt: now }, $inc: { triggerCount: 1 } });
+    logger.info(`Alert rule "${rule.name}" triggered by ${type} for ${subject}`, { chainId });
+  } finally {
+    triggering.delete(key);
+  }
+
+  await deliver(alert.toObject(), rule);
+}
+
+/**
+ * Evaluate the rules for one collector event
+ * @param {Object} event - { type, data, timestamp } from the event bus
+ */
+async function handleEvent(event) {
+  try {
+    const candidates = (await loadRules()).get(event.type) || [];
+    if (candidates.length === 0) return;
+
+    const data = await enrichPayload(event.type, event.data, candidates);
+
+    for (const rule of candidates) {
+      if (matchesRule(rule, data)) {
+        await trigger(rule, event.type, data);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error evaluating alert rules for ${event.type}:`, error);
+  }
+}
+
+/**
+ * Retry pending deliveries that are due
+ * @returns {Promise<Object>} { retried }
+ */
+async function retryDeliveries() {
+  let retried = 0;
+
+  try {
+    const now = new Date();
+    const due = await Alert.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(constants.BATCH_SIZE)
+      .lean();
+
+    if (due.length === 0) return { retried };
+
+    const ruleIds = [...new Set(due.map(alert => alert.ruleId.toString()))];
+    const rulesById = new Map((await AlertRule.find({ _id: { $in: ruleIds } }).lean())
+      .map(rule => [rule._id.toString(), rule]));
+
+    for (const alert of due) {
+      const rule = rulesById.get(alert.ruleId.toString());
+      if (!rule || !rule.enabled) {
+        await Alert.updateOne(
+          { _id: alert._id },
+          { $set: { status: 'failed', nextAttemptAt: null, lastError: 'Rule removed or disabled' } }
+        );
+        continue;
+      }
+
+      // Claim the attempt so another collector instance doesn't send it too
+      const claimed = await Alert.findOneAndUpdate(
+        { _id: alert._id, status: 'pending', nextAttemptAt: alert.nextAttemptAt },
+        { $set: { nextAttemptAt: new Date(Date.now() + constants.ALERT_WEBHOOK_TIMEOUT_MS * 2) } },
+        { new: true }
+      ).lean();
+      if (!claimed) continue;
+
+      await deliver(claimed, rule);
+      retried++;
+    }
+
+    logger.info(`Retried ${retried} alert deliveries`);
+    return { retried };
+  } catch (error) {
+    logger.error('Error retrying alert deliveries:', error);
+    return { retried };
+  }
+}
+
+/**
+ * Start evaluating alert rules against collector events
+ */
+function start() {
+  if (unsubscribers.length > 0) return;
+
+  unsubscribers = Object.values(eventBus.EVENTS)
+    .filter(type => AlertRule.EVENTS.includes(type))
+    .map(type => eventBus.subscribe(type, handleEvent));
+
+  logger.info(`Alert rules listening on ${unsubscribers.length} event types`);
+}
+
+/**
+ * Stop evaluating alert rules
+ */
+function stop() {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+}
+
+module.exports = {
+  matchesRule,
+  signPayload,
+  retryDeliveries,
+  start,
+  stop
+};
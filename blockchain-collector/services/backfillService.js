@@ -0,0 +1,205 @@
+// blockchain-collector/services/backfillService.js
+const logger = require('../../shared/utils/logger');
+const blockStateService = require('./blockStateService');
+const lifecycle = require('../utils/lifecycle');
+
+// Adaptive chunk sizing for historical getLogs walks
+const BACKFILL_CONFIG = {
+  initialChunkSize: 2000,
+  minChunkSize: 10,
+  maxChunkSize: 10000,
+  growAfterLogs: 100,     // Only grow the chunk when a chunk returned fewer logs than this
+  maxRetries: 5,          // Consecutive failures allowed at the minimum chunk size
+  retryDelay: 5000        // 5 seconds
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Find the block a contract was deployed in by binary searching eth_getCode
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider (needs historical state)
+ * @param {string} address - Contract address
+ * @returns {Promise<number>} Deployment block
+ */
+async function findDeploymentBlock(provider, address) {
+  let low = 0;
+  let high = await provider.getBlockNumber();
+
+  if ((await provider.getCode(address, high)) === '0x') {
+    throw new Error(`No contract code at ${address}`);
+  }
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const code = await provider.getCode(address, mid);
+    if (code === '0x') {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  logger.info(`Contract ${address} was deployed in block ${low}`);
+  return low;
+}
+
+/**
+ * Add a completed block range to a sorted, merged range list
+ * @param {Array} ranges - [{ fromBlock, toBlock }] sorted by fromBlock
+ * @param {number} fromBlock - First block of the completed range
+ * @param {number} toBlock - Last block of the completed range
+ * @returns {Array} New merged range list
+ */
+function addCompletedRange(ranges, fromBlock, toBlock) {
+  const merged = [];
+  let current = { fromBlock, toBlock };
+
+  for (const range of [...ranges].sort((a, b) => a.fromBlock - b.fromBlock)) {
+    if (range.toBlock + 1 < current.fromBlock || range.fromBlock > current.toBlock + 1) {
+      merged.push(range);
+    } else {
+      current = {
+        fromBlock: Math.min(range.fromBlock, current.fromBlock),
+        toBlock: Math.max(range.toBlock, current.toBlock)
+      };
+    }
+  }
+
+  merged.push(current);
+  return merged.sort((a, b) => a.fromBlock - b.fromBlock);
+}
+
+/**
+ * Find the first block in [fromBlock, toBlock] not covered by a completed range
+ * @param {Array} ranges - Completed ranges
+ * @param {number} fromBlock - Start of the target range
+ * @param {number} toBlock - End of the target range
+ * @returns {Object|null} { fromBlock, toBlock } of the first gap, or null when fully covered
+ */
+function findFirstGap(ranges, fromBlock, toBlock) {
+  let next = fromBlock;
+
+  for (const range of ranges) {
+    if (range.toBlock < next) continue;
+    if (range.fromBlock > next) {
+      return { fromBlock: next, toBlock: Math.min(range.fromBlock - 1, toBlock) };
+    }
+    next = range.toBlock + 1;
+    if (next > toBlock) return null;
+  }
+
+  return next <= toBlock ? { fromBlock: next, toBlock } : null;
+}
+
+/**
+ * Walk a block range forward in adaptive chunks, recording completed ranges so
+ * an interrupted backfill resumes where it stopped. Without an explicit toBlock
+ * the walk follows the chain head until it is caught up. On shutdown it stops
+ * between chunks with a ShutdownError and leaves the state running to resume.
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @param {Object} options
+ * @param {Object} options.cursorKey - Cursor whose backfill progress is tracked (lease must be held)
+ * @param {string} options.factoryAddress - Factory whose deployment block is the default start
+ * @param {number} [options.fromBlock] - First block (defaults to the factory deployment block)
+ * @param {number} [options.toBlock] - Last block (defaults to following the safe chain head)
+ * @param {Function} options.scanAndStore - async (fromBlock, toBlock) => number of logs found
+ * @returns {Promise<Object>} { fromBlock, toBlock } actually covered
+ */
+async function runBackfill(provider, { cursorKey, factoryAddress, fromBlock, toBlock, scanAndStore }) {
+  let state = await blockStateService.getBackfillState(cursorKey);
+  if (state && state.toBlock == null) {
+    // Head-following state may come back from Mongo with toBlock null
+    state = { ...state, toBlock: undefined };
+  }
+
+  // A head-following backfill and a bounded repair range never resume each other
+  const explicitStart = fromBlock !== undefined && fromBlock !== null;
+  const resumable = state && state.status === 'running' &&
+    (!explicitStart || state.fromBlock === fromBlock) &&
+    state.toBlock === toBlock;
+
+  if (resumable) {
+    logger.info(`Resuming backfill from ${state.fromBlock} with ${state.completedRanges.length} completed ranges`);
+  } else {
+    if (!explicitStart) {
+      fromBlock = await findDeploymentBlock(provider, factoryAddress);
+    }
+
+    state = {
+      fromBlock,
+      toBlock,
+      completedRanges: [],
+      status: 'running',
+      startedAt: new Date().toISOString()
+    };
+    await blockStateService.saveBackfillState(cursorKey, state);
+    logger.info(`Starting backfill from block ${fromBlock}${toBlock !== undefined ? ` to ${toBlock}` : ' to chain head'}`);
+  }
+
+  let chunkSize = BACKFILL_CONFIG.initialChunkSize;
+  let failures = 0;
+  let target = state.toBlock !== undefined ? state.toBlock : await blockStateService.getSafeBlockNumber(provider);
+
+  while (true) {
+    lifecycle.throwIfShuttingDown(`Backfill stopped for shutdown with ${state.completedRanges.length} completed ranges`);
+
+    const gap = findFirstGap(state.completedRanges, state.fromBlock, target);
+
+    if (!gap) {
+      if (state.toBlock !== undefined) break;
+
+      // Following the head: stop once no new safe blocks appeared while we walked
+      const head = await blockStateService.getSafeBlockNumber(provider);
+      if (head <= target) break;
+      target = head;
+      continue;
+    }
+
+    const chunkEnd = Math.min(gap.fromBlock + chunkSize - 1, gap.toBlock);
+
+    try {
+      const logCount = await scanAndStore(gap.fromBlock, chunkEnd);
+
+      state.completedRanges = addCompletedRange(state.completedRanges, gap.fromBlock, chunkEnd);
+      await blockStateService.saveBackfillState(cursorKey, state);
+      failures = 0;
+
+      logger.info(`Backfilled blocks ${gap.fromBlock}-${chunkEnd} (${logCount} logs, ${target - chunkEnd} blocks remaining)`);
+
+      if (logCount < BACKFILL_CONFIG.growAfterLogs) {
+        chunkSize = Math.min(chunkSize * 2, BACKFILL_CONFIG.maxChunkSize);
+      }
+    } catch (error) {
+      if (chunkSize > BACKFILL_CONFIG.minChunkSize) {
+        // Most failures are "range too large"/"too many results": shrink and retry
+        chunkSize = Math.max(Math.floor(chunkSize / 2), BACKFILL_CONFIG.minChunkSize);
+        logger.warn(`Backfill chunk ${gap.fromBlock}-${chunkEnd} failed (${error.message}), retrying with ${chunkSize} blocks`);
+        continue;
+      }
+
+      failures++;
+      if (failures > BACKFILL_CONFIG.maxRetries) {
+        logger.error(`Backfill giving up at block ${gap.fromBlock} after ${failures} failures`);
+        throw error;
+      }
+
+      logger.warn(`Backfill chunk ${gap.fromBlock}-${chunkEnd} failed (${error.message}), retry ${failures}/${BACKFILL_CONFIG.maxRetries}`);
+      await sleep(BACKFILL_CONFIG.retryDelay * failures);
+    }
+  }
+
+  state.status = 'complete';
+  state.toBlock = target;
+  state.completedAt = new Date().toISOString();
+  await blockStateService.saveBackfillState(cursorKey, state);
+
+  logger.info(`Backfill complete: blocks ${state.fromBlock}-${target}`);
+  return { fromBlock: state.fromBlock, toBlock: target };
+}
+
+module.exports = {
+  findDeploymentBlock,
+  addCompletedRange,
+  findFirstGap,
+  runBackfill
+};
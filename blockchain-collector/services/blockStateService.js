@@ -0,0 +1,402 @@
+// blockchain-collector/services/blockStateService.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CollectorState = require('../../shared/models/CollectorState');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+
+// Legacy state file path (imported once by migrateFromFile)
+const LEGACY_STATE_FILE = path.join(__dirname, '../../../state/blockState.json');
+
+// Identifies this process as a lease owner
+const INSTANCE_ID = process.env.COLLECTOR_INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+// Cursors with a withLease call in progress in this process, mapped to { lost }.
+// The Mongo lease is per instance, so this is what stops two callers here from
+// sharing one; lost is set when a renewal finds another instance took it over.
+const heldLeases = new Map();
+
+/**
+ * Build the query identifying a cursor document
+ * @param {Object} key - { chainId, factoryAddress, stream }
+ * @returns {Object} Mongo filter
+ */
+function toFilter(key) {
+  return {
+    chainId: key.chainId,
+    factoryAddress: key.factoryAddress.toLowerCase(),
+    stream: key.stream || 'tokens'
+  };
+}
+
+/**
+ * Apply an update to a cursor this instance holds the lease for
+ * @param {Object} key - Cursor key
+ * @param {Object|Array} update - Update document or pipeline
+ */
+async function updateLeased(key, update) {
+  const held = heldLeases.get(JSON.stringify(toFilter(key)));
+  if (held && held.lost) {
+    throw new Error(`Lease on cursor ${JSON.stringify(toFilter(key))} was taken over by another instance`);
+  }
+
+  const result = await CollectorState.updateOne(
+    { ...toFilter(key), 'lease.owner': INSTANCE_ID },
+    update,
+    { maxTimeMS: 30000 }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new Error(`Lease on cursor ${JSON.stringify(toFilter(key))} is not held by ${INSTANCE_ID}`);
+  }
+}
+
+/**
+ * Load the cursor state
+ * @param {Object} key - Cursor key
+ * @returns {Promise<Object>} { lastBlock, checkpoints, pendingReorg, backfill, lastScan }
+ */
+async function loadState(key) {
+  const state = await CollectorState.findOne(toFilter(key)).lean();
+  return {
+    lastBlock: (state && state.lastBlock) || 0,
+    checkpoints: (state && state.checkpoints) || [],
+    pendingReorg: (state && state.pendingReorg && state.pendingReorg.toBlock != null) ? state.pendingReorg : null,
+    backfill: (state && state.backfill && state.backfill.status) ? state.backfill : null,
+    lastScan: (state && state.lastScan) || null
+  };
+}
+
+/**
+ * Try to take (or extend) the lease on a cursor
+ * @param {Object} key - Cursor key
+ * @param {number} [ttlMs] - Lease duration
+ * @returns {Promise<boolean>} true when this instance holds the lease
+ */
+async function acquireLease(key, ttlMs = constants.CURSOR_LEASE_TTL) {
+  const now = new Date();
+
+  try {
+    await CollectorState.findOneAndUpdate(
+      {
+        ...toFilter(key),
+        $or: [
+          { 'lease.owner': INSTANCE_ID },
+          { 'lease.expiresAt': { $lt: now } },
+          { 'lease.owner': { $exists: false } }
+        ]
+      },
+      { $set: { lease: { owner: INSTANCE_ID, expiresAt: new Date(now.getTime() + ttlMs) } } },
+      { upsert: true, maxTimeMS: 30000 }
+    );
+    return true;
+  } catch (error) {
+    // Another instance holds a live lease, so the upsert collided with its document
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Give up the lease on a cursor
+ * @param {Object} key - Cursor key
+ */
+async function releaseLease(key) {
+  await CollectorState.updateOne(
+    { ...toFilter(key), 'lease.owner': INSTANCE_ID },
+    { $unset: { lease: '' } },
+    { maxTimeMS: 30000 }
+  );
+}
+
+/**
+ * Run a function while holding the lease on a cursor, renewing it as needed.
+ * Not re-entrant: a second call for a cursor this process is already working on
+ * is refused rather than sharing the lease.
+ * @param {Object} key - Cursor key
+ * @param {Function} fn - async () => result
+ * @returns {Promise<Object>} { acquired, result }
+ */
+async function withLease(key, fn) {
+  const ttl = constants.CURSOR_LEASE_TTL;
+  const heldKey = JSON.stringify(toFilter(key));
+
+  // Claimed before the first await so a concurrent call sees it
+  if (heldLeases.has(heldKey)) {
+    logger.info(`Cursor ${toFilter(key).stream}@${key.factoryAddress} is already leased by this instance, skipping`);
+    return { acquired: false };
+  }
+  const held = { lost: false };
+  heldLeases.set(heldKey, held);
+
+  let acquired;
+  try {
+    acquired = await acquireLease(key, ttl);
+  } catch (error) {
+    heldLeases.delete(heldKey);
+    throw error;
+  }
+
+  if (!acquired) {
+    heldLeases.delete(heldKey);
+    logger.info(`Cursor ${toFilter(key).stream}@${key.factoryAddress} is leased by another instance, skipping`);
+    return { acquired: false };
+  }
+
+  // A refused renewal means another instance owns the cursor now: later cursor
+  // writes from fn throw instead of moving it underneath the new owner
+  const renewTimer = setInterval(() => {
+    acquireLease(key, ttl)
+      .then(renewed => {
+        if (renewed) return;
+        held.lost = true;
+        clearInterval(renewTimer);
+        logger.warn(`Lease on cursor ${toFilter(key).stream}@${key.factoryAddress} was taken over by another instance, stopping`);
+      })
+      .catch(error => logger.error('Error renewing cursor lease:', error));
+  }, ttl / 3);
+
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    clearInterval(renewTimer);
+    if (!held.lost) await releaseLease(key).catch(error => logger.error('Error releasing cursor lease:', error));
+    heldLeases.delete(heldKey);
+  }
+}
+
+/**
+ * Get the last processed block number
+ * @param {Object} key - Cursor key
+ * @returns {Promise<number>}
+ */
+async function getLastProcessedBlock(key) {
+  const state = await loadState(key);
+  return state.lastBlock;
+}
+
+/**
+ * Advance the cursor and remember the block hash so a later run can detect a reorg
+ * @param {Object} key - Cursor key
+ * @param {number} blockNumber - Last fully processed block
+ * @param {string} blockHash - Hash of that block
+ */
+async function saveLastProcessedBlock(key, blockNumber, blockHash) {
+  const newCheckpoint = blockHash ? [{ number: blockNumber, hash: blockHash }] : [];
+
+  // Single pipeline update so the cursor and its checkpoints move together
+  await updateLeased(key, [
+    {
+      $set: {
+        lastBlock: blockNumber,
+        checkpoints: {
+          $slice: [
+            {
+              $concatArrays: [
+                {
+                  $filter: {
+                    input: { $ifNull: ['$checkpoints', []] },
+                    cond: { $lt: ['$$this.number', blockNumber] }
+                  }
+                },
+                newCheckpoint
+              ]
+            },
+            -constants.REORG_CHECKPOINTS
+          ]
+        }
+      }
+    }
+  ]);
+}
+
+/**
+ * Compare stored checkpoint hashes with the chain.
+ * Walks checkpoints from newest to oldest until one still matches.
+ * @param {Object} key - Cursor key
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @returns {Promise<Object|null>} null when no reorg, else { forkBlock, lastBlock }
+ */
+async function detectReorg(key, provider) {
+  const state = await loadState(key);
+  const checkpoints = [...state.checkpoints].sort((a, b) => b.number - a.number);
+
+  if (checkpoints.length === 0) {
+    return null;
+  }
+
+  for (let i = 0; i < checkpoints.length; i++) {
+    const checkpoint = checkpoints[i];
+    const block = await provider.getBlock(checkpoint.number);
+
+    if (block && block.hash === checkpoint.hash) {
+      if (i === 0) return null;
+
+      logger.warn(`Reorg detected: block ${checkpoints[0].number} hash changed, last matching checkpoint is ${checkpoint.number}`);
+      return { forkBlock: checkpoint.number, lastBlock: state.lastBlock };
+    }
+  }
+
+  // Reorg deeper than every checkpoint: rewind past the oldest one
+  const oldest = checkpoints[checkpoints.length - 1].number;
+  const forkBlock = Math.max(0, oldest - getConfirmationBlocks());
+  logger.warn(`Reorg detected beyond all ${checkpoints.length} checkpoints, rewinding to block ${forkBlock}`);
+  return { forkBlock, lastBlock: state.lastBlock };
+}
+
+/**
+ * Rewind the cursor to a block known to be on the canonical chain.
+ * The rewound range is kept as pendingReorg until its tokens have been reconciled.
+ * @param {Object} key - Cursor key
+ * @param {number} blockNumber - Block to rewind to
+ * @param {number} reorgedToBlock - Highest block that was processed before the reorg
+ */
+async function rollbackTo(key, blockNumber, reorgedToBlock) {
+  // Merge with a range left over from an earlier, not yet reconciled reorg
+  await updateLeased(key, [
+    {
+      $set: {
+        lastBlock: blockNumber,
+        checkpoints: {
+          $filter: {
+            input: { $ifNull: ['$checkpoints', []] },
+            cond: { $lte: ['$$this.number', blockNumber] }
+          }
+        },
+        pendingReorg: {
+          fromBlock: { $min: [blockNumber + 1, { $ifNull: ['$pendingReorg.fromBlock', blockNumber + 1] }] },
+          toBlock: { $max: [reorgedToBlock, { $ifNull: ['$pendingReorg.toBlock', reorgedToBlock] }] }
+        }
+      }
+    }
+  ]);
+  logger.info(`Block cursor rolled back to ${blockNumber}, blocks up to ${reorgedToBlock} pending reconciliation`);
+}
+
+/**
+ * Get the block range rolled back by a reorg that still needs reconciling
+ * @param {Object} key - Cursor key
+ * @returns {Promise<Object|null>} { fromBlock, toBlock } or null
+ */
+async function getPendingReorg(key) {
+  const state = await loadState(key);
+  return state.pendingReorg;
+}
+
+/**
+ * Replace (or clear, with null) the pending reorg range
+ * @param {Object} key - Cursor key
+ * @param {Object|null} pendingReorg - { fromBlock, toBlock } or null
+ */
+async function setPendingReorg(key, pendingReorg) {
+  await updateLeased(key, pendingReorg
+    ? { $set: { pendingReorg } }
+    : { $unset: { pendingReorg: '' } });
+}
+
+/**
+ * Confirmations the scanner waits for; CONFIRMATION_BLOCKS=0 is a valid override
+ * @returns {number}
+ */
+function getConfirmationBlocks() {
+  const confirmations = parseInt(process.env.CONFIRMATION_BLOCKS, 10);
+  return Number.isNaN(confirmations) ? constants.CONFIRMATION_BLOCKS : confirmations;
+}
+
+/**
+ * Get the latest block with enough confirmations to scan
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @returns {Promise<number>}
+ */
+async function getSafeBlockNumber(provider) {
+  return (await provider.getBlockNumber()) - getConfirmationBlocks();
+}
+
+/**
+ * Get the progress of the current or last backfill
+ * @param {Object} key - Cursor key
+ * @returns {Promise<Object|null>} { fromBlock, toBlock, completedRanges, status }
+ */
+async function getBackfillState(key) {
+  const state = await loadState(key);
+  return state.backfill;
+}
+
+/**
+ * Persist backfill progress
+ * @param {Object} key - Cursor key
+ * @param {Object} backfill - { fromBlock, toBlock, completedRanges, status }
+ */
+async function saveBackfillState(key, backfill) {
+  await updateLeased(key, { $set: { backfill } });
+}
+
+/**
+ * Record metadata about the latest scan run
+ * @param {Object} key - Cursor key
+ * @param {Object} lastScan - { fromBlock, toBlock, tokensFound, durationMs, error }
+ */
+async function recordScan(key, lastScan) {
+  await updateLeased(key, { $set: { lastScan: { ...lastScan, finishedAt: new Date() } } });
+}
+
+/**
+ * One-off migration: import the legacy state/blockState.json into a cursor
+ * that has no state yet, then rename the file so it isn't imported twice.
+ * @param {Object} key - Cursor key to import into
+ * @returns {Promise<boolean>} true when a file was imported
+ */
+async function migrateFromFile(key) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(LEGACY_STATE_FILE, 'utf8'));
+  } catch (error) {
+    // Nothing to migrate
+    return false;
+  }
+
+  const set = {
+    lastBlock: data.lastBlock || 0,
+    checkpoints: Array.isArray(data.checkpoints) ? data.checkpoints : []
+  };
+  if (data.pendingReorg) set.pendingReorg = data.pendingReorg;
+  if (data.backfill) set.backfill = data.backfill;
+
+  try {
+    // Only import into a cursor that hasn't advanced yet
+    await CollectorState.findOneAndUpdate(
+      { ...toFilter(key), $or: [{ lastBlock: { $exists: false } }, { lastBlock: 0 }] },
+      { $set: set },
+      { upsert: true, maxTimeMS: 30000 }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    logger.warn(`Cursor already has state, ignoring legacy file ${LEGACY_STATE_FILE}`);
+  }
+
+  await fs.rename(LEGACY_STATE_FILE, `${LEGACY_STATE_FILE}.migrated`);
+  logger.info(`Imported legacy block state (last block ${set.lastBlock}) from ${LEGACY_STATE_FILE}`);
+  return true;
+}
+
+module.exports = {
+  INSTANCE_ID,
+  withLease,
+  acquireLease,
+  releaseLease,
+  getConfirmationBlocks,
+  getSafeBlockNumber,
+  getBackfillState,
+  saveBackfillState,
+  getLastProcessedBlock,
+  saveLastProcessedBlock,
+  detectReorg,
+  rollbackTo,
+  getPendingReorg,
+  setPendingReorg,
+  recordScan,
+  migrateFromFile
+};
@@ -1,67 +1,204 @@
 // blockchain-collector/services/blockchainService.js
 const { ethers } = require('ethers');
-const constants = require('../../shared/config/constants');
 const logger = require('../../shared/utils/logger');
-const eventDecoder = require('../utils/eventDecoder');
-const tokenStorageService = require('./tokenStorageService');
+const tokenScannerService = require('./tokenScannerService');
+const lifecycle = require('../utils/lifecycle');
 
-// Initialize WebSocket provider
-const provider = new ethers.WebSocketProvider(
-  process.env.BASE_WS_URL || "wss://rpc.ankr.com/base/ws"
-);
+// Reconnect backoff after the WebSocket drops
+const RECONNECT_CONFIG = {
+  initialDelay: 1000,  // 1 second
+  maxDelay: 60000,     // 60 seconds
+  backoffFactor: 2
+};
 
-// Track active subscription
-let subscription = null;
+// Largest range fetched on reconnect; anything older is left to the polling scanner
+const MAX_GAP_FILL_BLOCKS = 1000;
+
+// Live monitors keyed by chainId
+const monitors = new Map();
 
 /**
- * Process a single token event
+ * Process TokenCreated logs delivered by the subscription
+ * @param {Object} monitor - Chain monitor
+ * @param {Object} pipeline - Pipeline the log belongs to
+ * @param {ethers.Log} log - Event log
  */
-async function processTokenEvent(log) {
+async function processTokenEvent(monitor, pipeline, log) {
   try {
-    const tokenData = eventDecoder.decodeTokenCreatedEvent(log);
-    if (tokenData) {
-      await tokenStorageService.storeTokens([tokenData]);
-      logger.info(`Processed new token: ${tokenData.address}`);
+    if (log.removed) return;
+
+    const tokens = await tokenScannerService.ingestLogs(pipeline, monitor.provider, [log]);
+    for (const token of tokens) {
+      pipeline.log.info(`Received token ${token.contractAddress} via WebSocket`);
     }
   } catch (error) {
-    logger.error(`Error processing token event:`, error);
+    pipeline.log.error('Error processing token event:', error);
+  }
+}
+
+/**
+ * Process an event unless monitoring is stopping, tracking it so a stop can
+ * wait for the store to finish
+ * @param {Object} monitor - Chain monitor
+ * @param {Object} pipeline - Pipeline the log belongs to
+ * @param {ethers.Log} log - Event log
+ */
+function handleTokenEvent(monitor, pipeline, log) {
+  if (monitor.stopped) return;
+
+  const pending = processTokenEvent(monitor, pipeline, log);
+  monitor.pending.add(pending);
+  pending.finally(() => monitor.pending.delete(pending));
+}
+
+/**
+ * Fetch logs for blocks missed while the WebSocket was down
+ * @param {Object} monitor - Chain monitor
+ * @param {number} fromBlock - Last block seen before the disconnect
+ * @param {number} toBlock - Chain head after reconnecting
+ */
+async function fillGap(monitor, fromBlock, toBlock) {
+  if (fromBlock > toBlock) return;
+
+  if (toBlock - fromBlock + 1 > MAX_GAP_FILL_BLOCKS) {
+    monitor.log.warn(`Missed ${toBlock - fromBlock + 1} blocks while disconnected, older blocks are left to the polling scanner`);
+    fromBlock = toBlock - MAX_GAP_FILL_BLOCKS + 1;
+  }
+
+  monitor.log.info(`Filling blocks ${fromBlock}-${toBlock} missed while disconnected`);
+
+  for (const pipeline of monitor.pipelines) {
+    try {
+      await tokenScannerService.scanBlockRange(pipeline, monitor.provider, fromBlock, toBlock);
+    } catch (error) {
+      pipeline.log.error(`Error filling blocks ${fromBlock}-${toBlock}:`, error);
+    }
   }
 }
 
 /**
- * Start monitoring for new tokens
+ * Schedule a reconnect with exponential backoff
+ * @param {Object} monitor - Chain monitor
  */
-async function startTokenMonitoring() {
+function scheduleReconnect(monitor) {
+  if (monitor.stopped || monitor.reconnectTimer) return;
+
+  monitor.log.warn(`WebSocket connection closed, reconnecting in ${monitor.reconnectDelay}ms`);
+
+  monitor.reconnectTimer = setTimeout(() => {
+    monitor.reconnectTimer = null;
+    connect(monitor);
+  }, monitor.reconnectDelay);
+
+  monitor.reconnectDelay = Math.min(
+    monitor.reconnectDelay * RECONNECT_CONFIG.backoffFactor,
+    RECONNECT_CONFIG.maxDelay
+  );
+}
+
+/**
+ * Open the WebSocket, subscribe every pipeline on the chain and fill any gap
+ * since the previous connection
+ * @param {Object} monitor - Chain monitor
+ */
+async function connect(monitor) {
+  const provider = new ethers.WebSocketProvider(monitor.chain.wsUrl);
+  monitor.provider = provider;
+
+  // ethers does not reconnect by itself, so watch the socket directly
+  const closed = new Promise(resolve => provider.websocket.addEventListener('close', resolve));
+  closed.then(() => {
+    if (monitor.provider !== provider) return;
+    provider.destroy().catch(() => {});
+    monitor.provider = null;
+    scheduleReconnect(monitor);
+  });
+
+  provider.websocket.addEventListener('error', (event) => {
+    monitor.log.error(`WebSocket error: ${event.message || 'unknown error'}`);
+  });
+
+  const subscribe = async () => {
+    const head = await provider.getBlockNumber();
+    monitor.log.info(`WebSocket connection established at block ${head}`);
+
+    // Logs in the last seen block may not have been delivered, so it is fetched again
+    if (monitor.lastBlock !== null) {
+      await fillGap(monitor, monitor.lastBlock, head);
+    }
+    monitor.lastBlock = Math.max(monitor.lastBlock || 0, head);
+
+    await provider.on('block', (blockNumber) => {
+      monitor.lastBlock = Math.max(monitor.lastBlock || 0, blockNumber);
+    });
+
+    // Subscribe to token creation events from every pipeline on the chain
+    for (const pipeline of monitor.pipelines) {
+      await provider.on({
+        address: pipeline.factory.address,
+        topics: [pipeline.eventTopic]
+      }, (log) => handleTokenEvent(monitor, pipeline, log));
+    }
+  };
+
+  try {
+    // Requests queued on a socket that never opens don't settle, so stop waiting once it closes
+    await Promise.race([
+      subscribe(),
+      closed.then(() => { throw new Error('WebSocket closed before the subscription was active'); })
+    ]);
+
+    monitor.reconnectDelay = RECONNECT_CONFIG.initialDelay;
+    monitor.log.info(`WebSocket subscription active for ${monitor.pipelines.map(pipeline => pipeline.name).join(', ')}`);
+  } catch (error) {
+    if (monitor.provider !== provider) {
+      monitor.log.warn(error.message);
+      return;
+    }
+
+    monitor.log.error('Error starting WebSocket subscription:', error);
+    provider.destroy().catch(() => {});
+    monitor.provider = null;
+    scheduleReconnect(monitor);
+  }
+}
+
+/**
+ * Start live monitoring for new tokens on every chain with a WebSocket URL.
+ * The polling scanner keeps running alongside and confirms what arrives here.
+ * @param {Array} pipelines - Pipelines from tokenScannerService.createPipeline
+ */
+async function startTokenMonitoring(pipelines) {
   try {
     logger.info('Starting token monitoring via WebSocket...');
-    
-    // Calculate the event topic
-    const eventTopic = ethers.id(constants.TOKEN_CREATED_EVENT);
-    
-    // Subscribe to token creation events
-    subscription = provider.on({
-      address: constants.FACTORY_ADDRESS,
-      topics: [eventTopic]
-    }, async (log) => {
-      await processTokenEvent(log);
-    });
-    
-    logger.info('WebSocket subscription active');
-    
-    // Handle WebSocket connection events
-    provider._websocket.on('open', () => {
-      logger.info('WebSocket connection established');
-    });
-    
-    provider._websocket.on('close', () => {
-      logger.warn('WebSocket connection closed, attempting to reconnect...');
-      // The provider will automatically attempt to reconnect
-    });
-    
-    provider._websocket.on('error', (error) => {
-      logger.error('WebSocket error:', error);
-    });
-    
+
+    for (const pipeline of pipelines) {
+      const { chain } = pipeline;
+
+      if (!chain.wsUrl) {
+        pipeline.log.info('No WebSocket URL configured, relying on polling only');
+        continue;
+      }
+
+      if (!monitors.has(chain.chainId)) {
+        monitors.set(chain.chainId, {
+          chain,
+          log: logger.child({ chainId: chain.chainId, chain: chain.name }),
+          pipelines: [],
+          provider: null,
+          lastBlock: null,
+          reconnectDelay: RECONNECT_CONFIG.initialDelay,
+          reconnectTimer: null,
+          pending: new Set(),   // Events being stored
+          stopped: false
+        });
+      }
+      monitors.get(chain.chainId).pipelines.push(pipeline);
+    }
+
+    for (const monitor of monitors.values()) {
+      await connect(monitor);
+    }
   } catch (error) {
     logger.error('Error starting token monitoring:', error);
     throw error;
@@ -69,17 +206,45 @@ async function startTokenMonitoring() {
 }
 
 /**
- * Stop monitoring for new tokens
+ * Stop monitoring for new tokens: unsubscribe, let events already being stored
+ * finish (up to the deadline), then close the WebSocket
+ * @param {number} [deadline] - Timestamp in ms to stop waiting for in-flight events
  */
-async function stopTokenMonitoring() {
-  if (subscription) {
-    await subscription.removeAllListeners();
-    subscription = null;
+async function stopTokenMonitoring(deadline = Date.now()) {
+  for (const monitor of monitors.values()) {
+    monitor.stopped = true;
+    clearTimeout(monitor.reconnectTimer);
+
+    if (monitor.provider) {
+      await monitor.provider.removeAllListeners().catch(() => {});
+    }
+  }
+
+  const pending = [...monitors.values()].flatMap(monitor => [...monitor.pending]);
+  if (pending.length > 0) {
+    logger.info(`Waiting for ${pending.length} token events to finish storing`);
+    await lifecycle.waitUntil(pending, deadline);
+  }
+
+  for (const monitor of monitors.values()) {
+    if (monitor.pending.size > 0) {
+      monitor.log.warn(`${monitor.pending.size} token events still storing at shutdown, the polling scanner will pick them up`);
+    }
+
+    if (monitor.provider) {
+      const provider = monitor.provider;
+      monitor.provider = null;
+      await provider.destroy();
+    }
+  }
+
+  if (monitors.size > 0) {
     logger.info('Token monitoring stopped');
   }
+  monitors.clear();
 }
 
 module.exports = {
   startTokenMonitoring,
   stopTokenMonitoring
-};
\ No newline at end of file
+};
@@ -0,0 +1,265 @@
+// blockchain-collector/services/candleService.js
+const TokenCandle = require('../../shared/models/TokenCandle');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+
+// Bucket length per resolution in milliseconds
+const RESOLUTION_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Rollup chain from fine to coarse buckets
+const ROLLUPS = [
+  { source: '1m', target: '5m' },
+  { source: '5m', target: '1h' },
+  { source: '1h', target: '1d' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Align a timestamp to the start of its bucket
+ * @param {Date|number} timestamp - Point in time
+ * @param {string} resolution - Candle resolution
+ * @returns {Date} Bucket start
+ */
+function getBucketStart(timestamp, resolution) {
+  const ms = new Date(timestamp).getTime();
+  const size = RESOLUTION_MS[resolution];
+  return new Date(ms - (ms % size));
+}
+
+/**
+ * Compute the TTL expiry for a bucket based on its resolution
+ * @param {Date} bucketStart - Bucket start
+ * @param {string} resolution - Candle resolution
+ * @returns {Date|undefined} Expiry date, or undefined to keep forever
+ */
+function getExpiry(bucketStart, resolution) {
+  const retentionDays = constants.CANDLE_RETENTION_DAYS[resolution];
+  if (!retentionDays) return undefined;
+  return new Date(bucketStart.getTime() + RESOLUTION_MS[resolution] + retentionDays * DAY_MS);
+}
+
+/**
+ * Apply price ticks to their 1m candles
+ * @param {Array} ticks - Objects with chainId, contractAddress, priceUsd, timestamp and optional volumeUsd/liquidityUsd
+ */
+async function applyTicks(ticks) {
+  const operations = [];
+
+  for (const tick of ticks) {
+    if (!tick.contractAddress || !(tick.priceUsd > 0)) continue;
+
+    const bucketStart = getBucketStart(tick.timestamp || Date.now(), '1m');
+    const setOnInsert = { open: tick.priceUsd };
+    const expiresAt = getExpiry(bucketStart, '1m');
+    if (expiresAt) setOnInsert.expiresAt = expiresAt;
+
+    const set = { close: tick.priceUsd };
+    if (tick.liquidityUsd != null) set.liquidity_usd = tick.liquidityUsd;
+
+    operations.push({
+      updateOne: {
+        filter: {
+          chainId: tick.chainId,
+          contractAddress: tick.contractAddress.toLowerCase(),
+          resolution: '1m',
+          bucketStart
+        },
+        update: {
+          $setOnInsert: setOnInsert,
+          $set: set,
+          $max: { high: tick.priceUsd },
+          $min: { low: tick.priceUsd },
+          $inc: {
+            volume_usd: tick.volumeUsd || 0,
+            trades: tick.volumeUsd ? 1 : 0
+          }
+        },
+        upsert: true
+      }
+    });
+  }
+
+  if (operations.length === 0) {
+    return { upserted: 0, modified: 0 };
+  }
+
+  const result = await TokenCandle.bulkWrite(operations, {
+    maxTimeMS: 60000,
+    ordered: false
+  });
+
+  return {
+    upserted: result.upsertedCount,
+    modified: result.modifiedCount
+  };
+}
+
+/**
+ * Record TokenPrice snapshots as candle ticks
+ * @param {Array} prices - TokenPrice records (chainId, contractAddress, price_usd, pool_reserve_in_usd)
+ * @param {Date} [timestamp] - Time of the snapshot
+ */
+async function recordPriceUpdates(prices, timestamp = new Date()) {
+  try {
+    return await applyTicks(prices.map(price => ({
+      chainId: price.chainId,
+      contractAddress: price.contractAddress,
+      priceUsd: price.price_usd,
+      liquidityUsd: price.pool_reserve_in_usd,
+      timestamp
+    })));
+  } catch (error) {
+    logger.error('Error recording price candles:', error);
+    return { upserted: 0, modified: 0 };
+  }
+}
+
+/**
+ * Record individual trades (e.g. decoded pool Swap events) as candle ticks
+ * @param {Array} trades - Objects with chainId, contractAddress, priceUsd, volumeUsd and timestamp
+ */
+async function recordTrades(trades) {
+  try {
+    // Candles take close from the last applied tick, so apply in time order
+    const ordered = [...trades].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return await applyTicks(ordered);
+  } catch (error) {
+    logger.error('Error recording trade candles:', error);
+    return { upserted: 0, modified: 0 };
+  }
+}
+
+/**
+ * Rebuild one coarse resolution from the next finer one
+ * @param {string} source - Source resolution
+ * @param {string} target - Target resolution
+ * @param {Date} since - Rebuild every target bucket at or after the one containing this time
+ */
+async function rollupResolution(source, target, since) {
+  const windowStart = getBucketStart(since, target);
+  const size = RESOLUTION_MS[target];
+
+  const buckets = await TokenCandle.aggregate([
+    { $match: { resolution: source, bucketStart: { $gte: windowStart } } },
+    { $sort: { bucketStart: 1 } },
+    {
+      $group: {
+        _id: {
+          chainId: '$chainId',
+          contractAddress: '$contractAddress',
+          bucketStart: {
+            $subtract: ['$bucketStart', { $mod: [{ $toLong: '$bucketStart' }, size] }]
+          }
+        },
+        open: { $first: '$open' },
+        high: { $max: '$high' },
+        low: { $min: '$low' },
+        close: { $last: '$close' },
+        volume_usd: { $sum: '$volume_usd' },
+        trades: { $sum: '$trades' },
+        liquidity_usd: { $last: '$liquidity_usd' }
+      }
+    }
+  ]).option({ maxTimeMS: 60000 });
+
+  if (buckets.length === 0) {
+    return 0;
+  }
+
+  const operations = buckets.map(bucket => {
+    const { chainId, contractAddress, bucketStart } = bucket._id;
+    const set = {
+      open: bucket.open,
+      high: bucket.high,
+      low: bucket.low,
+      close: bucket.close,
+      volume_usd: bucket.volume_usd,
+      trades: bucket.trades,
+      liquidity_usd: bucket.liquidity_usd
+    };
+    const expiresAt = getExpiry(bucketStart, target);
+    if (expiresAt) set.expiresAt = expiresAt;
+
+    return {
+      updateOne: {
+        filter: { chainId, contractAddress, resolution: target, bucketStart },
+        update: { $set: set },
+        upsert: true
+      }
+    };
+  });
+
+  await TokenCandle.bulkWrite(operations, {
+    maxTimeMS: 60000,
+    ordered: false
+  });
+
+  return operations.length;
+}
+
+/**
+ * Roll fine candles up into coarser buckets (1m -> 5m -> 1h -> 1d)
+ * @param {Date} [since] - Earliest time whose buckets should be rebuilt (defaults to one coarse bucket back)
+ */
+async function rollupCandles(since) {
+  const startTime = Date.now();
+
+  try {
+    for (const { source, target } of ROLLUPS) {
+      // Default to re-aggregating the current and previous target bucket
+      const rebuildFrom = since || new Date(startTime - RESOLUTION_MS[target]);
+      const count = await rollupResolution(source, target, rebuildFrom);
+      logger.debug(`Rolled up ${count} ${target} candles from ${source}`);
+    }
+
+    logger.info(`Candle rollup complete in ${Date.now() - startTime}ms`);
+    return { success: true };
+  } catch (error) {
+    logger.error('Error rolling up candles:', error);
+    return { success: false };
+  }
+}
+
+/**
+ * Fetch candles for a token
+ * @param {number} chainId - Chain the token lives on
+ * @param {string} contractAddress - Token contract address
+ * @param {string} resolution - Candle resolution
+ * @param {Object} [range] - Optional { from, to, limit }
+ * @returns {Promise<Array>} Candles sorted by bucketStart ascending
+ */
+async function getCandles(chainId, contractAddress, resolution, { from, to, limit = 500 } = {}) {
+  const query = {
+    chainId,
+    contractAddress: contractAddress.toLowerCase(),
+    resolution
+  };
+
+  if (from || to) {
+    query.bucketStart = {};
+    if (from) query.bucketStart.$gte = new Date(from);
+    if (to) query.bucketStart.$lte = new Date(to);
+  }
+
+  const candles = await TokenCandle.find(query)
+    .sort({ bucketStart: -1 })
+    .limit(limit)
+    .lean();
+
+  return candles.reverse();
+}
+
+module.exports = {
+  RESOLUTION_MS,
+  getBucketStart,
+  recordPriceUpdates,
+  recordTrades,
+  rollupCandles,
+  getCandles
+};
@@ -0,0 +1,197 @@
+// blockchain-collector/services/deployerAnalyticsService.js
+const Token = require('../../shared/models/Token');
+const Deployer = require('../../shared/models/Deployer');
+const tokenStorageService = require('./tokenStorageService');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+
+// Guard against overlapping scheduled runs
+let isUpdating = false;
+
+/**
+ * Summarise a deployer's launch times
+ * @param {Array<Date>} launches - Token creation times
+ * @returns {Object} Cadence and serial-launcher fields for the Deployer model
+ */
+function analyseLaunches(launches) {
+  const times = launches
+    .filter(Boolean)
+    .map(launch => new Date(launch).getTime())
+    .sort((a, b) => a - b);
+
+  const windowMs = constants.SERIAL_LAUNCHER_WINDOW_HOURS * 60 * 60 * 1000;
+  let minIntervalMs = null;
+  let maxLaunchesInWindow = times.length > 0 ? 1 : 0;
+  let serialLauncherSince = null;
+
+  // Two pointers over sorted times: [start, end] is always within one window
+  let start = 0;
+  for (let end = 0; end < times.length; end++) {
+    if (end > 0) {
+      const interval = times[end] - times[end - 1];
+      minIntervalMs = minIntervalMs === null ? interval : Math.min(minIntervalMs, interval);
+    }
+
+    while (times[end] - times[start] > windowMs) start++;
+
+    const launchesInWindow = end - start + 1;
+    maxLaunchesInWindow = Math.max(maxLaunchesInWindow, launchesInWindow);
+
+    if (!serialLauncherSince && launchesInWindow >= constants.SERIAL_LAUNCHER_MIN_TOKENS) {
+      serialLauncherSince = new Date(times[end]);
+    }
+  }
+
+  const avgIntervalMs = times.length > 1
+    ? (times[times.length - 1] - times[0]) / (times.length - 1)
+    : null;
+
+  return {
+    avgLaunchIntervalSeconds: avgIntervalMs === null ? null : Math.round(avgIntervalMs / 1000),
+    minLaunchIntervalSeconds: minIntervalMs === null ? null : Math.round(minIntervalMs / 1000),
+    maxLaunchesInWindow,
+    isSerialLauncher: serialLauncherSince !== null,
+    serialLauncherSince
+  };
+}
+
+/**
+ * Write a batch of aggregated deployer rows. Peaks only ever go up.
+ * @param {Array} rows - Rows from the Token aggregation
+ * @param {Date} now - Time of this run
+ */
+async function storeProfiles(rows, now) {
+  if (rows.length === 0) return;
+
+  const cadences = rows.map(row => analyseLaunches(row.launches));
+
+  const operations = rows.map((row, i) => ({
+    updateOne: {
+      filter: { chainId: row._id.chainId, address: row._id.deployer },
+      update: {
+        $set: {
+          tokenCount: row.tokenCount,
+          tokensWithPool: row.tokensWithPool,
+          firstLaunchAt: row.firstLaunchAt,
+          lastLaunchAt: row.lastLaunchAt,
+          currentLiquidityUsd: row.liquidityUsd,
+          currentFdvUsd: row.fdvUsd,
+          ...cadences[i],
+          last_updated: now
+        },
+        $max: {
+          peakLiquidityUsd: row.liquidityUsd,
+          peakFdvUsd: row.fdvUsd
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  // The serial-launcher flag feeds every launch's risk score, so rescore them when it flips
+  const previous = await Deployer.find(
+    { $or: rows.map(row => ({ chainId: row._id.chainId, address: row._id.deployer })) },
+    { chainId: 1, address: 1, isSerialLauncher: 1 }
+  ).lean();
+  const wasSerial = new Map(previous.map(deployer => [`${deployer.chainId}:${deployer.address}`, Boolean(deployer.isSerialLauncher)]));
+
+  await Deployer.bulkWrite(operations, { maxTimeMS: 60000, ordered: false });
+
+  const flipped = rows.filter((row, i) =>
+    cadences[i].isSerialLauncher !== Boolean(wasSerial.get(`${row._id.chainId}:${row._id.deployer}`))
+  );
+  if (flipped.length > 0) {
+    await tokenStorageService.touchTokens({
+      $or: flipped.map(row => ({ chainId: row._id.chainId, deployer: row._id.deployer }))
+    });
+  }
+}
+
+/**
+ * Rebuild every Deployer profile from Token and TokenPrice
+ */
+async function updateDeployerProfiles() {
+  if (isUpdating) {
+    logger.warn('Deployer profile update already in progress, skipping this run');
+    return { success: false, skipped: true };
+  }
+
+  isUpdating = true;
+  const startTime = Date.now();
+  const now = new Date();
+  let profiles = 0;
+
+  try {
+    logger.info('Updating deployer profiles...');
+
+    const cursor = Token.aggregate([
+      { $match: { deployer: { $type: 'string' }, chainId: { $type: 'number' } } },
+      {
+        // Prices are per chain: the same address can be a different token elsewhere
+        $lookup: {
+          from: 'tokenprices',
+          let: { chainId: '$chainId', contractAddress: '$contractAddress' },
+          as: 'price',
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$chainId', '$$chainId'] },
+                    { $eq: ['$contractAddress', '$$contractAddress'] }
+                  ]
+                }
+              }
+            },
+            { $project: { _id: 0, pool_reserve_in_usd: 1, fdv_usd: 1 } }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: { chainId: '$chainId', deployer: '$deployer' },
+          tokenCount: { $sum: 1 },
+          tokensWithPool: { $sum: { $cond: ['$hasV3Pool', 1, 0] } },
+          firstLaunchAt: { $min: '$createdAt' },
+          lastLaunchAt: { $max: '$createdAt' },
+          launches: { $push: '$createdAt' },
+          liquidityUsd: { $sum: { $ifNull: [{ $first: '$price.pool_reserve_in_usd' }, 0] } },
+          fdvUsd: { $sum: { $ifNull: [{ $first: '$price.fdv_usd' }, 0] } }
+        }
+      }
+    ])
+      .allowDiskUse(true)
+      .cursor({ batchSize: constants.BATCH_SIZE });
+
+    let batch = [];
+    for await (const row of cursor) {
+      batch.push(row);
+      if (batch.length >= constants.BATCH_SIZE) {
+        await storeProfiles(batch, now);
+        profiles += batch.length;
+        batch = [];
+      }
+    }
+    await storeProfiles(batch, now);
+    profiles += batch.length;
+
+    // Deployers whose tokens were reassigned (e.g. by an override) no longer have any
+    const removed = await Deployer.deleteMany({ last_updated: { $lt: now } });
+
+    const serialLaunchers = await Deployer.countDocuments({ isSerialLauncher: true });
+    const duration = Date.now() - startTime;
+    logger.info(`Deployer profile update complete in ${duration}ms: ${profiles} profiles, ${serialLaunchers} serial launchers, ${removed.deletedCount} removed`);
+
+    return { success: true, profiles, serialLaunchers };
+  } catch (error) {
+    logger.error('Error in updateDeployerProfiles:', error);
+    return { success: false, profiles };
+  } finally {
+    isUpdating = false;
+  }
+}
+
+module.exports = {
+  analyseLaunches,
+  updateDeployerProfiles
+};
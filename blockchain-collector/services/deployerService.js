@@ -0,0 +1,327 @@
+// blockchain-collector/services/deployerService.js
+const { ethers } = require('ethers');
+const Token = require('../../shared/models/Token');
+const DeployerOverride = require('../../shared/models/DeployerOverride');
+const DeployerExclusion = require('../../shared/models/DeployerExclusion');
+const logger = require('../../shared/utils/logger');
+const LRUCache = require('../utils/lruCache');
+
+// Verified deployers seeded into the override collection on first start (Base)
+const DEFAULT_OVERRIDES = [
+  { chainId: 8453, transactionHash: '0xd45006335d15893457b4cf57bd2528f26432c99ac3b8b086a27ac99bff5bf385', deployer: '0x86e8d2532D531ECEBa1316f5E545C8AF7B650146' },
+  { chainId: 8453, transactionHash: '0x27257bcbb52cff88ac7272cfa53fafad83a141d1778593ebb74e2ecbf159cc53', deployer: '0xCA5799410f108E44Ca5fb1FF38f96c3aC5926Fac' },
+  { chainId: 8453, transactionHash: '0x26ba12be030c1ad051d20a97df802661236f98b4c1117c39b9ed05506a354aa2', deployer: '0xe5351fbA63916F69A9f4A437d5BB5E2da5a0672f' },
+  { chainId: 8453, transactionHash: '0xd1392dd1936c7841588a11a65cb252c5dddd9ede0a010727da38b2a154254d09', deployer: '0x01eEbDB7F6855f1DdFD38C1131d67E8Ed462eC5E' }
+];
+
+// Addresses seeded into the exclusion collection on first start
+const DEFAULT_EXCLUSIONS = [
+  { address: '0x903878B49BBA6c55d14857fBc25805De7825e231', reason: 'Shared deployment relayer' },
+  { address: ethers.ZeroAddress, reason: 'Zero address' }
+];
+
+// Strategies tried in order until one yields a non-excluded address.
+// A factory can set `deployerStrategies` in chains.js to change the order.
+const DEFAULT_STRATEGY_ORDER = ['override', 'deploy-arg', 'tx-from', 'trace'];
+
+// Resolved deployers kept in memory, keyed by chainId and transaction hash
+const CACHE_SIZE = 5000;
+const cache = new LRUCache(CACHE_SIZE);
+
+// Overrides and exclusions are re-read from Mongo so they can be edited without a redeploy
+const RULES_REFRESH_INTERVAL = 60000; // 1 minute
+
+let rules = null;
+let rulesLoadedAt = 0;
+let rulesLoading = null;
+
+// Deploy function interfaces, built once per factory config
+const deployInterfaces = new Map();
+
+/**
+ * Get the interface for a factory's deploy function
+ * @param {Object} factory - Factory configuration
+ * @returns {ethers.Interface}
+ */
+function getDeployInterface(factory) {
+  if (!deployInterfaces.has(factory.address)) {
+    deployInterfaces.set(factory.address, new ethers.Interface([factory.deployFunction]));
+  }
+  return deployInterfaces.get(factory.address);
+}
+
+/**
+ * Insert the built-in overrides and exclusions without touching edited records
+ */
+async function seedDefaultRules() {
+  await DeployerOverride.bulkWrite(DEFAULT_OVERRIDES.map(override => ({
+    updateOne: {
+      filter: { chainId: override.chainId, transactionHash: override.transactionHash.toLowerCase() },
+      update: { $setOnInsert: { ...override, reason: 'Verified manually' } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  await DeployerExclusion.bulkWrite(DEFAULT_EXCLUSIONS.map(exclusion => ({
+    updateOne: {
+      filter: { address: exclusion.address.toLowerCase() },
+      update: { $setOnInsert: exclusion },
+      upsert: true
+    }
+  })), { ordered: false });
+}
+
+/**
+ * Write overrides onto tokens that were already stored with another deployer
+ * @param {Array} overrides - Override documents
+ */
+async function applyOverridesToStoredTokens(overrides) {
+  if (overrides.length === 0) return;
+
+  const operations = overrides.map(override => ({
+    updateMany: {
+      filter: {
+        chainId: override.chainId,
+        ...(override.contractAddress
+          ? { contractAddress: override.contractAddress }
+          : { transactionHash: override.transactionHash }),
+        deployer: { $ne: override.deployer }
+      },
+      update: { $set: { deployer: override.deployer, deployerStrategy: 'override' } }
+    }
+  }));
+
+  const result = await Token.bulkWrite(operations, { maxTimeMS: 60000, ordered: false });
+  if (result.modifiedCount > 0) {
+    logger.info(`Applied deployer overrides to ${result.modifiedCount} stored tokens`);
+  }
+}
+
+/**
+ * Load overrides and exclusions, re-reading them once the refresh interval has passed
+ * @returns {Promise<Object>} { overrides: Map, exclusions: Set }
+ */
+async function loadRules() {
+  if (rules && Date.now() - rulesLoadedAt < RULES_REFRESH_INTERVAL) {
+    return rules;
+  }
+
+  if (!rulesLoading) {
+    rulesLoading = (async () => {
+      const [overrides, exclusions] = await Promise.all([
+        DeployerOverride.find({}).lean(),
+        DeployerExclusion.find({}).lean()
+      ]);
+
+      const fingerprint = JSON.stringify([
+        overrides.map(o => [o.chainId, o.transactionHash, o.contractAddress, o.deployer]).sort(),
+        exclusions.map(e => e.address).sort()
+      ]);
+
+      const overrideMap = new Map();
+      for (const override of overrides) {
+        if (override.transactionHash) overrideMap.set(`${override.chainId}:tx:${override.transactionHash}`, override);
+        if (override.contractAddress) overrideMap.set(`${override.chainId}:token:${override.contractAddress}`, override);
+      }
+
+      // Cached resolutions may be stale once the rules change
+      if (!rules || rules.fingerprint !== fingerprint) {
+        cache.clear();
+        await applyOverridesToStoredTokens(overrides);
+      }
+
+      rules = {
+        fingerprint,
+        overrides: overrideMap,
+        exclusions: new Set(exclusions.map(exclusion => exclusion.address))
+      };
+      rulesLoadedAt = Date.now();
+      return rules;
+    })().finally(() => {
+      rulesLoading = null;
+    });
+  }
+
+  try {
+    return await rulesLoading;
+  } catch (error) {
+    // Keep resolving with the last known rules if Mongo is briefly unavailable
+    if (rules) {
+      logger.error(`Error refreshing deployer rules, using previous rules: ${error.message}`);
+      return rules;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether an address can't be recorded as a deployer
+ * @param {string} address - Candidate address
+ * @param {Object} context - Resolution context
+ * @returns {boolean}
+ */
+function isExcluded(address, context) {
+  if (!address || !ethers.isAddress(address)) return true;
+
+  const normalizedAddress = address.toLowerCase();
+  return context.rules.exclusions.has(normalizedAddress) ||
+    normalizedAddress === ethers.ZeroAddress ||
+    normalizedAddress === context.factory.address;
+}
+
+/**
+ * Decode the `_deployer` argument from deploy function calldata
+ * @param {string} data - Calldata
+ * @param {Object} factory - Factory configuration
+ * @returns {string|null} Deployer argument, or null if the calldata isn't a deploy call
+ */
+function decodeDeployerArgument(data, factory) {
+  const deployInterface = getDeployInterface(factory);
+  const deployFunction = deployInterface.fragments[0];
+
+  if (!data || data.slice(0, 10) !== deployFunction.selector) {
+    return null;
+  }
+
+  const decoded = deployInterface.parseTransaction({ data });
+  const deployerIndex = deployFunction.inputs.findIndex(input => input.name === '_deployer');
+
+  return deployerIndex >= 0 ? decoded.args[deployerIndex] : null;
+}
+
+/**
+ * Find the call into the factory inside a callTracer frame tree
+ * @param {Object} frame - callTracer frame
+ * @param {string} factoryAddress - Lowercase factory address
+ * @returns {Object|null} Frame whose `to` is the factory
+ */
+function findFactoryCall(frame, factoryAddress) {
+  if (!frame) return null;
+  if (frame.to && frame.to.toLowerCase() === factoryAddress) return frame;
+
+  for (const child of frame.calls || []) {
+    const found = findFactoryCall(child, factoryAddress);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Each strategy returns a candidate address or null
+const STRATEGIES = {
+  // Manually verified deployer for the token or its transaction
+  override: async (context) => {
+    const { overrides } = context.rules;
+    const override = overrides.get(`${context.chainId}:token:${context.contractAddress}`) ||
+      overrides.get(`${context.chainId}:tx:${context.transactionHash}`);
+    return override ? override.deployer : null;
+  },
+
+  // `_deployer` argument of a direct call to the factory
+  'deploy-arg': async (context) => {
+    const tx = await context.getTransaction();
+    if (!tx || !tx.to || tx.to.toLowerCase() !== context.factory.address) return null;
+    return decodeDeployerArgument(tx.data, context.factory);
+  },
+
+  // Sender of a direct call to the factory
+  'tx-from': async (context) => {
+    const tx = await context.getTransaction();
+    if (!tx || !tx.to || tx.to.toLowerCase() !== context.factory.address) return null;
+    return tx.from;
+  },
+
+  // Calls via routers or multisigs: the `_deployer` argument of the internal call
+  // to the factory, else the contract that made that call. Needs debug_traceTransaction.
+  trace: async (context) => {
+    let trace;
+    try {
+      trace = await context.provider.send('debug_traceTransaction', [context.transactionHash, { tracer: 'callTracer' }]);
+    } catch (error) {
+      logger.debug(`Trace unavailable for ${context.transactionHash}: ${error.message}`);
+      return null;
+    }
+
+    const call = findFactoryCall(trace, context.factory.address);
+    if (!call) return null;
+
+    const deployerArgument = decodeDeployerArgument(call.input, context.factory);
+    if (deployerArgument && !isExcluded(deployerArgument, context)) {
+      return deployerArgument;
+    }
+    return call.from;
+  }
+};
+
+/**
+ * Resolve a token's deployer by trying each strategy in order
+ * @param {Object} token - Decoded token (contractAddress, transactionHash)
+ * @param {ethers.Provider} provider - Blockchain provider
+ * @param {Object} pipeline - Pipeline the token was created on (chain, factory)
+ * @returns {Promise<Object>} { deployer, strategy }, both null when unresolved
+ */
+async function resolveDeployer(token, provider, pipeline) {
+  const chainId = pipeline.chain.chainId;
+  const transactionHash = token.transactionHash.toLowerCase();
+  const cacheKey = `${chainId}:${transactionHash}`;
+
+  try {
+    const currentRules = await loadRules();
+
+    if (cache.has(cacheKey)) {
+      return cache.get(cacheKey);
+    }
+
+    let txPromise = null;
+    const context = {
+      chainId,
+      transactionHash,
+      contractAddress: token.contractAddress.toLowerCase(),
+      factory: pipeline.factory,
+      provider,
+      rules: currentRules,
+      getTransaction: () => {
+        txPromise = txPromise || provider.getTransaction(transactionHash);
+        return txPromise;
+      }
+    };
+
+    for (const name of pipeline.factory.deployerStrategies || DEFAULT_STRATEGY_ORDER) {
+      const strategy = STRATEGIES[name];
+      if (!strategy) {
+        logger.warn(`Unknown deployer strategy "${name}" configured for ${pipeline.name}`);
+        continue;
+      }
+
+      try {
+        const candidate = await strategy(context);
+
+        if (candidate && !isExcluded(candidate, context)) {
+          const result = { deployer: candidate.toLowerCase(), strategy: name };
+          cache.set(cacheKey, result);
+          logger.debug(`Resolved deployer ${result.deployer} for ${transactionHash} via ${name}`);
+          return result;
+        }
+
+        if (candidate) {
+          logger.debug(`Deployer candidate ${candidate} from ${name} is excluded for ${transactionHash}`);
+        }
+      } catch (error) {
+        logger.error(`Deployer strategy ${name} failed for ${transactionHash}: ${error.message}`);
+      }
+    }
+
+    logger.warn(`Could not resolve a deployer for ${transactionHash}`);
+    return { deployer: null, strategy: null };
+  } catch (error) {
+    logger.error(`Error resolving deployer for ${transactionHash}: ${error.message}`);
+    return { deployer: null, strategy: null };
+  }
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY_ORDER,
+  seedDefaultRules,
+  loadRules,
+  resolveDeployer
+};
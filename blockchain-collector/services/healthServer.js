@@ -0,0 +1,271 @@
+// blockchain-collector/services/healthServer.js
+const http = require('http');
+const crypto = require('crypto');
+const db = require('../../shared/config/db');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const blockStateService = require('./blockStateService');
+const rpc = require('../utils/rpc');
+const metrics = require('../utils/metrics');
+const jobRunner = require('./jobRunner');
+const lifecycle = require('../utils/lifecycle');
+
+let server = null;
+
+// Pipelines and chains checked by /readyz, set by start()
+let pipelines = [];
+let activeChains = [];
+
+/**
+ * Reject if a promise doesn't settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} label - Used in the timeout error
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check every readiness condition: Mongo connected, each chain's RPC reachable
+ * and each token cursor within READY_MAX_CURSOR_LAG_BLOCKS of the safe head
+ * @returns {Promise<Object>} { ready, checks }
+ */
+async function checkReadiness() {
+  const timeoutMs = parseInt(process.env.READY_RPC_TIMEOUT_MS, 10) || constants.READY_RPC_TIMEOUT_MS;
+  const maxLag = parseInt(process.env.READY_MAX_CURSOR_LAG_BLOCKS, 10) || constants.READY_MAX_CURSOR_LAG_BLOCKS;
+
+  const mongoReady = db.isConnected();
+  const checks = {
+    mongo: { ok: mongoReady },
+    rpc: {},
+    cursors: {}
+  };
+
+  // Chain heads, looked up in parallel so one slow RPC doesn't stack timeouts
+  const heads = new Map();
+  await Promise.all(activeChains.map(async (chain) => {
+    try {
+      const provider = rpc.createProvider(chain);
+      try {
+        const head = await withTimeout(provider.getBlockNumber(), timeoutMs, `${chain.name} getBlockNumber`);
+        heads.set(chain.chainId, head);
+        checks.rpc[chain.name] = { ok: true, blockNumber: head, endpoints: provider.pool.getStatus() };
+      } catch (error) {
+        checks.rpc[chain.name] = { ok: false, error: error.message, endpoints: provider.pool.getStatus() };
+      }
+    } catch (error) {
+      // No usable endpoint configured
+      checks.rpc[chain.name] = { ok: false, error: error.message };
+    }
+  }));
+
+  for (const pipeline of pipelines) {
+    const head = heads.get(pipeline.chain.chainId);
+    if (!mongoReady || head === undefined) {
+      checks.cursors[pipeline.name] = { ok: false, error: mongoReady ? 'Chain head unknown' : 'Mongo not connected' };
+      continue;
+    }
+
+    try {
+      const lastBlock = await blockStateService.getLastProcessedBlock(pipeline.cursorKey);
+      // The scanner deliberately stays CONFIRMATION_BLOCKS behind the head
+      const lag = Math.max(0, head - blockStateService.getConfirmationBlocks() - lastBlock);
+      metrics.cursorLag.set({ pipeline: pipeline.name }, lag);
+      checks.cursors[pipeline.name] = { ok: lag <= maxLag, lastBlock, lag };
+    } catch (error) {
+      checks.cursors[pipeline.name] = { ok: false, error: error.message };
+    }
+  }
+
+  const ready = checks.mongo.ok &&
+    Object.values(checks.rpc).every(check => check.ok) &&
+    Object.values(checks.cursors).every(check => check.ok);
+
+  return { ready, checks };
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Check the job control bearer token. The health port is open to scrapers and
+ * probes, so job control is off unless JOB_CONTROL_TOKEN is set.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {number|null} 401/403 status to reject with, or null when authorized
+ */
+function authorizeJobControl(req) {
+  const token = process.env.JOB_CONTROL_TOKEN;
+  if (!token) return 403;
+
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (!match) return 401;
+
+  // Compare digests so the check takes the same time whatever the input
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(token)) ? null : 401;
+}
+
+/**
+ * Job control: GET /jobs, GET /jobs/:name (recent runs) and
+ * POST /jobs/:name/trigger|pause|resume, all behind JOB_CONTROL_TOKEN
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} name - Job name, or undefined for the list
+ * @param {string} action - trigger, pause, resume, or undefined
+ */
+async function handleJobRequest(req, res, name, action) {
+  const rejected = authorizeJobControl(req);
+  if (rejected === 403) {
+    return sendJson(res, 403, { error: 'Job control is disabled, set JOB_CONTROL_TOKEN to enable it' });
+  }
+  if (rejected) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return sendJson(res, 401, { error: 'Invalid or missing job control token' });
+  }
+
+  const expectedMethod = action ? 'POST' : 'GET';
+  if (req.method !== expectedMethod) {
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (!name) {
+    return sendJson(res, 200, { data: await jobRunner.listJobs() });
+  }
+
+  if (!jobRunner.hasJob(name)) {
+    return sendJson(res, 404, { error: `Unknown job ${name}` });
+  }
+
+  switch (action) {
+    case 'trigger': {
+      const { started, runId, reason } = jobRunner.trigger(name);
+      if (started) {
+        return sendJson(res, 202, { job: name, runId });
+      }
+      return reason === 'stopped'
+        ? sendJson(res, 409, { error: 'Collector is shutting down' })
+        : sendJson(res, 409, { error: `Job ${name} is already ${reason}`, runId });
+    }
+    case 'pause':
+    case 'resume':
+      await jobRunner.setPaused(name, action === 'pause');
+      return sendJson(res, 200, { job: name, paused: action === 'pause' });
+    default:
+      return sendJson(res, 200, { job: name, runs: await jobRunner.getRuns(name) });
+  }
+}
+
+/**
+ * Route a request to /healthz, /readyz, /metrics or the job control endpoints
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  try {
+    const jobMatch = pathname.match(/^\/jobs(?:\/([^/]+)(?:\/(trigger|pause|resume))?)?\/?$/);
+    if (jobMatch) {
+      let name = jobMatch[1];
+      try {
+        name = name && decodeURIComponent(name);
+      } catch (error) {
+        // A stray % in the path is the client's mistake, not ours
+        return sendJson(res, 400, { error: 'Malformed job name' });
+      }
+      return await handleJobRequest(req, res, name, jobMatch[2]);
+    }
+
+    if (req.method !== 'GET') {
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    switch (pathname) {
+      case '/healthz':
+        // Liveness only: the process is up and the event loop answers
+        return sendJson(res, 200, { status: 'ok', uptime: process.uptime() });
+      case '/readyz': {
+        // Take the instance out of rotation as soon as it starts draining
+        if (lifecycle.isShuttingDown()) {
+          return sendJson(res, 503, { status: 'shutting down' });
+        }
+
+        const { ready, checks } = await checkReadiness();
+        return sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not ready', checks });
+      }
+      case '/metrics':
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        return res.end(metrics.render());
+      default:
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+  } catch (error) {
+    logger.error(`Health endpoint ${pathname} failed:`, error);
+    return sendJson(res, 500, { error: 'Internal error' });
+  }
+}
+
+/**
+ * Start the health, readiness and metrics server
+ * @param {Object} options - { pipelines, activeChains } checked by /readyz
+ * @param {number} [port] - Port to listen on
+ * @returns {http.Server}
+ */
+function start(options = {}, port = process.env.HEALTH_PORT || constants.HEALTH_PORT) {
+  if (server) return server;
+
+  pipelines = options.pipelines || [];
+  activeChains = options.activeChains || [];
+
+  const created = http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+
+  created.on('error', (error) => {
+    logger.error('Health server error:', error);
+  });
+
+  created.listen(Number(port), () => {
+    logger.info(`Health and metrics endpoints listening on port ${created.address().port}`);
+  });
+
+  server = created;
+  return server;
+}
+
+/**
+ * Stop the server
+ * @returns {Promise<void>}
+ */
+function stop() {
+  if (!server) return Promise.resolve();
+
+  const closing = server;
+  server = null;
+
+  return new Promise((resolve) => {
+    closing.close(() => resolve());
+    // Scrapers use keep-alive; don't wait for them to hang up
+    if (closing.closeIdleConnections) closing.closeIdleConnections();
+  });
+}
+
+module.exports = {
+  start,
+  stop,
+  checkReadiness
+};
@@ -0,0 +1,422 @@
+// blockchain-collector/services/holderService.js
+const { ethers } = require('ethers');
+const Token = require('../../shared/models/Token');
+const TokenHolder = require('../../shared/models/TokenHolder');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const blockStateService = require('./blockStateService');
+const poolService = require('./poolService');
+const metrics = require('../utils/metrics');
+const lifecycle = require('../utils/lifecycle');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+// Balances held here count as burnt supply, not as holders in the top 10
+const BURN_ADDRESSES = [ethers.ZeroAddress, '0x000000000000000000000000000000000000dead'];
+
+// Transfer log walk: blocks per cursor step, tokens per getLogs call, and
+// blocks per getLogs call when replaying a single token's history
+const SCAN_CONFIG = {
+  chunkSize: 2000,
+  tokensPerQuery: 200,
+  catchUpChunkSize: 50000
+};
+
+// Largest holders counted in the concentration share
+const TOP_HOLDERS = 10;
+
+// Share precision (parts per million)
+const SHARE_SCALE = 1000000n;
+
+// Pipelines with a holder scan in progress, keyed by pipeline name
+const scanning = new Set();
+
+/**
+ * Holder stream cursor key for a token pipeline
+ * @param {Object} pipeline - Pipeline from tokenScannerService.createPipeline
+ * @returns {Object} CollectorState key
+ */
+function getHolderCursorKey(pipeline) {
+  return { chainId: pipeline.chain.chainId, factoryAddress: pipeline.factory.address, stream: 'holders' };
+}
+
+/**
+ * Decode an ERC-20 Transfer log
+ * @param {Object} log - Event log
+ * @returns {Object|null} { contractAddress, from, to, value, blockNumber, logIndex }
+ */
+function decodeTransfer(log) {
+  // ERC-721 shares the event signature but indexes tokenId as a fourth topic
+  if (log.topics.length !== 3 || ethers.dataLength(log.data) !== 32) {
+    return null;
+  }
+
+  return {
+    contractAddress: log.address.toLowerCase(),
+    from: ethers.dataSlice(log.topics[1], 12).toLowerCase(),
+    to: ethers.dataSlice(log.topics[2], 12).toLowerCase(),
+    value: BigInt(log.data),
+    blockNumber: log.blockNumber,
+    logIndex: log.index
+  };
+}
+
+/**
+ * Apply decoded transfers to stored balances. Each holder remembers the last
+ * transfer applied to it, so replaying a range after a crash changes nothing.
+ * @param {Object} chain - Chain configuration
+ * @param {Array} transfers - Decoded transfers
+ * @returns {Promise<Set<string>>} Tokens whose balances changed
+ */
+async function applyTransfers(chain, transfers) {
+  const changedTokens = new Set();
+  if (transfers.length === 0) return changedTokens;
+
+  const keyOf = (contractAddress, address) => `${contractAddress}:${address}`;
+
+  // Addresses touched per token (mints and burns have no holder on the zero side)
+  const touched = new Map();
+  for (const transfer of transfers) {
+    if (!touched.has(transfer.contractAddress)) touched.set(transfer.contractAddress, new Set());
+    for (const address of [transfer.from, transfer.to]) {
+      if (address !== ethers.ZeroAddress) touched.get(transfer.contractAddress).add(address);
+    }
+  }
+
+  const existing = await TokenHolder.find(
+    {
+      chainId: chain.chainId,
+      $or: [...touched].map(([contractAddress, addresses]) => ({
+        contractAddress,
+        address: { $in: [...addresses] }
+      }))
+    },
+    { contractAddress: 1, address: 1, balance: 1, lastBlock: 1, lastLogIndex: 1 }
+  ).lean();
+
+  const holders = new Map(existing.map(holder => [keyOf(holder.contractAddress, holder.address), {
+    contractAddress: holder.contractAddress,
+    address: holder.address,
+    balance: BigInt(holder.balance || '0'),
+    lastBlock: holder.lastBlock != null ? holder.lastBlock : -1,
+    lastLogIndex: holder.lastLogIndex != null ? holder.lastLogIndex : -1,
+    changed: false
+  }]));
+
+  const ordered = [...transfers].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  for (const transfer of ordered) {
+    // A transfer to yourself moves nothing
+    if (transfer.from === transfer.to) continue;
+
+    const sides = [[transfer.from, -transfer.value], [transfer.to, transfer.value]];
+    for (const [address, delta] of sides) {
+      if (address === ethers.ZeroAddress) continue;
+
+      const key = keyOf(transfer.contractAddress, address);
+      if (!holders.has(key)) {
+        holders.set(key, {
+          contractAddress: transfer.contractAddress,
+          address,
+          balance: 0n,
+          lastBlock: -1,
+          lastLogIndex: -1,
+          changed: false
+        });
+      }
+
+      const holder = holders.get(key);
+      const alreadyApplied = transfer.blockNumber < holder.lastBlock ||
+        (transfer.blockNumber === holder.lastBlock && transfer.logIndex <= holder.lastLogIndex);
+      if (alreadyApplied) continue;
+
+      holder.balance += delta;
+      holder.lastBlock = transfer.blockNumber;
+      holder.lastLogIndex = transfer.logIndex;
+      holder.changed = true;
+    }
+  }
+
+  const operations = [];
+  for (const holder of holders.values()) {
+    if (!holder.changed) continue;
+
+    changedTokens.add(holder.contractAddress);
+    operations.push({
+      updateOne: {
+        filter: { chainId: chain.chainId, contractAddress: holder.contractAddress, address: holder.address },
+        update: {
+          $set: {
+            balance: holder.balance.toString(),
+            balanceValue: Number(holder.balance),
+            lastBlock: holder.lastBlock,
+            lastLogIndex: holder.lastLogIndex
+          }
+        },
+        upsert: true
+      }
+    });
+  }
+
+  if (operations.length > 0) {
+    const endTimer = metrics.bulkWriteDuration.startTimer({ collection: 'tokenholders' });
+    await TokenHolder.bulkWrite(operations, { maxTimeMS: 60000, ordered: false });
+    endTimer();
+  }
+
+  return changedTokens;
+}
+
+/**
+ * Fetch Transfer logs for a set of tokens over a block range and apply them
+ * @param {Object} chain - Chain configuration
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @param {Array<string>} addresses - Token addresses
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @param {Object} options - { log, chunkSize }
+ * @returns {Promise<Object>} { transfers, changedTokens }
+ */
+async function indexTransfers(chain, provider, addresses, fromBlock, toBlock, options) {
+  const changedTokens = new Set();
+  let transfers = 0;
+
+  for (let i = 0; i < addresses.length; i += SCAN_CONFIG.tokensPerQuery) {
+    const address = addresses.slice(i, i + SCAN_CONFIG.tokensPerQuery);
+
+    await poolService.walkLogs(provider, { address, topics: [TRANSFER_TOPIC] }, fromBlock, toBlock, async (logs) => {
+      const decoded = logs.map(decodeTransfer).filter(Boolean);
+      transfers += decoded.length;
+
+      for (const contractAddress of await applyTransfers(chain, decoded)) {
+        changedTokens.add(contractAddress);
+      }
+    }, { log: options.log, initialChunkSize: options.chunkSize, maxChunkSize: options.chunkSize });
+  }
+
+  return { transfers, changedTokens };
+}
+
+/**
+ * Share of supply as a fraction with SHARE_SCALE precision
+ * @param {bigint} amount - Raw amount
+ * @param {bigint} supply - Raw total supply
+ * @returns {number}
+ */
+function toShare(amount, supply) {
+  if (supply <= 0n) return 0;
+  return Number((amount * SHARE_SCALE) / supply) / Number(SHARE_SCALE);
+}
+
+/**
+ * Recompute holder count, top-10 concentration and deployer share for tokens
+ * @param {Object} chain - Chain configuration
+ * @param {Array<string>} contractAddresses - Tokens to update
+ * @returns {Promise<number>} Number of tokens updated
+ */
+async function updateHolderStats(chain, contractAddresses) {
+  if (contractAddresses.length === 0) return 0;
+
+  const { chainId } = chain;
+  const tokens = await Token.find(
+    { chainId, contractAddress: { $in: contractAddresses } },
+    { contractAddress: 1, totalSupply: 1, deployer: 1, 'v3Pools.address': 1 }
+  ).lean();
+
+  const now = new Date();
+  const operations = [];
+
+  for (const token of tokens) {
+    try {
+      const { contractAddress } = token;
+
+      // Pools hold liquidity rather than a position, so they don't count towards concentration
+      const excluded = [...BURN_ADDRESSES, ...(token.v3Pools || []).map(pool => pool.address)];
+
+      const [holderCount, topHolders, deployerHolder] = await Promise.all([
+        TokenHolder.countDocuments({ chainId, contractAddress, balanceValue: { $gt: 0 } }),
+        TokenHolder.find(
+          { chainId, contractAddress, balanceValue: { $gt: 0 }, address: { $nin: excluded } },
+          { balance: 1 }
+        ).sort({ balanceValue: -1 }).limit(TOP_HOLDERS).lean(),
+        token.deployer
+          ? TokenHolder.findOne({ chainId, contractAddress, address: token.deployer.toLowerCase() }, { balance: 1 }).lean()
+          : null
+      ]);
+
+      const stats = { holderCount, holdersUpdatedAt: now };
+
+      if (token.totalSupply) {
+        const supply = BigInt(token.totalSupply);
+        const topBalance = topHolders.reduce((sum, holder) => sum + BigInt(holder.balance), 0n);
+        const deployerBalance = deployerHolder ? BigInt(deployerHolder.balance) : 0n;
+
+        stats.top10HolderShare = toShare(topBalance, supply);
+        stats.deployerShare = toShare(deployerBalance > 0n ? deployerBalance : 0n, supply);
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { chainId, contractAddress },
+          update: { $set: stats }
+        }
+      });
+    } catch (error) {
+      logger.error(`Error computing holder stats for ${token.contractAddress}: ${error.message}`);
+    }
+  }
+
+  if (operations.length > 0) {
+    await Token.bulkWrite(operations, { maxTimeMS: 60000, ordered: false });
+  }
+
+  return operations.length;
+}
+
+/**
+ * Replay the Transfer history of tokens that were stored before the holder
+ * cursor reached them, up to the cursor, then hand them to the live walk
+ * @param {Object} pipeline - Pipeline from createPipeline
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @param {number} lastBlock - Holder cursor
+ * @param {Set<string>} changedTokens - Collects tokens whose balances changed
+ * @returns {Promise<number>} Number of tokens caught up
+ */
+async function catchUpTokens(pipeline, provider, lastBlock, changedTokens) {
+  const { chain, factory } = pipeline;
+
+  // Newest first: recent launches are the ones people look at
+  const tokens = await Token.find(
+    { chainId: chain.chainId, factoryAddress: factory.address, holdersTracked: { $ne: true }, blockNumber: { $lte: lastBlock } },
+    { contractAddress: 1, blockNumber: 1 }
+  ).sort({ blockNumber: -1 }).limit(constants.HOLDER_CATCHUP_BATCH).lean();
+
+  let caughtUp = 0;
+
+  for (const token of tokens) {
+    if (lifecycle.isShuttingDown()) break;
+
+    try {
+      const result = await indexTransfers(chain, provider, [token.contractAddress], token.blockNumber, lastBlock, {
+        log: pipeline.log.child({ contractAddress: token.contractAddress }),
+        chunkSize: SCAN_CONFIG.catchUpChunkSize
+      });
+
+      await Token.updateOne({ chainId: chain.chainId, contractAddress: token.contractAddress }, { $set: { holdersTracked: true } });
+      changedTokens.add(token.contractAddress);
+      caughtUp++;
+
+      pipeline.log.debug(`Replayed ${result.transfers} transfers for ${token.contractAddress}`);
+    } catch (error) {
+      pipeline.log.error(`Error replaying transfers for ${token.contractAddress}: ${error.message}`);
+    }
+  }
+
+  return caughtUp;
+}
+
+/**
+ * Walk Transfer logs of a pipeline's tokens from the holder cursor up to the
+ * token cursor, then catch up tokens the cursor has already passed
+ * (caller must hold the holder cursor lease)
+ * @param {Object} pipeline - Pipeline from createPipeline
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ */
+async function scanHolders(pipeline, provider) {
+  const { chain, factory } = pipeline;
+  const cursorKey = getHolderCursorKey(pipeline);
+
+  // Tokens are known up to the token cursor, so holders never get ahead of it
+  const limit = await blockStateService.getLastProcessedBlock(pipeline.cursorKey);
+  let lastBlock = await blockStateService.getLastProcessedBlock(cursorKey);
+
+  if (limit === 0) return { transfers: 0, tokens: 0 };
+
+  if (lastBlock === 0) {
+    // Tokens already stored are replayed one by one from their creation blocks
+    lastBlock = limit;
+    await blockStateService.saveLastProcessedBlock(cursorKey, lastBlock, null);
+    pipeline.log.info(`Starting holder indexing at block ${lastBlock + 1}`);
+  }
+
+  const changedTokens = new Set();
+  let transfers = 0;
+
+  if (lastBlock < limit) {
+    const tracked = (await Token.find(
+      { chainId: chain.chainId, factoryAddress: factory.address, holdersTracked: true },
+      { contractAddress: 1 }
+    ).lean()).map(token => token.contractAddress);
+
+    // Tokens created ahead of the cursor join the walk at the chunk containing their creation block
+    const upcoming = await Token.find(
+      { chainId: chain.chainId, factoryAddress: factory.address, holdersTracked: { $ne: true }, blockNumber: { $gt: lastBlock, $lte: limit } },
+      { contractAddress: 1, blockNumber: 1 }
+    ).sort({ blockNumber: 1 }).lean();
+
+    while (lastBlock < limit) {
+      const fromBlock = lastBlock + 1;
+      const toBlock = Math.min(fromBlock + SCAN_CONFIG.chunkSize - 1, limit);
+
+      const joining = [];
+      while (upcoming.length > 0 && upcoming[0].blockNumber <= toBlock) {
+        joining.push(upcoming.shift().contractAddress);
+      }
+
+      const result = await indexTransfers(chain, provider, [...tracked, ...joining], fromBlock, toBlock, {
+        log: pipeline.log,
+        chunkSize: SCAN_CONFIG.chunkSize
+      });
+      transfers += result.transfers;
+      result.changedTokens.forEach(contractAddress => changedTokens.add(contractAddress));
+
+      if (joining.length > 0) {
+        await Token.updateMany({ chainId: chain.chainId, contractAddress: { $in: joining } }, { $set: { holdersTracked: true } });
+        tracked.push(...joining);
+      }
+
+      await blockStateService.saveLastProcessedBlock(cursorKey, toBlock, null);
+      lastBlock = toBlock;
+    }
+
+    pipeline.log.info(`Holder indexing reached block ${lastBlock}, ${transfers} transfers across ${tracked.length} tokens`);
+  }
+
+  const caughtUp = await catchUpTokens(pipeline, provider, lastBlock, changedTokens);
+  if (caughtUp > 0) {
+    pipeline.log.info(`Replayed transfer history for ${caughtUp} tokens up to block ${lastBlock}`);
+  }
+
+  const updated = await updateHolderStats(chain, [...changedTokens]);
+  return { transfers, tokens: updated };
+}
+
+/**
+ * Index Transfer events for a pipeline's tokens under the holder cursor lease
+ * @param {Object} pipeline - Pipeline from createPipeline
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ */
+async function indexHolders(pipeline, provider) {
+  if (scanning.has(pipeline.name)) {
+    pipeline.log.warn('Holder indexing already in progress, skipping this run');
+    return;
+  }
+
+  scanning.add(pipeline.name);
+  try {
+    await logger.withContext(pipeline.logContext, () =>
+      blockStateService.withLease(getHolderCursorKey(pipeline), () => scanHolders(pipeline, provider))
+    );
+  } catch (error) {
+    pipeline.log.error('Error indexing holders:', error);
+  } finally {
+    scanning.delete(pipeline.name);
+  }
+}
+
+module.exports = {
+  decodeTransfer,
+  applyTransfers,
+  updateHolderStats,
+  indexHolders
+};
@@ -0,0 +1,449 @@
+// blockchain-collector/services/jobRunner.js
+const crypto = require('crypto');
+const cron = require('node-cron');
+const JobState = require('../../shared/models/JobState');
+const JobRun = require('../../shared/models/JobRun');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const { INSTANCE_ID } = require('./blockStateService');
+const metrics = require('../utils/metrics');
+const { ShutdownError, waitUntil } = require('../utils/lifecycle');
+
+// Registered jobs by name: { name, schedule, fn, task, running, runId }
+const jobs = new Map();
+
+// Set by stop(); no new runs start after that
+let stopped = false;
+
+/**
+ * Register a job. The function receives a run context and may return a
+ * service result ({ success, skipped, ...counts }) to record as counters.
+ * @param {string} name - Job name
+ * @param {string|null} schedule - Cron expression from constants, or null for manual-only jobs
+ * @param {Function} fn - async (run) => result
+ */
+function register(name, schedule, fn) {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  if (schedule && !cron.validate(schedule)) {
+    throw new Error(`Invalid schedule for job ${name}: ${schedule}`);
+  }
+
+  jobs.set(name, { name, schedule, fn, task: null, running: null, runId: null });
+}
+
+/**
+ * Run context handed to a job: counters plus the run's identity
+ * @param {string} runId - Run id
+ * @param {string} trigger - schedule, startup or manual
+ * @returns {Object} { runId, trigger, counters, count, record }
+ */
+function createRunContext(runId, trigger) {
+  const counters = {};
+
+  const run = {
+    runId,
+    trigger,
+    counters,
+
+    /**
+     * Add to a counter
+     * @param {string} name - Counter name
+     * @param {number} [value] - Amount
+     */
+    count(name, value = 1) {
+      counters[name] = (counters[name] || 0) + value;
+    },
+
+    /**
+     * Add a service result's numeric fields to the counters; unsuccessful
+     * results count as `skipped` or `failed`
+     * @param {Object} result - { success, skipped, ...counts }
+     */
+    record(result) {
+      if (!result || typeof result !== 'object') return;
+
+      for (const [key, value] of Object.entries(result)) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+          run.count(key, value);
+        }
+      }
+
+      if (result.skipped) {
+        run.count('skipped');
+      } else if (result.success === false) {
+        run.count('failed');
+      }
+    }
+  };
+
+  return run;
+}
+
+/**
+ * Take the cross-instance lock on a job
+ * @param {string} name - Job name
+ * @param {string} runId - Run taking the lock
+ * @returns {Promise<Object>} { acquired, previous } where previous is the state before locking
+ */
+async function acquireLock(name, runId) {
+  const now = new Date();
+
+  try {
+    const previous = await JobState.findOneAndUpdate(
+      {
+        job: name,
+        $or: [
+          { 'lock.expiresAt': { $lt: now } },
+          { 'lock.owner': { $exists: false } }
+        ]
+      },
+      { $set: { lock: { owner: INSTANCE_ID, runId, expiresAt: new Date(now.getTime() + constants.JOB_LOCK_TTL) } } },
+      { upsert: true, maxTimeMS: 30000 }
+    ).lean();
+    return { acquired: true, previous };
+  } catch (error) {
+    // Another instance holds a live lock, so the upsert collided with its document
+    if (error.code === 11000) {
+      return { acquired: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Extend the lock while the run is still going
+ * @param {string} name - Job name
+ * @param {string} runId - Run holding the lock
+ */
+async function renewLock(name, runId) {
+  await JobState.updateOne(
+    { job: name, 'lock.runId': runId },
+    { $set: { 'lock.expiresAt': new Date(Date.now() + constants.JOB_LOCK_TTL) } },
+    { maxTimeMS: 30000 }
+  );
+}
+
+/**
+ * Record the outcome, then release the lock if this run still holds it
+ * @param {Object} job - Registered job
+ * @param {Object} outcome - { runId, status, startedAt, finishedAt, counters, error }
+ */
+async function finishRun(job, outcome) {
+  const { runId, status, startedAt, finishedAt, counters, error } = outcome;
+
+  await JobRun.updateOne(
+    { runId },
+    {
+      $set: {
+        status,
+        finishedAt,
+        durationMs: finishedAt - startedAt,
+        counters,
+        error: error ? error.message : undefined
+      }
+    },
+    { maxTimeMS: 30000 }
+  );
+
+  await JobState.updateOne(
+    { job: job.name, 'lock.runId': runId },
+    {
+      $set: { lastStatus: status, lastFinishedAt: finishedAt },
+      $unset: { lock: '' }
+    },
+    { maxTimeMS: 30000 }
+  );
+}
+
+/**
+ * Run a job unless it is paused or already running here or on another instance
+ * @param {Object} job - Registered job
+ * @param {string} runId - Run id
+ * @param {string} trigger - schedule, startup or manual
+ * @returns {Promise<Object>} { status, runId, reason, counters }
+ */
+async function execute(job, runId, trigger) {
+  const jobLogger = logger.child({ job: job.name, runId });
+
+  // Manual triggers run paused jobs; schedules and startup runs don't
+  const state = await JobState.findOne({ job: job.name }).lean();
+  if (state && state.paused && trigger !== 'manual') {
+    jobLogger.debug(`Job ${job.name} is paused, skipping`);
+    return { status: 'skipped', reason: 'paused' };
+  }
+
+  const { acquired, previous } = await acquireLock(job.name, runId);
+  if (!acquired) {
+    jobLogger.info(`Job ${job.name} is running on another instance, skipping`);
+    return { status: 'skipped', reason: 'locked' };
+  }
+
+  // A run left `running` behind an expired lock belongs to an instance that died
+  if (previous && previous.lastStatus === 'running' && previous.lastRunId) {
+    jobLogger.warn(`Job ${job.name} run ${previous.lastRunId} never finished, marking it abandoned`);
+    await JobRun.updateOne(
+      { runId: previous.lastRunId, status: 'running' },
+      { $set: { status: 'abandoned', finishedAt: new Date() } }
+    );
+  }
+
+  const startedAt = new Date();
+  const retentionDays = constants.JOB_RUN_RETENTION_DAYS;
+
+  try {
+    await JobRun.create({
+      job: job.name,
+      runId,
+      instanceId: INSTANCE_ID,
+      trigger,
+      status: 'running',
+      startedAt,
+      expiresAt: retentionDays ? new Date(startedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000) : undefined
+    });
+    await JobState.updateOne(
+      { job: job.name },
+      { $set: { lastRunId: runId, lastStatus: 'running', lastStartedAt: startedAt } }
+    );
+  } catch (error) {
+    // Don't leave the job locked for a run that never started
+    await JobState.updateOne({ job: job.name, 'lock.runId': runId }, { $unset: { lock: '' } }).catch(() => {});
+    throw error;
+  }
+
+  const renewTimer = setInterval(() => {
+    renewLock(job.name, runId).catch(error => jobLogger.error(`Error renewing job ${job.name} lock:`, error));
+  }, constants.JOB_LOCK_TTL / 3);
+
+  const run = createRunContext(runId, trigger);
+  let status = 'succeeded';
+  let error = null;
+
+  jobLogger.debug(`Job ${job.name} started`, { trigger });
+  try {
+    run.record(await job.fn(run));
+  } catch (err) {
+    if (err instanceof ShutdownError) {
+      status = 'interrupted';
+      jobLogger.info(`Job ${job.name} stopped early for shutdown`, { counters: run.counters });
+    } else {
+      status = 'failed';
+      error = err;
+      jobLogger.error(`Job ${job.name} failed:`, err);
+    }
+  } finally {
+    clearInterval(renewTimer);
+  }
+
+  const finishedAt = new Date();
+  jobLogger.debug(`Job ${job.name} finished`, { status, durationMs: finishedAt - startedAt, counters: run.counters });
+
+  await finishRun(job, { runId, status, startedAt, finishedAt, counters: run.counters, error })
+    .catch(err => jobLogger.error(`Error recording job ${job.name} run:`, err));
+
+  return { status, runId, counters: run.counters };
+}
+
+/**
+ * Run a registered job now, with its name and run id on every line logged
+ * while it runs. Overlapping runs are skipped.
+ * @param {string} name - Job name
+ * @param {Object} [options] - { trigger }
+ * @returns {Promise<Object>} { status, runId, reason, counters }
+ */
+async function runJob(name, { trigger = 'schedule' } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job ${name}`);
+  }
+
+  if (stopped) {
+    logger.debug(`Job runner stopped, skipping ${trigger} run of ${name}`, { job: name });
+    return { status: 'skipped', reason: 'stopped' };
+  }
+
+  if (job.running) {
+    logger.warn(`Job ${name} is still running (run ${job.runId}), skipping this ${trigger} run`, { job: name });
+    metrics.jobRuns.inc({ job: name, status: 'skipped' });
+    return { status: 'skipped', reason: 'running', runId: job.runId };
+  }
+
+  // Claimed before the first await so a tick that fires meanwhile sees it
+  const runId = crypto.randomUUID();
+  const endTimer = metrics.jobDuration.startTimer({ job: name });
+  job.runId = runId;
+  job.running = logger.withContext({ job: name, runId }, () => execute(job, runId, trigger));
+
+  try {
+    const result = await job.running;
+    if (result.status === 'skipped') {
+      metrics.jobRuns.inc({ job: name, status: 'skipped' });
+    } else {
+      endTimer();
+      metrics.jobRuns.inc({ job: name, status: result.status });
+    }
+    return result;
+  } catch (error) {
+    // Bookkeeping failed (usually Mongo unavailable) before the job itself ran
+    logger.error(`Job ${name} could not start:`, error, { job: name, runId });
+    metrics.jobRuns.inc({ job: name, status: 'failed' });
+    return { status: 'failed', runId, reason: error.message };
+  } finally {
+    job.running = null;
+    job.runId = null;
+  }
+}
+
+/**
+ * Start a job in the background from an operator request
+ * @param {string} name - Job name
+ * @returns {Object} { started, runId, reason }
+ */
+function trigger(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job ${name}`);
+  }
+
+  if (stopped) {
+    return { started: false, reason: 'stopped' };
+  }
+  if (job.running) {
+    return { started: false, runId: job.runId, reason: 'running' };
+  }
+
+  runJob(name, { trigger: 'manual' });
+  return { started: true, runId: job.runId };
+}
+
+/**
+ * Pause or resume a job's scheduled runs on every instance
+ * @param {string} name - Job name
+ * @param {boolean} paused - New pause state
+ */
+async function setPaused(name, paused) {
+  if (!jobs.has(name)) {
+    throw new Error(`Unknown job ${name}`);
+  }
+
+  await JobState.updateOne(
+    { job: name },
+    { $set: { paused, pausedAt: paused ? new Date() : null } },
+    { upsert: true }
+  );
+
+  logger.info(`Job ${name} ${paused ? 'paused' : 'resumed'}`, { job: name });
+}
+
+/**
+ * Every registered job with its schedule, pause state, lock and last run
+ * @returns {Promise<Array>}
+ */
+async function listJobs() {
+  const states = await JobState.find({ job: { $in: [...jobs.keys()] } }).lean();
+  const stateByJob = new Map(states.map(state => [state.job, state]));
+  const now = new Date();
+
+  return [...jobs.values()].map(job => {
+    const state = stateByJob.get(job.name) || {};
+    const lock = state.lock && state.lock.expiresAt > now ? state.lock : null;
+
+    return {
+      job: job.name,
+      schedule: job.schedule,
+      paused: Boolean(state.paused),
+      pausedAt: state.pausedAt || null,
+      running: Boolean(lock),
+      runningOn: lock ? lock.owner : null,
+      lastRunId: state.lastRunId || null,
+      lastStatus: state.lastStatus || null,
+      lastStartedAt: state.lastStartedAt || null,
+      lastFinishedAt: state.lastFinishedAt || null
+    };
+  });
+}
+
+/**
+ * Recent runs of a job, newest first
+ * @param {string} name - Job name
+ * @param {number} [limit] - Maximum runs
+ * @returns {Promise<Array>}
+ */
+async function getRuns(name, limit = 20) {
+  return JobRun.find({ job: name }, { _id: 0, __v: 0 })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .maxTimeMS(30000)
+    .lean();
+}
+
+/**
+ * Whether a job is registered
+ * @param {string} name - Job name
+ * @returns {boolean}
+ */
+function hasJob(name) {
+  return jobs.has(name);
+}
+
+/**
+ * Schedule every registered job that has a cron expression
+ */
+function start() {
+  if (stopped) return;
+
+  for (const job of jobs.values()) {
+    if (job.schedule && !job.task) {
+      job.task = cron.schedule(job.schedule, () => runJob(job.name));
+    }
+  }
+
+  logger.info(`Scheduled ${[...jobs.values()].filter(job => job.task).length} jobs`);
+}
+
+/**
+ * Stop scheduling new runs and refuse manual ones; runs already in progress
+ * finish on their own (see drain)
+ */
+function stop() {
+  stopped = true;
+
+  for (const job of jobs.values()) {
+    if (job.task) {
+      job.task.stop();
+      job.task = null;
+    }
+  }
+}
+
+/**
+ * Wait for runs in progress to finish, up to a deadline
+ * @param {number} deadline - Timestamp in ms
+ * @returns {Promise<Object>} { drained, running } where running lists jobs still going
+ */
+async function drain(deadline) {
+  const inFlight = [...jobs.values()].filter(job => job.running);
+  if (inFlight.length === 0) {
+    return { drained: true, running: [] };
+  }
+
+  logger.info(`Waiting for ${inFlight.length} running jobs to finish: ${inFlight.map(job => job.name).join(', ')}`);
+  await waitUntil(inFlight.map(job => job.running), deadline);
+
+  const running = [...jobs.values()].filter(job => job.running).map(job => job.name);
+  return { drained: running.length === 0, running };
+}
+
+module.exports = {
+  register,
+  runJob,
+  trigger,
+  setPaused,
+  listJobs,
+  getRuns,
+  hasJob,
+  start,
+  stop,
+  drain
+};
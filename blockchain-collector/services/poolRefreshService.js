@@ -0,0 +1,369 @@
+// blockchain-collector/services/poolRefreshService.js
+const Token = require('../../shared/models/Token');
+const PoolLiquidity = require('../../shared/models/PoolLiquidity');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const eventBus = require('../utils/eventBus');
+const poolService = require('./poolService');
+const priceEngine = require('./priceEngine');
+const tokenStorageService = require('./tokenStorageService');
+const lifecycle = require('../utils/lifecycle');
+
+// Stored pool fields compared between refreshes
+const STATE_FIELDS = ['liquidity', 'sqrtPriceX96', 'tick', 'tokenReserve', 'quoteReserve'];
+
+// Chains with a refresh in progress, to guard against overlapping scheduled runs
+const refreshingChains = new Set();
+
+/**
+ * Pick a token's refresh tier. Tokens whose pools moved recently stay on the
+ * fastest interval whatever their age; the rest go by age.
+ * @param {Object} token - Token document (createdAt, lastPoolChangeAt)
+ * @param {Date} now - Time of this run
+ * @returns {Object} { name, intervalMinutes }
+ */
+function getRefreshTier(token, now) {
+  const tiers = constants.POOL_REFRESH_TIERS;
+  const activeWindowMs = constants.POOL_ACTIVE_WINDOW_MINUTES * 60 * 1000;
+
+  if (token.lastPoolChangeAt && now - new Date(token.lastPoolChangeAt) < activeWindowMs) {
+    return { name: 'active', intervalMinutes: tiers[0].intervalMinutes };
+  }
+
+  const ageHours = token.createdAt ? (now - new Date(token.createdAt)) / 3600000 : Infinity;
+  return tiers.find(tier => tier.maxAgeHours === null || ageHours <= tier.maxAgeHours) || tiers[tiers.length - 1];
+}
+
+/**
+ * Delay before re-checking a token without pools: a quarter of its age,
+ * so young tokens are checked often and older ones less and less
+ * @param {Object} token - Token document (createdAt)
+ * @param {Date} now - Time of this run
+ * @returns {number} Minutes
+ */
+function getRecheckDelayMinutes(token, now) {
+  const ageMinutes = token.createdAt ? (now - new Date(token.createdAt)) / 60000 : Infinity;
+  return Math.min(
+    Math.max(ageMinutes / 4, constants.POOL_RECHECK_MIN_MINUTES),
+    constants.POOL_RECHECK_MAX_MINUTES
+  );
+}
+
+/**
+ * Fractional change between two raw reserves
+ * @param {string} previous - Previous reserve
+ * @param {string} current - Current reserve
+ * @returns {number|null} e.g. -0.8 for an 80% drop, or null without a previous value
+ */
+function getReserveChange(previous, current) {
+  if (previous === undefined || previous === null) return null;
+
+  const before = BigInt(previous);
+  if (before === 0n) return null;
+
+  // Scale before dividing so the bigint division keeps six decimals
+  return Number((BigInt(current) - before) * 1000000n / before) / 1000000;
+}
+
+/**
+ * Compare a token's freshly read pool states with the stored ones, build
+ * the Token and history writes and publish the token's current liquidity
+ * @param {Object} token - Lean token document with v3Pools
+ * @param {Array} states - readPoolStates results, in v3Pools order
+ * @param {Object} chain - Chain configuration
+ * @param {Date} now - Time of this run
+ * @param {number|null} wethUsd - WETH price in USD, null if it couldn't be read
+ * @returns {Object} { operations, snapshots }
+ */
+function refreshTokenPools(token, states, chain, now, wethUsd) {
+  const operations = [];
+  const snapshots = [];
+  const quoteTokens = priceEngine.getQuoteTokens(chain);
+  const pools = [];
+  let changed = false;
+
+  for (const [i, pool] of (token.v3Pools || []).entries()) {
+    if (!states[i].state) {
+      logger.warn(`Could not refresh pool ${pool.address} for ${token.contractAddress}: ${states[i].error.message}`);
+      continue;
+    }
+
+    const stored = poolService.toStoredState(states[i].state);
+
+    const liquidityUsd = priceEngine.getPoolDepthUsd(pool, stored.quoteReserve, wethUsd, quoteTokens);
+    if (liquidityUsd !== null) {
+      pools.push({ poolAddress: pool.address, dex: pool.dex, pairSymbol: pool.pairSymbol, liquidityUsd });
+    }
+
+    const poolChanged = STATE_FIELDS.some(field => stored[field] !== pool[field]);
+    changed = changed || poolChanged;
+
+    const $set = { 'v3Pools.$.refreshedAt': now };
+    for (const field of STATE_FIELDS) {
+      if (stored[field] !== undefined) $set[`v3Pools.$.${field}`] = stored[field];
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: token._id, 'v3Pools.address': pool.address },
+        update: { $set }
+      }
+    });
+
+    // The first refresh records a baseline, later ones only record changes
+    if (!poolChanged && pool.refreshedAt) continue;
+
+    const quoteReserveChange = getReserveChange(pool.quoteReserve, stored.quoteReserve);
+    const liquidityPulled = quoteReserveChange !== null && quoteReserveChange <= -constants.LIQUIDITY_PULL_THRESHOLD;
+
+    snapshots.push({
+      chainId: chain.chainId,
+      contractAddress: token.contractAddress,
+      poolAddress: pool.address,
+      dex: pool.dex,
+      ...stored,
+      quoteReserveChange,
+      liquidityPulled,
+      timestamp: now,
+      expiresAt: constants.LIQUIDITY_HISTORY_RETENTION_DAYS
+        ? new Date(now.getTime() + constants.LIQUIDITY_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+
+    if (liquidityPulled) {
+      logger.warn(`Liquidity pulled from ${pool.dex || 'uniswap-v3'} pool ${pool.address} for ${token.contractAddress}: quote reserve ${(quoteReserveChange * 100).toFixed(1)}%`);
+
+      eventBus.publish(eventBus.EVENTS.LIQUIDITY_PULLED, {
+        chainId: chain.chainId,
+        contractAddress: token.contractAddress,
+        deployer: token.deployer,
+        poolAddress: pool.address,
+        dex: pool.dex,
+        pairSymbol: pool.pairSymbol,
+        quoteReserveChange
+      });
+    }
+  }
+
+  // Every refresh, so rules like "liquidity above $N" see the current value
+  if (pools.length > 0) {
+    eventBus.publish(eventBus.EVENTS.LIQUIDITY_UPDATED, {
+      chainId: chain.chainId,
+      contractAddress: token.contractAddress,
+      deployer: token.deployer,
+      liquidityUsd: pools.reduce((sum, pool) => sum + pool.liquidityUsd, 0),
+      changed,
+      pools
+    });
+  }
+
+  const tier = getRefreshTier(changed ? { ...token, lastPoolChangeAt: now } : token, now);
+
+  operations.push({
+    updateOne: {
+      filter: { _id: token._id },
+      update: {
+        $set: {
+          poolRefreshTier: tier.name,
+          nextPoolRefreshAt: new Date(now.getTime() + tier.intervalMinutes * 60 * 1000),
+          ...(changed ? { lastPoolChangeAt: now } : {})
+        }
+      }
+    }
+  });
+
+  return { operations, snapshots };
+}
+
+/**
+ * Refresh the state of every pool whose token is due, in BATCH_SIZE groups
+ * @param {Object} chain - Chain configuration
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @returns {Promise<Object>} { refreshed, recorded }
+ */
+async function refreshDuePools(chain, provider) {
+  const now = new Date();
+  let refreshed = 0;
+  let recorded = 0;
+  let lastId = null;
+
+  // Values WETH-paired liquidity; stablecoin pairs are still valued without it
+  let wethUsd = null;
+  try {
+    wethUsd = await priceEngine.getWethUsdPrice(provider, chain);
+  } catch (error) {
+    logger.warn(`Could not read the WETH price on ${chain.name}, WETH-paired liquidity not valued: ${error.message}`);
+  }
+
+  while (!lifecycle.isShuttingDown()) {
+    const query = {
+      chainId: chain.chainId,
+      hasV3Pool: true,
+      $or: [{ nextPoolRefreshAt: { $lte: now } }, { nextPoolRefreshAt: { $exists: false } }]
+    };
+    if (lastId) query._id = { $gt: lastId };
+
+    const tokens = await Token.find(query, {
+      contractAddress: 1,
+      deployer: 1,
+      createdAt: 1,
+      lastPoolChangeAt: 1,
+      v3Pools: 1
+    })
+      .sort({ _id: 1 })
+      .limit(constants.BATCH_SIZE)
+      .lean();
+
+    if (tokens.length === 0) break;
+    lastId = tokens[tokens.length - 1]._id;
+
+    // Every pool in the batch is read in one multicall
+    const requests = tokens.flatMap(token =>
+      (token.v3Pools || []).map(pool => ({ pool, tokenAddress: token.contractAddress }))
+    );
+    const states = await poolService.readPoolStates(requests, provider, chain);
+
+    const operations = [];
+    const snapshots = [];
+    let offset = 0;
+
+    for (const token of tokens) {
+      const poolCount = (token.v3Pools || []).length;
+      const result = refreshTokenPools(token, states.slice(offset, offset + poolCount), chain, now, wethUsd);
+      offset += poolCount;
+
+      operations.push(...result.operations);
+      snapshots.push(...result.snapshots);
+    }
+
+    await Token.bulkWrite(operations, { maxTimeMS: 60000, ordered: false });
+    if (snapshots.length > 0) {
+      await PoolLiquidity.insertMany(snapshots, { ordered: false });
+    }
+
+    // A pull is a risk input for the token and for every other launch by its deployer
+    const pulled = new Set(snapshots.filter(snapshot => snapshot.liquidityPulled).map(snapshot => snapshot.contractAddress));
+    if (pulled.size > 0) {
+      const deployers = tokens.filter(token => pulled.has(token.contractAddress) && token.deployer).map(token => token.deployer);
+      await tokenStorageService.touchTokens({
+        chainId: chain.chainId,
+        $or: [{ contractAddress: { $in: [...pulled] } }, { deployer: { $in: deployers } }]
+      });
+    }
+
+    refreshed += tokens.length;
+    recorded += snapshots.length;
+
+    if (tokens.length < constants.BATCH_SIZE) break;
+  }
+
+  return { refreshed, recorded };
+}
+
+/**
+ * Re-check tokens without pools for pool creation logs that log-driven
+ * discovery couldn't have seen, e.g. tokens stored by a backfill after the
+ * pool cursors had already passed their block. Each check only covers blocks
+ * since the previous one, up to what the pool cursors have covered.
+ * @param {Object} chain - Chain configuration
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @returns {Promise<Object>} { checked, attached }
+ */
+async function recheckPoollessTokens(chain, provider) {
+  const toBlock = await poolService.getPoolCursorFloor(chain);
+  if (toBlock === 0) return { checked: 0, attached: 0 };
+
+  const now = new Date();
+  const maxAgeMs = constants.POOL_RECHECK_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  let checked = 0;
+  let attached = 0;
+  let lastId = null;
+
+  while (!lifecycle.isShuttingDown()) {
+    const query = {
+      chainId: chain.chainId,
+      hasV3Pool: { $ne: true },
+      createdAt: { $gte: new Date(now.getTime() - maxAgeMs) },
+      blockNumber: { $gt: 0 },
+      $or: [{ nextPoolCheckAt: { $lte: now } }, { nextPoolCheckAt: { $exists: false } }]
+    };
+    if (lastId) query._id = { $gt: lastId };
+
+    const tokens = await Token.find(query, { contractAddress: 1, createdAt: 1, blockNumber: 1, poolCheckedBlock: 1 })
+      .sort({ _id: 1 })
+      .limit(constants.BATCH_SIZE)
+      .lean();
+
+    if (tokens.length === 0) break;
+    lastId = tokens[tokens.length - 1]._id;
+
+    for (const token of tokens) {
+      if (lifecycle.isShuttingDown()) break;
+
+      const fromBlock = (token.poolCheckedBlock || token.blockNumber - 1) + 1;
+      let checkedBlock = token.poolCheckedBlock;
+
+      try {
+        if (fromBlock <= toBlock) {
+          attached += await poolService.findTokenPools(chain, provider, token.contractAddress, fromBlock, toBlock);
+          checkedBlock = toBlock;
+        }
+      } catch (error) {
+        logger.error(`Error re-checking pools for ${token.contractAddress}: ${error.message}`);
+      }
+
+      await Token.updateOne(
+        { _id: token._id },
+        {
+          $set: {
+            poolCheckedBlock: checkedBlock,
+            nextPoolCheckAt: new Date(now.getTime() + getRecheckDelayMinutes(token, now) * 60 * 1000)
+          }
+        }
+      );
+      checked++;
+    }
+
+    if (tokens.length < constants.BATCH_SIZE) break;
+  }
+
+  return { checked, attached };
+}
+
+/**
+ * Refresh due pools and re-check due no-pool tokens on a chain
+ * @param {Object} chain - Chain configuration
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ */
+async function refreshPools(chain, provider) {
+  if (refreshingChains.has(chain.chainId)) {
+    logger.warn(`Pool refresh for ${chain.name} already in progress, skipping this run`);
+    return { success: false, skipped: true };
+  }
+
+  refreshingChains.add(chain.chainId);
+  const startTime = Date.now();
+
+  try {
+    const { refreshed, recorded } = await refreshDuePools(chain, provider);
+    const { checked, attached } = await recheckPoollessTokens(chain, provider);
+
+    if (refreshed > 0 || checked > 0) {
+      const duration = Date.now() - startTime;
+      logger.info(`Pool refresh on ${chain.name} complete in ${duration}ms: ${refreshed} tokens refreshed, ${recorded} history records, ${checked} no-pool tokens re-checked, ${attached} pools found`);
+    }
+
+    return { success: true, refreshed, recorded, checked, attached };
+  } catch (error) {
+    logger.error(`Error refreshing ${chain.name} pools:`, error);
+    return { success: false };
+  } finally {
+    refreshingChains.delete(chain.chainId);
+  }
+}
+
+module.exports = {
+  getRefreshTier,
+  getRecheckDelayMinutes,
+  refreshPools
+};
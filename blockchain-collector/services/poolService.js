@@ -1,195 +1,590 @@
 // blockchain-collector/services/poolService.js
 const { ethers } = require('ethers');
 const Token = require('../../shared/models/Token');
+const constants = require('../../shared/config/constants');
 const logger = require('../../shared/utils/logger');
+const eventBus = require('../utils/eventBus');
+const blockStateService = require('./blockStateService');
+const rpc = require('../utils/rpc');
+const metrics = require('../utils/metrics');
+const lifecycle = require('../utils/lifecycle');
 
-// Uniswap V3 Factory address on Base
-const UNISWAP_V3_FACTORY = '0x33128a8fC17869897dcE68Ed026d694621f6FDfD';
+// Pool creation events by DEX factory type
+const DEX_EVENTS = {
+  'uniswap-v3': 'event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)',
+  'uniswap-v2': 'event PairCreated(address indexed token0, address indexed token1, address pair, uint256)',
+  'aerodrome': 'event PoolCreated(address indexed token0, address indexed token1, bool indexed stable, address pool, uint256)',
+  'aerodrome-cl': 'event PoolCreated(address indexed token0, address indexed token1, int24 indexed tickSpacing, address pool)'
+};
 
-// Commonly paired tokens on Base
-const COMMON_PAIRS = [
-  { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH' },
-  { address: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA', symbol: 'USDbC' },
-  { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', symbol: 'USDC' }
-];
+// Pool types with concentrated liquidity (slot0/liquidity) rather than reserves
+const CONCENTRATED_TYPES = ['uniswap-v3', 'aerodrome-cl'];
 
-// Fee tiers in Uniswap V3
-const FEE_TIERS = [500, 3000, 10000];
+// Concentrated liquidity pool ABIs (just what we need)
+const POOL_ABI = [
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function liquidity() view returns (uint128)'
+];
 
-// Uniswap V3 Factory ABI (just the function we need)
-const FACTORY_ABI = [
-  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)'
+// Aerodrome Slipstream pools drop feeProtocol from slot0
+const CL_POOL_ABI = [
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, bool unlocked)',
+  'function liquidity() view returns (uint128)'
 ];
 
-// Uniswap V3 Pool ABI (just what we need)
-const POOL_ABI = [
-  'function liquidity() view returns (uint128)',
-  'function token0() view returns (address)',
-  'function token1() view returns (address)'
+// ERC20 ABI (just what we need)
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)'
 ];
 
+const poolInterface = new ethers.Interface(POOL_ABI);
+const clPoolInterface = new ethers.Interface(CL_POOL_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// Adaptive chunk sizing for the factory log walk
+const SCAN_CONFIG = {
+  initialChunkSize: 2000,
+  minChunkSize: 10,
+  maxChunkSize: 10000
+};
+
+// DEX factories with a discovery run in progress, keyed by chainId:address
+// (chainId:catch-up for the backfilled-token catch-up)
+const scanning = new Set();
+
+// Event interfaces, built once per DEX type
+const dexInterfaces = new Map();
+
 /**
- * Find and update V3 pool information for a token
- * @param {string} tokenAddress - Token contract address
- * @param {ethers.JsonRpcProvider} provider - Blockchain provider
- * @returns {Promise<Object>} Pool information
+ * Get the event interface for a DEX factory type
+ * @param {string} type - DEX type from chains.js
+ * @returns {ethers.Interface}
  */
-async function findV3Pools(tokenAddress, provider) {
+function getDexInterface(type) {
+  if (!DEX_EVENTS[type]) {
+    throw new Error(`Unsupported DEX type ${type}`);
+  }
+  if (!dexInterfaces.has(type)) {
+    dexInterfaces.set(type, new ethers.Interface([DEX_EVENTS[type]]));
+  }
+  return dexInterfaces.get(type);
+}
+
+/**
+ * Decode a pool creation log into a common shape
+ * @param {Object} dex - DEX factory configuration
+ * @param {Object} log - Event log
+ * @returns {Object|null} { address, token0, token1, fee, tickSpacing, stable, blockNumber }
+ */
+function decodePoolCreated(dex, log) {
   try {
-    tokenAddress = tokenAddress.toLowerCase();
-    logger.info(`Looking for V3 pools for token ${tokenAddress}`);
-    
-    // Create Uniswap V3 Factory contract instance
-    const factory = new ethers.Contract(
-      UNISWAP_V3_FACTORY,
-      FACTORY_ABI,
-      provider
+    const { args } = getDexInterface(dex.type).parseLog(log);
+    const pool = dex.type === 'uniswap-v2' ? args.pair : args.pool;
+
+    return {
+      address: pool.toLowerCase(),
+      token0: args.token0.toLowerCase(),
+      token1: args.token1.toLowerCase(),
+      fee: args.fee !== undefined ? Number(args.fee) : undefined,
+      tickSpacing: args.tickSpacing !== undefined ? Number(args.tickSpacing) : undefined,
+      stable: args.stable !== undefined ? args.stable : undefined,
+      blockNumber: log.blockNumber
+    };
+  } catch (error) {
+    logger.error(`Error decoding ${dex.name} pool creation log`, error, { dex: dex.name, txHash: log.transactionHash, blockNumber: log.blockNumber });
+    return null;
+  }
+}
+
+/**
+ * Read pools' current state in one multicall: token balances for every type,
+ * plus slot0 and in-range liquidity for concentrated liquidity pools.
+ * A failing read only fails the pool it belongs to.
+ * @param {Array} requests - [{ pool, tokenAddress }] with pool an entry from token.v3Pools
+ * @param {ethers.Provider} provider - Blockchain provider
+ * @param {Object} chain - Chain configuration
+ * @returns {Promise<Array>} [{ state, error }] in request order; state fields are bigints (null when not applicable)
+ */
+async function readPoolStates(requests, provider, chain) {
+  const calls = [];
+
+  const layouts = requests.map(({ pool, tokenAddress }) => {
+    const dexType = pool.dexType || 'uniswap-v3';
+    const start = calls.length;
+
+    calls.push(
+      { target: tokenAddress, contractInterface: erc20Interface, method: 'balanceOf', args: [pool.address] },
+      { target: pool.pairWith, contractInterface: erc20Interface, method: 'balanceOf', args: [pool.address] }
     );
-    
-    const pools = [];
-    
-    // Check for pools with common paired tokens across fee tiers
-    for (const pair of COMMON_PAIRS) {
-      for (const fee of FEE_TIERS) {
-        try {
-          // Get pool address from factory
-          const poolAddress = await factory.getPool(
-            tokenAddress,
-            pair.address,
-            fee
-          );
-          
-          // Skip if pool doesn't exist (address is zero)
-          if (poolAddress === ethers.ZeroAddress) {
-            continue;
-          }
-          
-          logger.info(`Found V3 pool at ${poolAddress} for ${tokenAddress}/${pair.symbol} with fee ${fee/10000}%`);
-          
-          // Create pool contract instance
-          const poolContract = new ethers.Contract(
-            poolAddress,
-            POOL_ABI,
-            provider
-          );
-          
-          // Get pool liquidity
-          const liquidity = await poolContract.liquidity();
-          
-          // Verify token addresses to determine which is token0/token1
-          const token0 = (await poolContract.token0()).toLowerCase();
-          const token1 = (await poolContract.token1()).toLowerCase();
-          
-          // Make sure our token is actually in this pool
-          if (token0 !== tokenAddress && token1 !== tokenAddress) {
-            logger.warn(`Pool ${poolAddress} doesn't contain token ${tokenAddress}, skipping`);
-            continue;
-          }
-          
-          // Add to pools array
-          pools.push({
-            address: poolAddress.toLowerCase(),
-            pairWith: pair.address.toLowerCase(),
-            pairSymbol: pair.symbol,
-            fee: fee,
-            liquidity: liquidity.toString()
-          });
-          
-        } catch (error) {
-          logger.error(`Error checking pool for ${tokenAddress}/${pair.symbol} with fee ${fee/10000}%: ${error.message}`);
-        }
+
+    const concentrated = CONCENTRATED_TYPES.includes(dexType);
+    if (concentrated) {
+      const contractInterface = dexType === 'aerodrome-cl' ? clPoolInterface : poolInterface;
+      calls.push(
+        { target: pool.address, contractInterface, method: 'slot0' },
+        { target: pool.address, contractInterface, method: 'liquidity' }
+      );
+    }
+
+    return { start, count: calls.length - start, concentrated };
+  });
+
+  const results = await rpc.multicall(provider, chain, calls);
+
+  return layouts.map(({ start, count, concentrated }) => {
+    const [tokenReserve, quoteReserve, slot0, liquidity] = results.slice(start, start + count);
+    const failed = [tokenReserve, quoteReserve, slot0, liquidity].find(result => result && !result.success);
+    if (failed) {
+      return { state: null, error: failed.error };
+    }
+
+    return {
+      state: {
+        tokenReserve: tokenReserve.value,
+        quoteReserve: quoteReserve.value,
+        sqrtPriceX96: concentrated ? slot0.value.sqrtPriceX96 : null,
+        tick: concentrated ? Number(slot0.value.tick) : null,
+        liquidity: concentrated ? liquidity.value : null
+      },
+      error: null
+    };
+  });
+}
+
+/**
+ * Convert a pool state into the fields stored on a v3Pools entry
+ * @param {Object} state - State from readPoolStates
+ * @returns {Object} Stored fields (uint values as strings)
+ */
+function toStoredState(state) {
+  return {
+    liquidity: state.liquidity !== null ? state.liquidity.toString() : undefined,
+    sqrtPriceX96: state.sqrtPriceX96 !== null ? state.sqrtPriceX96.toString() : undefined,
+    tick: state.tick !== null ? state.tick : undefined,
+    tokenReserve: state.tokenReserve.toString(),
+    quoteReserve: state.quoteReserve.toString()
+  };
+}
+
+/**
+ * Build the v3Pools entry for one side of a pool
+ * @param {Object} dex - DEX factory configuration
+ * @param {Object} pool - Decoded pool
+ * @param {string} tokenAddress - Tracked token in the pool
+ * @param {Object} chain - Chain configuration (quoteTokens)
+ * @returns {Object} Pool entry without state
+ */
+function buildPoolEntry(dex, pool, tokenAddress, chain) {
+  const pairWith = pool.token0 === tokenAddress ? pool.token1 : pool.token0;
+  const quote = chain.quoteTokens.find(quoteToken => quoteToken.address === pairWith);
+
+  return {
+    address: pool.address,
+    dex: dex.name,
+    dexType: dex.type,
+    pairWith,
+    pairSymbol: quote ? quote.symbol : null,
+    fee: pool.fee,
+    tickSpacing: pool.tickSpacing,
+    stable: pool.stable,
+    blockNumber: pool.blockNumber
+  };
+}
+
+/**
+ * Attach newly created pools to the tracked tokens they contain
+ * @param {Object} chain - Chain configuration
+ * @param {Object} dex - DEX factory configuration
+ * @param {Array} logs - Pool creation logs
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @returns {Promise<number>} Number of pools attached to a tracked token
+ */
+async function processPoolLogs(chain, dex, logs, provider) {
+  const pools = logs.map(log => decodePoolCreated(dex, log)).filter(Boolean);
+  const source = `${chain.name}:${dex.name}`;
+  metrics.logsDecoded.inc({ source, result: 'decoded' }, pools.length);
+  metrics.logsDecoded.inc({ source, result: 'invalid' }, logs.length - pools.length);
+  if (pools.length === 0) return 0;
+
+  // Only pools containing a token we track are indexed
+  const candidates = [...new Set(pools.flatMap(pool => [pool.token0, pool.token1]))];
+  const tracked = await Token.find(
+    { chainId: chain.chainId, contractAddress: { $in: candidates } },
+    { contractAddress: 1, deployer: 1 }
+  ).lean();
+  const trackedByAddress = new Map(tracked.map(token => [token.contractAddress, token]));
+
+  const matches = [];
+  for (const pool of pools) {
+    let isTracked = false;
+    for (const tokenAddress of [pool.token0, pool.token1]) {
+      const token = trackedByAddress.get(tokenAddress);
+      if (token) {
+        isTracked = true;
+        matches.push({ token, tokenAddress, entry: buildPoolEntry(dex, pool, tokenAddress, chain) });
       }
     }
-    
-    return pools;
-  } catch (error) {
-    logger.error(`Error finding V3 pools for ${tokenAddress}: ${error.message}`);
-    return [];
+    metrics.poolLookups.inc({ chain: chain.name, dex: dex.name, result: isTracked ? 'tracked' : 'untracked' });
   }
+  if (matches.length === 0) return 0;
+
+  // Initial state for every match in one batch; poolRefreshService keeps it current from here
+  const states = await readPoolStates(
+    matches.map(({ entry, tokenAddress }) => ({ pool: entry, tokenAddress })),
+    provider,
+    chain
+  );
+
+  let attached = 0;
+
+  for (const [i, { token, tokenAddress, entry }] of matches.entries()) {
+    if (states[i].state) {
+      Object.assign(entry, toStoredState(states[i].state));
+    } else {
+      logger.warn(`Could not read state for pool ${entry.address}: ${states[i].error.message}`, {
+        chainId: chain.chainId,
+        chain: chain.name,
+        dex: dex.name,
+        contractAddress: tokenAddress,
+        poolAddress: entry.address
+      });
+    }
+
+    // The address guard keeps re-scanned ranges from adding the pool twice
+    const result = await Token.updateOne(
+      { chainId: chain.chainId, contractAddress: tokenAddress, 'v3Pools.address': { $ne: entry.address } },
+      {
+        $push: { v3Pools: entry },
+        $set: { hasV3Pool: true }
+      },
+      { maxTimeMS: 30000 }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    attached++;
+
+    logger.info(`Found ${dex.name} pool ${entry.address} for ${tokenAddress}/${entry.pairSymbol || entry.pairWith}`, {
+      chainId: chain.chainId,
+      chain: chain.name,
+      dex: dex.name,
+      contractAddress: tokenAddress,
+      poolAddress: entry.address,
+      blockNumber: entry.blockNumber
+    });
+
+    eventBus.publish(eventBus.EVENTS.POOL_DISCOVERED, {
+      chainId: chain.chainId,
+      contractAddress: tokenAddress,
+      deployer: token.deployer,
+      pools: [entry]
+    });
+  }
+
+  return attached;
 }
 
 /**
- * Update token with V3 pool information
- * @param {Object} token - Token object
+ * Fetch logs over a block range in adaptive chunks, handing each chunk to a callback.
+ * Chunks halve on errors (usually "range too large"/"too many results") and double on success.
+ * Throws a ShutdownError between chunks once shutdown starts; callers keep their cursor
+ * at the last chunk they saved.
  * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @param {Object} filter - getLogs filter without the block range
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @param {Function} onChunk - Called with (logs, chunkEnd) after each chunk
+ * @param {Object} options - { log, initialChunkSize, maxChunkSize }; log is the caller's child logger
  */
-async function updateTokenWithPools(token, provider) {
-  try {
-    const tokenAddress = token.contractAddress;
-    
-    // Find pools for this token
-    const pools = await findV3Pools(tokenAddress, provider);
-    
-    if (pools.length > 0) {
-      // Update token in database
-      await Token.findOneAndUpdate(
-        { contractAddress: tokenAddress },
-        { 
-          $set: { 
-            v3Pools: pools,
-            hasV3Pool: true
-          }
-        },
-        { maxTimeMS: 30000 }
-      );
-      
-      logger.info(`Updated token ${tokenAddress} with ${pools.length} V3 pools`);
-      return true;
-    } else {
-      // Mark as checked but no pools found
-      await Token.findOneAndUpdate(
-        { contractAddress: tokenAddress },
-        { $set: { hasV3Pool: false } },
-        { maxTimeMS: 30000 }
-      );
-      
-      logger.info(`No V3 pools found for token ${tokenAddress}`);
-      return false;
+async function walkLogs(provider, filter, fromBlock, toBlock, onChunk, options = {}) {
+  const log = options.log || logger;
+  const maxChunkSize = options.maxChunkSize || SCAN_CONFIG.maxChunkSize;
+  let chunkSize = options.initialChunkSize || SCAN_CONFIG.initialChunkSize;
+  let nextBlock = fromBlock;
+
+  while (nextBlock <= toBlock) {
+    lifecycle.throwIfShuttingDown(`Log walk stopped for shutdown at block ${nextBlock}`);
+
+    const chunkEnd = Math.min(nextBlock + chunkSize - 1, toBlock);
+
+    let logs;
+    try {
+      logs = await provider.getLogs({ ...filter, fromBlock: nextBlock, toBlock: chunkEnd });
+    } catch (error) {
+      if (chunkSize <= SCAN_CONFIG.minChunkSize) throw error;
+
+      chunkSize = Math.max(Math.floor(chunkSize / 2), SCAN_CONFIG.minChunkSize);
+      log.warn(`Log fetch ${nextBlock}-${chunkEnd} failed (${error.message}), retrying with ${chunkSize} blocks`, {
+        fromBlock: nextBlock,
+        toBlock: chunkEnd,
+        chunkSize
+      });
+      continue;
     }
-  } catch (error) {
-    logger.error(`Error updating token ${token.contractAddress} with pools: ${error.message}`);
-    return false;
+
+    await onChunk(logs, chunkEnd);
+    nextBlock = chunkEnd + 1;
+
+    chunkSize = Math.min(chunkSize * 2, maxChunkSize);
+  }
+}
+
+/**
+ * Pool stream cursor key for a DEX factory
+ * @param {Object} chain - Chain configuration
+ * @param {Object} dex - DEX factory configuration
+ * @returns {Object} CollectorState key
+ */
+function getPoolCursorKey(chain, dex) {
+  return { chainId: chain.chainId, factoryAddress: dex.address, stream: 'pools' };
+}
+
+/**
+ * Highest block the pool stream may scan: pools are often created in the same
+ * transaction as their token, so never get ahead of the chain's token cursors
+ * @param {Array} tokenCursorKeys - Token cursor keys for the chain
+ * @returns {Promise<number>}
+ */
+async function getTokenCursorLimit(tokenCursorKeys) {
+  const blocks = await Promise.all(tokenCursorKeys.map(key => blockStateService.getLastProcessedBlock(key)));
+  return Math.min(...blocks);
+}
+
+/**
+ * Walk a DEX factory's creation logs from its cursor up to the token cursors
+ * (caller must hold the pool cursor lease)
+ * @param {Object} chain - Chain configuration
+ * @param {Object} dex - DEX factory configuration
+ * @param {Array} tokenCursorKeys - Token cursor keys for the chain
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ */
+async function scanDexFactory(chain, dex, tokenCursorKeys, provider) {
+  const cursorKey = getPoolCursorKey(chain, dex);
+  const topic = getDexInterface(dex.type).fragments[0].topicHash;
+  const log = logger.child({ chainId: chain.chainId, chain: chain.name, dex: dex.name });
+
+  const limit = await getTokenCursorLimit(tokenCursorKeys);
+  let lastBlock = await blockStateService.getLastProcessedBlock(cursorKey);
+
+  if (lastBlock === 0) {
+    // Start from the oldest tracked token; nothing earlier can contain one
+    const oldest = await Token.findOne({ chainId: chain.chainId, blockNumber: { $gt: 0 } }, { blockNumber: 1 })
+      .sort({ blockNumber: 1 })
+      .lean();
+    lastBlock = (oldest ? oldest.blockNumber : limit) - 1;
+    log.info(`Starting pool discovery at block ${lastBlock + 1}`, { fromBlock: lastBlock + 1 });
   }
+
+  if (lastBlock >= limit) {
+    log.debug(`Pool discovery up to date at block ${lastBlock}`, { toBlock: lastBlock });
+    return { attached: 0 };
+  }
+
+  const fromBlock = lastBlock + 1;
+  let attached = 0;
+
+  await walkLogs(provider, { address: dex.address, topics: [topic] }, lastBlock + 1, limit, async (logs, chunkEnd) => {
+    attached += await processPoolLogs(chain, dex, logs, provider);
+
+    await blockStateService.saveLastProcessedBlock(cursorKey, chunkEnd, null);
+    lastBlock = chunkEnd;
+  }, { log });
+
+  log.info(`Pool discovery reached block ${lastBlock}, ${attached} pools attached`, {
+    fromBlock,
+    toBlock: lastBlock,
+    attached
+  });
+  return { attached };
 }
 
 /**
- * Process multiple tokens to find and update their V3 pool information
- * @param {Array} tokens - Array of token objects
+ * Walk the pool creation logs that pair one token, on every enabled DEX of its chain
+ * @param {Object} chain - Chain configuration
  * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @param {string} contractAddress - Token address
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @returns {Promise<number>} Number of pools attached
  */
-async function processTokenPools(tokens, provider) {
-  if (!tokens || tokens.length === 0) {
-    logger.info('No tokens to process for pools');
-    return { success: true, count: 0 };
+async function findTokenPools(chain, provider, contractAddress, fromBlock, toBlock) {
+  const tokenTopic = ethers.zeroPadValue(contractAddress, 32);
+  const range = toBlock - fromBlock + 1;
+  let attached = 0;
+
+  for (const dex of chain.dexFactories.filter(dex => dex.enabled)) {
+    const topic = getDexInterface(dex.type).fragments[0].topicHash;
+    const log = logger.child({ chainId: chain.chainId, chain: chain.name, dex: dex.name, contractAddress });
+
+    // The token can be either side of the pair
+    for (const topics of [[topic, tokenTopic], [topic, null, tokenTopic]]) {
+      await walkLogs(provider, { address: dex.address, topics }, fromBlock, toBlock, async (logs) => {
+        attached += await processPoolLogs(chain, dex, logs, provider);
+      }, { log, initialChunkSize: range, maxChunkSize: range });
+    }
   }
-  
-  logger.info(`Processing V3 pools for ${tokens.length} tokens`);
-  
-  let successCount = 0;
-  
-  // Process tokens one by one to avoid rate limiting
+
+  return attached;
+}
+
+/**
+ * Highest block every pool cursor on a chain has covered
+ * @param {Object} chain - Chain configuration
+ * @returns {Promise<number>} 0 when a DEX hasn't started discovery yet
+ */
+async function getPoolCursorFloor(chain) {
+  const dexes = chain.dexFactories.filter(dex => dex.enabled);
+  if (dexes.length === 0) return 0;
+
+  const cursors = await Promise.all(dexes.map(dex => blockStateService.getLastProcessedBlock(getPoolCursorKey(chain, dex))));
+  return Math.min(...cursors);
+}
+
+/**
+ * Flag tokens a backfill stored behind the pool cursors: log-driven discovery
+ * had already passed their blocks, so catchUpTokens replays them instead
+ * @param {Object} chain - Chain configuration
+ * @param {string} factoryAddress - Token factory the backfill scanned
+ * @param {number} fromBlock - First backfilled block
+ * @param {number} toBlock - Last backfilled block
+ * @returns {Promise<number>} Number of tokens flagged
+ */
+async function markBackfilledTokens(chain, factoryAddress, fromBlock, toBlock) {
+  const dexes = chain.dexFactories.filter(dex => dex.enabled);
+  if (dexes.length === 0) return 0;
+
+  // Any cursor past a token means at least one DEX skipped it
+  const cursors = await Promise.all(dexes.map(dex => blockStateService.getLastProcessedBlock(getPoolCursorKey(chain, dex))));
+  const passed = Math.min(toBlock, Math.max(...cursors));
+  if (passed < fromBlock) return 0;
+
+  const result = await Token.updateMany(
+    { chainId: chain.chainId, factoryAddress, blockNumber: { $gte: fromBlock, $lte: passed } },
+    { $set: { poolCatchUp: true } }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info(`Flagged ${result.modifiedCount} backfilled tokens for pool catch-up`, {
+      chainId: chain.chainId,
+      chain: chain.name,
+      factoryAddress,
+      fromBlock,
+      toBlock: passed
+    });
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Replay the pool creation logs of tokens flagged by markBackfilledTokens, from
+ * their creation block up to what every pool cursor has covered
+ * @param {Object} chain - Chain configuration
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @returns {Promise<Object>} { caughtUp, attached }
+ */
+async function catchUpTokens(chain, provider) {
+  const toBlock = await getPoolCursorFloor(chain);
+  if (toBlock === 0) return { caughtUp: 0, attached: 0 };
+
+  // Newest first: recent launches are the ones people look at
+  const tokens = await Token.find(
+    { chainId: chain.chainId, poolCatchUp: true, blockNumber: { $gt: 0, $lte: toBlock } },
+    { contractAddress: 1, blockNumber: 1 }
+  ).sort({ blockNumber: -1 }).limit(constants.POOL_CATCHUP_BATCH).lean();
+
+  let caughtUp = 0;
+  let attached = 0;
+
   for (const token of tokens) {
+    if (lifecycle.isShuttingDown()) break;
+
     try {
-      const result = await updateTokenWithPools(token, provider);
-      if (result) successCount++;
-      
-      // Add delay between tokens
-      await new Promise(resolve => setTimeout(resolve, 500));
+      attached += await findTokenPools(chain, provider, token.contractAddress, token.blockNumber, toBlock);
+
+      await Token.updateOne(
+        { _id: token._id },
+        { $unset: { poolCatchUp: '' }, $max: { poolCheckedBlock: toBlock } }
+      );
+      caughtUp++;
     } catch (error) {
-      logger.error(`Error processing pools for token ${token.contractAddress}: ${error.message}`);
+      logger.error(`Error catching up pools for ${token.contractAddress}: ${error.message}`, {
+        chainId: chain.chainId,
+        chain: chain.name,
+        contractAddress: token.contractAddress
+      });
     }
   }
-  
-  logger.info(`Completed pool processing for ${successCount} of ${tokens.length} tokens`);
-  
-  return {
-    success: true,
-    count: successCount
-  };
+
+  if (caughtUp > 0) {
+    logger.info(`Caught up pools for ${caughtUp} backfilled tokens, ${attached} pools attached`, {
+      chainId: chain.chainId,
+      chain: chain.name,
+      toBlock,
+      caughtUp,
+      attached
+    });
+  }
+  return { caughtUp, attached };
+}
+
+/**
+ * Discover pools for tracked tokens from every enabled DEX factory on a chain,
+ * then catch up backfilled tokens the factory cursors had already passed.
+ * Each factory has its own cursor and lease so only one instance walks it.
+ * @param {Object} chain - Chain configuration
+ * @param {Array} tokenCursorKeys - Cursor keys of the chain's token pipelines
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ */
+async function discoverPools(chain, tokenCursorKeys, provider) {
+  for (const dex of chain.dexFactories.filter(dex => dex.enabled)) {
+    if (lifecycle.isShuttingDown()) break;
+
+    const logContext = { chainId: chain.chainId, chain: chain.name, dex: dex.name };
+    const log = logger.child(logContext);
+    const scanKey = `${chain.chainId}:${dex.address}`;
+    if (scanning.has(scanKey)) {
+      log.warn('Pool discovery already in progress, skipping this run');
+      continue;
+    }
+
+    scanning.add(scanKey);
+    try {
+      // Bound for the services the scan calls, so their lines carry the DEX too
+      await logger.withContext(logContext, () =>
+        blockStateService.withLease(getPoolCursorKey(chain, dex), () => scanDexFactory(chain, dex, tokenCursorKeys, provider))
+      );
+    } catch (error) {
+      log.error('Error discovering pools:', error);
+    } finally {
+      scanning.delete(scanKey);
+    }
+  }
+
+  // Backfilled tokens the cursors had already passed; replays are idempotent, so no lease
+  const catchUpKey = `${chain.chainId}:catch-up`;
+  if (lifecycle.isShuttingDown() || scanning.has(catchUpKey)) return;
+
+  scanning.add(catchUpKey);
+  try {
+    await catchUpTokens(chain, provider);
+  } catch (error) {
+    logger.error('Error catching up pools for backfilled tokens:', error, { chainId: chain.chainId, chain: chain.name });
+  } finally {
+    scanning.delete(catchUpKey);
+  }
 }
 
 module.exports = {
-  findV3Pools,
-  updateTokenWithPools,
-  processTokenPools
-};
\ No newline at end of file
+  CONCENTRATED_TYPES,
+  getDexInterface,
+  getPoolCursorKey,
+  decodePoolCreated,
+  readPoolStates,
+  toStoredState,
+  walkLogs,
+  processPoolLogs,
+  findTokenPools,
+  getPoolCursorFloor,
+  markBackfilledTokens,
+  catchUpTokens,
+  discoverPools
+};
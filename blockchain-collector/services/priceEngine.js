@@ -0,0 +1,345 @@
+// blockchain-collector/services/priceEngine.js
+const { ethers } = require('ethers');
+const Token = require('../../shared/models/Token');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const priceService = require('./priceService');
+const poolService = require('./poolService');
+const rpc = require('../utils/rpc');
+
+const Q96 = 2 ** 96;
+
+// Chains with an update in progress, to guard against overlapping scheduled runs
+const updatingChains = new Set();
+
+// Uniswap V3 Pool ABI (just what we need)
+const POOL_ABI = [
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)'
+];
+
+// Pool types priced from reserves rather than slot0
+const RESERVE_PRICED_TYPES = ['uniswap-v2', 'aerodrome'];
+
+// ERC20 ABI (just what we need)
+const ERC20_ABI = [
+  'function totalSupply() view returns (uint256)'
+];
+
+const poolInterface = new ethers.Interface(POOL_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+/**
+ * Convert a pool's sqrtPriceX96 into the price of token0 denominated in token1
+ * @param {bigint} sqrtPriceX96 - slot0 sqrtPriceX96
+ * @param {number} decimals0 - token0 decimals
+ * @param {number} decimals1 - token1 decimals
+ * @returns {number} Human-readable token0 price in token1
+ */
+function sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1) {
+  const ratio = Number(sqrtPriceX96) / Q96;
+  return ratio * ratio * Math.pow(10, decimals0 - decimals1);
+}
+
+/**
+ * Orient a pool price so it reads as "quote per token"
+ * @param {bigint} sqrtPriceX96 - slot0 sqrtPriceX96
+ * @param {string} tokenAddress - Token being priced
+ * @param {number} tokenDecimals - Token decimals
+ * @param {string} quoteAddress - Paired quote token
+ * @param {number} quoteDecimals - Quote token decimals
+ * @returns {number} Token price denominated in the quote token
+ */
+function getOrientedPrice(sqrtPriceX96, tokenAddress, tokenDecimals, quoteAddress, quoteDecimals) {
+  // Uniswap orders pool tokens by address, so token0 is the lower one
+  const tokenIsToken0 = BigInt(tokenAddress) < BigInt(quoteAddress);
+
+  if (tokenIsToken0) {
+    return sqrtPriceX96ToPrice(sqrtPriceX96, tokenDecimals, quoteDecimals);
+  }
+
+  const tokensPerQuote = sqrtPriceX96ToPrice(sqrtPriceX96, quoteDecimals, tokenDecimals);
+  return tokensPerQuote > 0 ? 1 / tokensPerQuote : 0;
+}
+
+/**
+ * Quote tokens of a chain keyed by lowercase address
+ * @param {Object} chain - Chain configuration
+ * @returns {Map<string, Object>}
+ */
+function getQuoteTokens(chain) {
+  return new Map(chain.quoteTokens.map(quote => [quote.address, quote]));
+}
+
+/**
+ * Read the WETH price in USD from the chain's reference pool
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @param {Object} chain - Chain configuration
+ * @returns {Promise<number>} WETH price in USD
+ */
+async function getWethUsdPrice(provider, chain) {
+  const quoteTokens = getQuoteTokens(chain);
+  const WETH = chain.quoteTokens.find(quote => quote.symbol === 'WETH');
+  const target = chain.wethUsdReferencePool;
+
+  const results = await rpc.multicall(provider, chain, [
+    { target, contractInterface: poolInterface, method: 'slot0' },
+    { target, contractInterface: poolInterface, method: 'token0' },
+    { target, contractInterface: poolInterface, method: 'token1' }
+  ]);
+
+  const failed = results.find(result => !result.success);
+  if (failed) throw failed.error;
+
+  const [slot0, token0, token1] = results.map(result => result.value);
+
+  const stableAddress = token0.toLowerCase() === WETH.address ? token1 : token0;
+  const stable = quoteTokens.get(stableAddress.toLowerCase());
+
+  if (!stable || !stable.usdPegged) {
+    throw new Error(`Reference pool ${chain.wethUsdReferencePool} is not a WETH/stablecoin pool`);
+  }
+
+  return getOrientedPrice(slot0.sqrtPriceX96, WETH.address, WETH.decimals, stable.address, stable.decimals);
+}
+
+/**
+ * USD depth of a pool from its quote side alone. Valuing the token side at the
+ * pool's own price would let a thin pool with a manipulated price look deep.
+ * @param {Object} pool - Entry from token.v3Pools
+ * @param {bigint|string} quoteReserve - Raw quote token balance of the pool
+ * @param {number|null} wethUsd - WETH price in USD, null if unknown
+ * @param {Map<string, Object>} quoteTokens - Quote tokens keyed by address
+ * @returns {number|null} Twice the quote reserve in USD, or null if it can't be valued
+ */
+function getPoolDepthUsd(pool, quoteReserve, wethUsd, quoteTokens) {
+  const quote = quoteTokens.get(pool.pairWith);
+  if (!quote) return null;
+
+  const quoteUsd = quote.usdPegged ? 1 : wethUsd;
+  if (quoteUsd == null) return null;
+
+  return 2 * Number(ethers.formatUnits(quoteReserve, quote.decimals)) * quoteUsd;
+}
+
+/**
+ * Check whether a pool can be priced
+ * @param {Object} pool - Entry from token.v3Pools
+ * @param {Map<string, Object>} quoteTokens - Quote tokens keyed by address
+ * @returns {boolean}
+ */
+function isPriceable(pool, quoteTokens) {
+  if (!quoteTokens.has(pool.pairWith)) {
+    logger.debug(`Skipping pool ${pool.address}: unsupported quote token ${pool.pairWith}`);
+    return false;
+  }
+
+  // Stable pools use a curve where the reserve ratio isn't the price
+  if (pool.stable) {
+    logger.debug(`Skipping pool ${pool.address}: stable pools are not priced`);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Read pool states and total supplies for a batch of tokens in one multicall
+ * @param {Array} tokens - Token documents with v3Pools
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @param {Object} chain - Chain configuration
+ * @returns {Promise<Map>} contractAddress -> { pools: [{ pool, state, error }], totalSupply }
+ */
+async function readPriceInputs(tokens, provider, chain) {
+  const quoteTokens = getQuoteTokens(chain);
+
+  const requests = tokens.flatMap(token =>
+    (token.v3Pools || [])
+      .filter(pool => isPriceable(pool, quoteTokens))
+      .map(pool => ({ pool, tokenAddress: token.contractAddress.toLowerCase() }))
+  );
+
+  const [states, supplies] = await Promise.all([
+    poolService.readPoolStates(requests, provider, chain),
+    rpc.multicall(provider, chain, tokens.map(token => ({
+      target: token.contractAddress,
+      contractInterface: erc20Interface,
+      method: 'totalSupply'
+    })))
+  ]);
+
+  const inputs = new Map(tokens.map((token, i) => [
+    token.contractAddress.toLowerCase(),
+    { pools: [], totalSupply: supplies[i].success ? supplies[i].value : null }
+  ]));
+
+  requests.forEach((request, i) => {
+    inputs.get(request.tokenAddress).pools.push({ pool: request.pool, ...states[i] });
+  });
+
+  return inputs;
+}
+
+/**
+ * Price a token against a single pool
+ * @param {Object} pool - Entry from token.v3Pools
+ * @param {Object} state - Pool state from poolService.readPoolStates
+ * @param {string} tokenAddress - Token contract address
+ * @param {number} tokenDecimals - Token decimals
+ * @param {number} wethUsd - WETH price in USD
+ * @param {Map<string, Object>} quoteTokens - Quote tokens keyed by address
+ * @returns {Object|null} Pool price and USD depth, or null if the pool has no price yet
+ */
+function getPoolPrice(pool, state, tokenAddress, tokenDecimals, wethUsd, quoteTokens) {
+  const quote = quoteTokens.get(pool.pairWith);
+  const quoteUsd = quote.usdPegged ? 1 : wethUsd;
+
+  const tokenAmount = Number(ethers.formatUnits(state.tokenReserve, tokenDecimals));
+  const quoteAmount = Number(ethers.formatUnits(state.quoteReserve, quote.decimals));
+
+  let priceInQuote;
+  if (RESERVE_PRICED_TYPES.includes(pool.dexType)) {
+    // Constant product pools: price is the reserve ratio
+    if (tokenAmount === 0) return null;
+    priceInQuote = quoteAmount / tokenAmount;
+  } else {
+    if (state.sqrtPriceX96 === 0n) return null;
+    priceInQuote = getOrientedPrice(state.sqrtPriceX96, tokenAddress, tokenDecimals, quote.address, quote.decimals);
+  }
+
+  const priceUsd = priceInQuote * quoteUsd;
+  const reserveUsd = getPoolDepthUsd(pool, state.quoteReserve, wethUsd, quoteTokens);
+
+  return {
+    poolAddress: pool.address,
+    priceUsd,
+    reserveUsd
+  };
+}
+
+/**
+ * Derive a token's USD price and FDV from its deepest pool
+ * @param {Object} token - Token document with v3Pools
+ * @param {number} wethUsd - WETH price in USD
+ * @param {Object} chain - Chain configuration
+ * @param {Object} inputs - This token's entry from readPriceInputs
+ * @returns {Object|null} TokenPrice fields, or null if no usable pool
+ */
+function computeTokenPrice(token, wethUsd, chain, inputs) {
+  const tokenAddress = token.contractAddress.toLowerCase();
+  const tokenDecimals = token.decimals != null ? token.decimals : 18;
+  const quoteTokens = getQuoteTokens(chain);
+
+  const poolPrices = [];
+  for (const { pool, state, error } of inputs.pools) {
+    if (!state) {
+      logger.error(`Error reading pool ${pool.address} for ${tokenAddress}: ${error.message}`);
+      continue;
+    }
+
+    const poolPrice = getPoolPrice(pool, state, tokenAddress, tokenDecimals, wethUsd, quoteTokens);
+    if (poolPrice) poolPrices.push(poolPrice);
+  }
+
+  if (poolPrices.length === 0) {
+    return null;
+  }
+
+  if (inputs.totalSupply === null) {
+    logger.error(`Could not read totalSupply for ${tokenAddress}`);
+    return null;
+  }
+
+  // The deepest pool (by quote-side USD reserves) is the canonical price
+  const canonical = poolPrices.reduce((best, current) =>
+    current.reserveUsd > best.reserveUsd ? current : best
+  );
+
+  const fdvUsd = Number(ethers.formatUnits(inputs.totalSupply, tokenDecimals)) * canonical.priceUsd;
+
+  return {
+    contractAddress: tokenAddress,
+    chainId: chain.chainId,
+    factoryAddress: token.factoryAddress,
+    price_usd: canonical.priceUsd,
+    fdv_usd: fdvUsd,
+    pool_address: canonical.poolAddress,
+    pool_reserve_in_usd: canonical.reserveUsd
+  };
+}
+
+/**
+ * Walk a chain's tokens with pools in BATCH_SIZE groups and write on-chain prices to TokenPrice
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider for the chain
+ * @param {Object} chain - Chain configuration
+ */
+async function updateOnChainPrices(provider, chain) {
+  if (updatingChains.has(chain.chainId)) {
+    logger.warn(`On-chain price update for ${chain.name} already in progress, skipping this run`);
+    return { success: false, skipped: true };
+  }
+
+  updatingChains.add(chain.chainId);
+  const startTime = Date.now();
+  let processed = 0;
+  let updated = 0;
+
+  try {
+    const wethUsd = await getWethUsdPrice(provider, chain);
+    logger.info(`Updating on-chain token prices on ${chain.name} (WETH = $${wethUsd.toFixed(2)})`);
+
+    let lastId = null;
+
+    while (true) {
+      const query = { hasV3Pool: true, chainId: chain.chainId };
+      if (lastId) query._id = { $gt: lastId };
+
+      const tokens = await Token.find(query, { contractAddress: 1, factoryAddress: 1, decimals: 1, v3Pools: 1 })
+        .sort({ _id: 1 })
+        .limit(constants.BATCH_SIZE)
+        .lean();
+
+      if (tokens.length === 0) break;
+      lastId = tokens[tokens.length - 1]._id;
+
+      const inputs = await readPriceInputs(tokens, provider, chain);
+
+      const prices = [];
+      for (const token of tokens) {
+        try {
+          const price = computeTokenPrice(token, wethUsd, chain, inputs.get(token.contractAddress.toLowerCase()));
+          if (price) prices.push(price);
+        } catch (error) {
+          logger.error(`Error computing price for ${token.contractAddress}: ${error.message}`);
+        }
+      }
+
+      const result = await priceService.storePrices(prices);
+      updated += result.upserted + result.modified;
+      processed += tokens.length;
+
+      if (tokens.length < constants.BATCH_SIZE) break;
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(`On-chain price update complete in ${duration}ms: ${processed} tokens checked, ${updated} prices written`);
+
+    return { success: true, processed, updated };
+  } catch (error) {
+    logger.error('Error in updateOnChainPrices:', error);
+    return { success: false, processed, updated };
+  } finally {
+    updatingChains.delete(chain.chainId);
+  }
+}
+
+module.exports = {
+  sqrtPriceX96ToPrice,
+  getOrientedPrice,
+  getQuoteTokens,
+  getWethUsdPrice,
+  getPoolDepthUsd,
+  computeTokenPrice,
+  updateOnChainPrices
+};
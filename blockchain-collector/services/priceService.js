@@ -0,0 +1,270 @@
+// blockchain-collector/services/priceService.js
+const axios = require('axios');
+const Token = require('../../shared/models/Token');
+const TokenPrice = require('../../shared/models/TokenPrice');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const candleService = require('./candleService');
+const tokenStorageService = require('./tokenStorageService');
+const eventBus = require('../utils/eventBus');
+const metrics = require('../utils/metrics');
+
+// GeckoTerminal-compatible API (override with a local mock via env)
+const API_BASE_URL = process.env.GECKO_TERMINAL_API_URL || constants.GECKO_TERMINAL_API_URL;
+
+// Retry configuration for rate-limited requests
+const RETRY_CONFIG = {
+  maxRetries: 5,
+  initialDelay: 2000,  // 2 seconds
+  maxDelay: 60000,     // 60 seconds
+  backoffFactor: 2
+};
+
+// Delay between batches to stay under the public API rate limit
+const BATCH_DELAY = 2000;
+
+const client = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 30000,
+  headers: { Accept: 'application/json' }
+});
+
+// Chains with an update in progress, to guard against overlapping scheduled runs
+const updatingChains = new Set();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a numeric API field, treating missing/invalid values as 0
+ * @param {*} value - Raw value from the API
+ * @returns {number}
+ */
+function toNumber(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * GET a path from the price API, backing off on 429 responses
+ * @param {string} url - Path relative to the API base URL
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Response body
+ */
+async function requestWithBackoff(url, params) {
+  let delay = RETRY_CONFIG.initialDelay;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await client.get(url, { params });
+      return response.data;
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status !== 429 || attempt >= RETRY_CONFIG.maxRetries) {
+        throw error;
+      }
+
+      // Honour Retry-After when the API provides it
+      const retryAfter = toNumber(error.response.headers && error.response.headers['retry-after']);
+      const wait = retryAfter > 0 ? retryAfter * 1000 : delay;
+
+      logger.warn(`Price API rate limited, retrying in ${wait}ms (attempt ${attempt + 1}/${RETRY_CONFIG.maxRetries})`);
+      await sleep(wait);
+      delay = Math.min(delay * RETRY_CONFIG.backoffFactor, RETRY_CONFIG.maxDelay);
+    }
+  }
+}
+
+/**
+ * Fetch price data for up to BATCH_SIZE tokens in one request
+ * @param {Array<string>} addresses - Token contract addresses
+ * @param {string} network - GeckoTerminal network id
+ * @returns {Promise<Array>} Price records ready for TokenPrice
+ */
+async function fetchTokenPrices(addresses, network) {
+  const body = await requestWithBackoff(
+    `/networks/${network}/tokens/multi/${addresses.join(',')}`,
+    { include: 'top_pools' }
+  );
+
+  // Index included pools by id so each token can look up its top pool
+  const pools = new Map();
+  for (const item of body.included || []) {
+    if (item.type === 'pool') {
+      pools.set(item.id, item.attributes || {});
+    }
+  }
+
+  const prices = [];
+
+  for (const item of body.data || []) {
+    const attributes = item.attributes || {};
+    if (!attributes.address) continue;
+
+    const topPoolRef = item.relationships &&
+      item.relationships.top_pools &&
+      item.relationships.top_pools.data &&
+      item.relationships.top_pools.data[0];
+    const topPool = topPoolRef ? pools.get(topPoolRef.id) || {} : {};
+    const poolVolume = topPool.volume_usd || {};
+
+    prices.push({
+      contractAddress: attributes.address.toLowerCase(),
+      price_usd: toNumber(attributes.price_usd),
+      fdv_usd: toNumber(attributes.fdv_usd),
+      volume_usd: toNumber(attributes.volume_usd && attributes.volume_usd.h24),
+      volume_usd_h6: toNumber(poolVolume.h6),
+      volume_usd_h1: toNumber(poolVolume.h1),
+      pool_address: topPool.address ? topPool.address.toLowerCase() : undefined,
+      pool_reserve_in_usd: toNumber(topPool.reserve_in_usd || attributes.total_reserve_in_usd)
+    });
+  }
+
+  return prices;
+}
+
+/**
+ * Which side of the risk scorer's low-liquidity threshold a reserve is on
+ * @param {number|null|undefined} reserveUsd - pool_reserve_in_usd
+ * @returns {string} unknown, low or ok
+ */
+function getLiquidityBand(reserveUsd) {
+  if (reserveUsd === null || reserveUsd === undefined) return 'unknown';
+  return reserveUsd < constants.RISK_MIN_LIQUIDITY_USD ? 'low' : 'ok';
+}
+
+/**
+ * Upsert price records into the TokenPrice collection and record candle ticks
+ * @param {Array} prices - Price records from fetchTokenPrices, tagged with chainId
+ */
+async function storePrices(prices) {
+  if (prices.length === 0) {
+    return { upserted: 0, modified: 0 };
+  }
+
+  const now = new Date();
+
+  // Previous reserves, to spot tokens whose liquidity crossed the risk threshold
+  const previous = await TokenPrice.find(
+    { $or: prices.map(price => ({ chainId: price.chainId, contractAddress: price.contractAddress })) },
+    { chainId: 1, contractAddress: 1, pool_reserve_in_usd: 1 }
+  ).lean();
+  const previousReserves = new Map(previous.map(price => [`${price.chainId}:${price.contractAddress}`, price.pool_reserve_in_usd]));
+
+  const operations = prices.map(price => ({
+    updateOne: {
+      filter: { chainId: price.chainId, contractAddress: price.contractAddress },
+      update: { $set: { ...price, last_updated: now } },
+      upsert: true
+    }
+  }));
+
+  const endTimer = metrics.bulkWriteDuration.startTimer({ collection: 'tokenprices' });
+  const result = await TokenPrice.bulkWrite(operations, {
+    maxTimeMS: 60000,
+    ordered: false
+  });
+  endTimer();
+
+  const crossed = prices.filter(price =>
+    getLiquidityBand(price.pool_reserve_in_usd) !== getLiquidityBand(previousReserves.get(`${price.chainId}:${price.contractAddress}`))
+  );
+  if (crossed.length > 0) {
+    await tokenStorageService.touchTokens({
+      $or: crossed.map(price => ({ chainId: price.chainId, contractAddress: price.contractAddress }))
+    });
+  }
+
+  // Keep history: every snapshot also feeds the 1m candles
+  await candleService.recordPriceUpdates(prices, now);
+
+  for (const price of prices) {
+    eventBus.publish(eventBus.EVENTS.PRICE_UPDATED, {
+      chainId: price.chainId,
+      contractAddress: price.contractAddress,
+      priceUsd: price.price_usd,
+      fdvUsd: price.fdv_usd,
+      liquidityUsd: price.pool_reserve_in_usd,
+      poolAddress: price.pool_address
+    });
+  }
+
+  return {
+    upserted: result.upsertedCount,
+    modified: result.modifiedCount
+  };
+}
+
+/**
+ * Walk a chain's tokens in BATCH_SIZE groups and refresh their TokenPrice rows
+ * @param {Object} chain - Chain configuration (geckoTerminalNetwork)
+ */
+async function updateTokenPrices(chain) {
+  if (updatingChains.has(chain.chainId)) {
+    logger.warn(`Price update for ${chain.name} already in progress, skipping this run`);
+    return { success: false, skipped: true };
+  }
+
+  updatingChains.add(chain.chainId);
+  const startTime = Date.now();
+  let processed = 0;
+  let updated = 0;
+  let failedBatches = 0;
+
+  try {
+    logger.info(`Updating ${chain.name} token prices from ${API_BASE_URL}`);
+
+    // Page through tokens by _id so the walk is stable while new tokens arrive
+    let lastId = null;
+
+    while (true) {
+      const query = { chainId: chain.chainId };
+      if (lastId) query._id = { $gt: lastId };
+
+      const tokens = await Token.find(query, { contractAddress: 1, factoryAddress: 1 })
+        .sort({ _id: 1 })
+        .limit(constants.BATCH_SIZE)
+        .lean();
+
+      if (tokens.length === 0) break;
+      lastId = tokens[tokens.length - 1]._id;
+
+      const addresses = tokens.map(token => token.contractAddress);
+      const factories = new Map(tokens.map(token => [token.contractAddress.toLowerCase(), token.factoryAddress]));
+
+      try {
+        const prices = (await fetchTokenPrices(addresses, chain.geckoTerminalNetwork)).map(price => ({
+          ...price,
+          chainId: chain.chainId,
+          factoryAddress: factories.get(price.contractAddress)
+        }));
+        const result = await storePrices(prices);
+        updated += result.upserted + result.modified;
+        logger.debug(`Stored prices for ${prices.length} of ${addresses.length} tokens`);
+      } catch (error) {
+        failedBatches++;
+        logger.error(`Error updating prices for batch ending at ${lastId}: ${error.message}`);
+      }
+
+      processed += tokens.length;
+
+      if (tokens.length < constants.BATCH_SIZE) break;
+      await sleep(BATCH_DELAY);
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(`Price update complete in ${duration}ms: ${processed} tokens checked, ${updated} prices written, ${failedBatches} failed batches`);
+
+    return { success: true, processed, updated, failedBatches };
+  } catch (error) {
+    logger.error('Error in updateTokenPrices:', error);
+    return { success: false, processed, updated, failedBatches };
+  } finally {
+    updatingChains.delete(chain.chainId);
+  }
+}
+
+module.exports = {
+  fetchTokenPrices,
+  storePrices,
+  updateTokenPrices
+};
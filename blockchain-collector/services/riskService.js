@@ -0,0 +1,379 @@
+// blockchain-collector/services/riskService.js
+const { ethers } = require('ethers');
+const Token = require('../../shared/models/Token');
+const TokenPrice = require('../../shared/models/TokenPrice');
+const Deployer = require('../../shared/models/Deployer');
+const PoolLiquidity = require('../../shared/models/PoolLiquidity');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const eventBus = require('../utils/eventBus');
+const rpc = require('../utils/rpc');
+
+// Points each signal adds to the score when it fires (total is capped at 100)
+const SIGNAL_POINTS = {
+  serialLauncher: 15,
+  deployerRugs: 25,
+  noPool: 10,
+  lowLiquidity: 15,
+  liquidityPulled: 35,
+  holderConcentration: 15,
+  deployerRetained: 15,
+  mintable: 15,
+  blacklist: 15,
+  pausable: 10,
+  upgradeable: 15,
+  ownerActive: 5
+};
+
+// Function signatures whose selectors in the bytecode raise a code flag
+const CODE_SIGNATURES = {
+  hasOwner: ['owner()'],
+  mintable: ['mint(address,uint256)', 'mint(uint256)', 'mintTo(address,uint256)'],
+  blacklist: [
+    'blacklist(address)',
+    'addToBlacklist(address)',
+    'setBlacklist(address,bool)',
+    'isBlacklisted(address)',
+    'setBots(address[],bool)',
+    'addBots(address[])'
+  ],
+  pausable: ['pause()', 'setPaused(bool)']
+};
+
+// PUSH4 + selector, as emitted by the Solidity function dispatcher
+const CODE_PATTERNS = Object.fromEntries(Object.entries(CODE_SIGNATURES).map(([flag, signatures]) => [
+  flag,
+  signatures.map(signature => '63' + ethers.id(signature).slice(2, 10))
+]));
+
+// bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+const ownerInterface = new ethers.Interface(['function owner() view returns (address)']);
+
+// Chains with a scoring run in progress, to guard against overlapping scheduled runs
+const scoringChains = new Set();
+
+/**
+ * Check whether a hex bytecode string contains a pattern at a byte boundary
+ * @param {string} code - Bytecode without 0x prefix
+ * @param {string} pattern - Hex pattern
+ * @returns {boolean}
+ */
+function containsAtByteBoundary(code, pattern) {
+  let index = code.indexOf(pattern);
+  while (index !== -1) {
+    if (index % 2 === 0) return true;
+    index = code.indexOf(pattern, index + 1);
+  }
+  return false;
+}
+
+/**
+ * Derive code flags from a contract's bytecode
+ * @param {string} code - Contract bytecode
+ * @param {string} implementationSlot - Value of the EIP-1967 implementation slot
+ * @returns {Object} codeFlags for the Token document
+ */
+function getCodeFlags(code, implementationSlot) {
+  const hex = (code || '0x').slice(2).toLowerCase();
+
+  const flags = Object.fromEntries(Object.entries(CODE_PATTERNS).map(([flag, patterns]) => [
+    flag,
+    patterns.some(pattern => containsAtByteBoundary(hex, pattern))
+  ]));
+
+  flags.upgradeable = Boolean(implementationSlot) && BigInt(implementationSlot) !== 0n;
+  flags.checkedAt = new Date();
+  return flags;
+}
+
+/**
+ * Read bytecode flags for tokens that haven't been checked yet
+ * @param {Array} tokens - Lean token documents
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @returns {Promise<Map>} contractAddress -> codeFlags (only newly checked tokens)
+ */
+async function inspectCode(tokens, provider) {
+  const unchecked = tokens.filter(token => !token.codeFlags || !token.codeFlags.checkedAt);
+
+  // Requested together so they go out as JSON-RPC batches
+  const results = await Promise.all(unchecked.map(async (token) => {
+    try {
+      const [code, implementationSlot] = await Promise.all([
+        provider.getCode(token.contractAddress),
+        provider.getStorage(token.contractAddress, EIP1967_IMPLEMENTATION_SLOT)
+      ]);
+      return [token.contractAddress, getCodeFlags(code, implementationSlot)];
+    } catch (error) {
+      logger.error(`Error reading bytecode for ${token.contractAddress}: ${error.message}`);
+      return null;
+    }
+  }));
+
+  return new Map(results.filter(Boolean));
+}
+
+/**
+ * Load everything a batch of tokens is scored on
+ * @param {Array} tokens - Lean token documents
+ * @param {Map} codeFlags - contractAddress -> codeFlags
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @param {Object} chain - Chain configuration
+ * @returns {Promise<Object>} { deployers, pulledTokens, deployerTokens, prices, owners }
+ */
+async function loadInputs(tokens, codeFlags, provider, chain) {
+  const addresses = tokens.map(token => token.contractAddress);
+  const deployerAddresses = [...new Set(tokens.map(token => token.deployer).filter(Boolean))];
+
+  const withOwner = tokens.filter(token => (codeFlags.get(token.contractAddress) || {}).hasOwner);
+
+  const [deployers, siblings, prices, ownerResults] = await Promise.all([
+    Deployer.find({ chainId: chain.chainId, address: { $in: deployerAddresses.map(address => address.toLowerCase()) } }).lean(),
+    Token.find({ chainId: chain.chainId, deployer: { $in: deployerAddresses } }, { contractAddress: 1, deployer: 1 }).lean(),
+    TokenPrice.find({ chainId: chain.chainId, contractAddress: { $in: addresses } }, { contractAddress: 1, pool_reserve_in_usd: 1 }).lean(),
+    rpc.multicall(provider, chain, withOwner.map(token => ({
+      target: token.contractAddress,
+      contractInterface: ownerInterface,
+      method: 'owner'
+    })))
+  ]);
+
+  // Tokens in this batch and their deployers' other launches that saw a liquidity pull
+  const pulledTokens = new Set(await PoolLiquidity.distinct('contractAddress', {
+    chainId: chain.chainId,
+    contractAddress: { $in: [...new Set([...addresses, ...siblings.map(token => token.contractAddress)])] },
+    liquidityPulled: true
+  }));
+
+  const deployerTokens = new Map();
+  for (const sibling of siblings) {
+    if (!deployerTokens.has(sibling.deployer)) deployerTokens.set(sibling.deployer, []);
+    deployerTokens.get(sibling.deployer).push(sibling.contractAddress);
+  }
+
+  return {
+    deployers: new Map(deployers.map(deployer => [deployer.address, deployer])),
+    deployerTokens,
+    pulledTokens,
+    prices: new Map(prices.map(price => [price.contractAddress, price])),
+    owners: new Map(withOwner.map((token, i) => [
+      token.contractAddress,
+      ownerResults[i].success ? ownerResults[i].value.toLowerCase() : null
+    ]))
+  };
+}
+
+/**
+ * Build a signal entry
+ * @param {string} name - Key of SIGNAL_POINTS
+ * @param {boolean} fired - Whether the signal applies
+ * @param {*} value - Raw input (null when unknown)
+ * @param {string} detail - Human-readable explanation
+ * @returns {Object} { name, points, value, detail }
+ */
+function signal(name, fired, value, detail) {
+  return { name, points: fired ? SIGNAL_POINTS[name] : 0, value: value === undefined ? null : value, detail };
+}
+
+/**
+ * Map a score to a level using RISK_LEVELS
+ * @param {number} score - Risk score
+ * @returns {string} low, medium or high
+ */
+function getRiskLevel(score) {
+  if (score >= constants.RISK_LEVELS.high) return 'high';
+  if (score >= constants.RISK_LEVELS.medium) return 'medium';
+  return 'low';
+}
+
+/**
+ * Score one token from its inputs
+ * @param {Object} token - Lean token document
+ * @param {Object} flags - codeFlags (undefined when the bytecode couldn't be read)
+ * @param {Object} inputs - Batch inputs from loadInputs
+ * @returns {Object} { riskScore, riskLevel, riskSignals }
+ */
+function scoreToken(token, flags, inputs) {
+  const { contractAddress } = token;
+  const deployer = token.deployer ? inputs.deployers.get(token.deployer.toLowerCase()) : null;
+  const price = inputs.prices.get(contractAddress);
+
+  const otherLaunches = token.deployer ? (inputs.deployerTokens.get(token.deployer) || []) : [];
+  const deployerRugs = otherLaunches.filter(address => address !== contractAddress && inputs.pulledTokens.has(address)).length;
+
+  const liquidityUsd = price && price.pool_reserve_in_usd != null ? price.pool_reserve_in_usd : null;
+  const top10 = token.top10HolderShare != null ? token.top10HolderShare : null;
+  const retained = token.deployerShare != null ? token.deployerShare : null;
+  const owner = inputs.owners.has(contractAddress) ? inputs.owners.get(contractAddress) : null;
+  const ownerActive = Boolean(owner) && owner !== ethers.ZeroAddress;
+  const percent = share => `${(share * 100).toFixed(1)}%`;
+
+  const signals = [
+    signal('serialLauncher', Boolean(deployer && deployer.isSerialLauncher), deployer ? deployer.maxLaunchesInWindow : null,
+      deployer ? `Deployer launched ${deployer.tokenCount} tokens, up to ${deployer.maxLaunchesInWindow} within ${constants.SERIAL_LAUNCHER_WINDOW_HOURS}h` : 'Deployer profile not built yet'),
+    signal('deployerRugs', deployerRugs > 0, deployerRugs,
+      `${deployerRugs} other launches by this deployer had liquidity pulled`),
+    signal('noPool', !token.hasV3Pool, Boolean(token.hasV3Pool),
+      token.hasV3Pool ? `${token.v3Pools.length} DEX pools` : 'No DEX pool yet'),
+    signal('lowLiquidity', token.hasV3Pool && liquidityUsd !== null && liquidityUsd < constants.RISK_MIN_LIQUIDITY_USD, liquidityUsd,
+      liquidityUsd !== null ? `$${Math.round(liquidityUsd)} in the main pool` : 'Liquidity not priced yet'),
+    signal('liquidityPulled', inputs.pulledTokens.has(contractAddress), inputs.pulledTokens.has(contractAddress),
+      inputs.pulledTokens.has(contractAddress) ? 'A pool lost most of its quote reserve' : 'No liquidity removals seen'),
+    signal('holderConcentration', top10 !== null && top10 >= constants.RISK_TOP10_SHARE_THRESHOLD, top10,
+      top10 !== null ? `Top 10 holders own ${percent(top10)} of supply` : 'Holders not indexed yet'),
+    signal('deployerRetained', retained !== null && retained >= constants.RISK_DEPLOYER_SHARE_THRESHOLD, retained,
+      retained !== null ? `Deployer holds ${percent(retained)} of supply` : 'Holders not indexed yet'),
+    signal('mintable', Boolean(flags && flags.mintable), flags ? flags.mintable : null,
+      flags ? (flags.mintable ? 'Contract exposes a mint function' : 'No mint function found') : 'Bytecode not checked yet'),
+    signal('blacklist', Boolean(flags && flags.blacklist), flags ? flags.blacklist : null,
+      flags ? (flags.blacklist ? 'Contract can block addresses' : 'No blacklist function found') : 'Bytecode not checked yet'),
+    signal('pausable', Boolean(flags && flags.pausable), flags ? flags.pausable : null,
+      flags ? (flags.pausable ? 'Transfers can be paused' : 'No pause function found') : 'Bytecode not checked yet'),
+    signal('upgradeable', Boolean(flags && flags.upgradeable), flags ? flags.upgradeable : null,
+      flags ? (flags.upgradeable ? 'Contract is an upgradeable proxy' : 'Not an EIP-1967 proxy') : 'Bytecode not checked yet'),
+    signal('ownerActive', ownerActive, owner,
+      ownerActive ? `Owned by ${owner}` : (flags && flags.hasOwner ? 'Ownership renounced' : 'No owner'))
+  ];
+
+  const riskScore = Math.min(100, signals.reduce((sum, entry) => sum + entry.points, 0));
+
+  return {
+    riskScore,
+    riskLevel: getRiskLevel(riskScore),
+    riskSignals: signals
+  };
+}
+
+/**
+ * Score a batch of tokens and store the results
+ * @param {Array} tokens - Lean token documents
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @param {Object} chain - Chain configuration
+ * @returns {Promise<number>} Number of tokens scored
+ */
+async function scoreBatch(tokens, provider, chain) {
+  const checked = await inspectCode(tokens, provider);
+  const codeFlags = new Map(tokens.map(token => [token.contractAddress, checked.get(token.contractAddress) || token.codeFlags]));
+
+  const inputs = await loadInputs(tokens, codeFlags, provider, chain);
+  const now = new Date();
+  const operations = [];
+
+  for (const token of tokens) {
+    try {
+      const flags = codeFlags.get(token.contractAddress);
+      const risk = scoreToken(token, flags && flags.checkedAt ? flags : undefined, inputs);
+
+      const update = { ...risk, riskUpdatedAt: now };
+      if (checked.has(token.contractAddress)) {
+        update.codeFlags = checked.get(token.contractAddress);
+      }
+
+      // Leave updatedAt alone so it keeps meaning "inputs changed since the last score"
+      operations.push({
+        updateOne: {
+          filter: { _id: token._id },
+          update: { $set: update },
+          timestamps: false
+        }
+      });
+
+      if (token.riskLevel && token.riskLevel !== risk.riskLevel) {
+        logger.info(`Risk level of ${token.contractAddress} changed from ${token.riskLevel} to ${risk.riskLevel} (score ${risk.riskScore})`);
+
+        eventBus.publish(eventBus.EVENTS.RISK_LEVEL_CHANGED, {
+          chainId: chain.chainId,
+          contractAddress: token.contractAddress,
+          deployer: token.deployer,
+          previousLevel: token.riskLevel,
+          riskLevel: risk.riskLevel,
+          riskScore: risk.riskScore,
+          signals: risk.riskSignals.filter(entry => entry.points > 0).map(entry => entry.name)
+        });
+      }
+    } catch (error) {
+      logger.error(`Error scoring ${token.contractAddress}: ${error.message}`);
+    }
+  }
+
+  if (operations.length > 0) {
+    await Token.bulkWrite(operations, { maxTimeMS: 60000, ordered: false });
+  }
+
+  return operations.length;
+}
+
+/**
+ * Score recent tokens on a chain that were never scored, changed since their
+ * last score, or haven't been rescored for RISK_RESCORE_MINUTES
+ * @param {Object} chain - Chain configuration
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ */
+async function scoreTokens(chain, provider) {
+  if (scoringChains.has(chain.chainId)) {
+    logger.warn(`Risk scoring for ${chain.name} already in progress, skipping this run`);
+    return { success: false, skipped: true };
+  }
+
+  scoringChains.add(chain.chainId);
+  const startTime = Date.now();
+  let scored = 0;
+
+  try {
+    const now = new Date();
+    const createdSince = new Date(now.getTime() - constants.RISK_SCORE_MAX_AGE_HOURS * 60 * 60 * 1000);
+    const rescoreBefore = new Date(now.getTime() - constants.RISK_RESCORE_MINUTES * 60 * 1000);
+
+    let lastId = null;
+
+    while (true) {
+      const query = {
+        chainId: chain.chainId,
+        createdAt: { $gte: createdSince },
+        $or: [
+          { riskUpdatedAt: null },
+          { riskUpdatedAt: { $lt: rescoreBefore } },
+          { $expr: { $gt: ['$updatedAt', '$riskUpdatedAt'] } }
+        ]
+      };
+      if (lastId) query._id = { $gt: lastId };
+
+      const tokens = await Token.find(query, {
+        contractAddress: 1,
+        deployer: 1,
+        hasV3Pool: 1,
+        'v3Pools.address': 1,
+        top10HolderShare: 1,
+        deployerShare: 1,
+        codeFlags: 1,
+        riskLevel: 1
+      })
+        .sort({ _id: 1 })
+        .limit(constants.BATCH_SIZE)
+        .lean();
+
+      if (tokens.length === 0) break;
+      lastId = tokens[tokens.length - 1]._id;
+
+      scored += await scoreBatch(tokens, provider, chain);
+
+      if (tokens.length < constants.BATCH_SIZE) break;
+    }
+
+    logger.info(`Risk scoring on ${chain.name} complete in ${Date.now() - startTime}ms: ${scored} tokens scored`);
+    return { success: true, scored };
+  } catch (error) {
+    logger.error(`Error scoring ${chain.name} tokens:`, error);
+    return { success: false, scored };
+  } finally {
+    scoringChains.delete(chain.chainId);
+  }
+}
+
+module.exports = {
+  getCodeFlags,
+  getRiskLevel,
+  scoreToken,
+  scoreTokens
+};
@@ -0,0 +1,439 @@
+// blockchain-collector/services/swapService.js
+const { ethers } = require('ethers');
+const Token = require('../../shared/models/Token');
+const Trade = require('../../shared/models/Trade');
+const TokenPrice = require('../../shared/models/TokenPrice');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const blockStateService = require('./blockStateService');
+const poolService = require('./poolService');
+const priceEngine = require('./priceEngine');
+const candleService = require('./candleService');
+const tokenMetadataService = require('./tokenMetadataService');
+const metrics = require('../utils/metrics');
+const lifecycle = require('../utils/lifecycle');
+
+// Swap events by DEX factory type
+const SWAP_EVENTS = {
+  'uniswap-v3': 'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'aerodrome-cl': 'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'uniswap-v2': 'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'aerodrome': 'event Swap(address indexed sender, address indexed to, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out)'
+};
+
+// Swap log walk: blocks per cursor step and pool addresses per getLogs call
+const SCAN_CONFIG = {
+  chunkSize: 2000,
+  poolsPerQuery: 200
+};
+
+// DEX factories with a swap scan in progress, keyed by chainId:address
+const scanning = new Set();
+
+// Event interfaces, built once per DEX type
+const swapInterfaces = new Map();
+
+/**
+ * Get the Swap event interface for a DEX type
+ * @param {string} type - DEX type from chains.js
+ * @returns {ethers.Interface}
+ */
+function getSwapInterface(type) {
+  if (!SWAP_EVENTS[type]) {
+    throw new Error(`Unsupported DEX type ${type}`);
+  }
+  if (!swapInterfaces.has(type)) {
+    swapInterfaces.set(type, new ethers.Interface([SWAP_EVENTS[type]]));
+  }
+  return swapInterfaces.get(type);
+}
+
+/**
+ * Swap stream cursor key for a DEX factory
+ * @param {Object} chain - Chain configuration
+ * @param {Object} dex - DEX factory configuration
+ * @returns {Object} CollectorState key
+ */
+function getSwapCursorKey(chain, dex) {
+  return { chainId: chain.chainId, factoryAddress: dex.address, stream: 'swaps' };
+}
+
+/**
+ * Decode a Swap log into signed pool deltas (positive = into the pool)
+ * @param {Object} dex - DEX factory configuration
+ * @param {Object} log - Event log
+ * @returns {Object|null} { amount0, amount1, recipient }
+ */
+function decodeSwap(dex, log) {
+  try {
+    const { args } = getSwapInterface(dex.type).parseLog(log);
+
+    if (args.amount0 !== undefined) {
+      return { amount0: args.amount0, amount1: args.amount1, recipient: args.recipient.toLowerCase() };
+    }
+
+    return {
+      amount0: args.amount0In - args.amount0Out,
+      amount1: args.amount1In - args.amount1Out,
+      recipient: args.to.toLowerCase()
+    };
+  } catch (error) {
+    logger.error(`Error decoding ${dex.name} swap log ${log.transactionHash}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Turn a decoded swap into a trade from one tracked token's side
+ * @param {Object} swap - Decoded swap
+ * @param {Object} log - Event log
+ * @param {Object} tracked - { token, pool } for the tracked side
+ * @param {Object} context - { chain, dex, quoteTokens, wethUsd, traders, timestamps }
+ * @returns {Object|null} Trade fields, or null for a zero-amount swap
+ */
+function buildTrade(swap, log, tracked, context) {
+  const { token, pool } = tracked;
+  const tokenIsToken0 = BigInt(token.contractAddress) < BigInt(pool.pairWith);
+
+  const tokenDelta = tokenIsToken0 ? swap.amount0 : swap.amount1;
+  const quoteDelta = tokenIsToken0 ? swap.amount1 : swap.amount0;
+  if (tokenDelta === 0n || quoteDelta === 0n) return null;
+
+  const tokenAmount = tokenDelta < 0n ? -tokenDelta : tokenDelta;
+  const quoteAmount = quoteDelta < 0n ? -quoteDelta : quoteDelta;
+
+  // USD values only for configured quote tokens (WETH needs the reference price)
+  const quote = context.quoteTokens.get(pool.pairWith);
+  const quoteUsd = quote ? (quote.usdPegged ? 1 : context.wethUsd) : null;
+
+  let priceUsd = null;
+  let valueUsd = null;
+  if (quoteUsd) {
+    const tokenUnits = Number(ethers.formatUnits(tokenAmount, token.decimals != null ? token.decimals : 18));
+    const quoteUnits = Number(ethers.formatUnits(quoteAmount, quote.decimals));
+    valueUsd = quoteUnits * quoteUsd;
+    priceUsd = tokenUnits > 0 ? valueUsd / tokenUnits : null;
+  }
+
+  const transactionHash = log.transactionHash.toLowerCase();
+
+  return {
+    chainId: context.chain.chainId,
+    contractAddress: token.contractAddress,
+    poolAddress: pool.address,
+    dex: context.dex.name,
+    side: tokenDelta < 0n ? 'buy' : 'sell',
+    tokenAmount: tokenAmount.toString(),
+    quoteAmount: quoteAmount.toString(),
+    quoteAddress: pool.pairWith,
+    quoteSymbol: pool.pairSymbol,
+    priceUsd,
+    valueUsd,
+    trader: context.traders.get(transactionHash) || swap.recipient,
+    recipient: swap.recipient,
+    transactionHash,
+    logIndex: log.index,
+    blockNumber: log.blockNumber,
+    timestamp: context.timestamps.get(log.blockNumber)
+  };
+}
+
+/**
+ * Store the trades in a batch of Swap logs and feed new ones into the candles
+ * @param {Array} logs - Swap logs
+ * @param {Map} trackedPools - Pool address -> [{ token, pool }]
+ * @param {Object} context - { chain, dex, quoteTokens, wethUsd }
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @returns {Promise<number>} Number of new trades
+ */
+async function processSwapLogs(logs, trackedPools, context, provider) {
+  if (logs.length === 0) return 0;
+
+  // Transaction senders and block times, requested together so they go out as JSON-RPC batches
+  const txHashes = [...new Set(logs.map(log => log.transactionHash.toLowerCase()))];
+  const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+
+  const [senders, blockTimes] = await Promise.all([
+    Promise.all(txHashes.map(hash => provider.getTransaction(hash).then(
+      tx => [hash, tx ? tx.from.toLowerCase() : null],
+      () => [hash, null]
+    ))),
+    Promise.all(blockNumbers.map(async blockNumber =>
+      [blockNumber, await tokenMetadataService.getBlockTimestamp(provider, context.chain, blockNumber)]
+    ))
+  ]);
+
+  const tradeContext = { ...context, traders: new Map(senders), timestamps: new Map(blockTimes) };
+  const retentionMs = constants.TRADE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  const trades = [];
+  for (const log of logs) {
+    const swap = decodeSwap(context.dex, log);
+    if (!swap) continue;
+
+    for (const tracked of trackedPools.get(log.address.toLowerCase()) || []) {
+      const trade = buildTrade(swap, log, tracked, tradeContext);
+      if (trade && trade.timestamp) trades.push(trade);
+    }
+  }
+
+  if (trades.length === 0) return 0;
+
+  // Upserts keep re-scanned ranges idempotent
+  const endTimer = metrics.bulkWriteDuration.startTimer({ collection: 'trades' });
+  const result = await Trade.bulkWrite(trades.map(trade => ({
+    updateOne: {
+      filter: { transactionHash: trade.transactionHash, logIndex: trade.logIndex, contractAddress: trade.contractAddress },
+      update: {
+        $setOnInsert: {
+          ...trade,
+          expiresAt: retentionMs ? new Date(trade.timestamp.getTime() + retentionMs) : undefined
+        }
+      },
+      upsert: true
+    }
+  })), { maxTimeMS: 60000, ordered: false });
+  endTimer();
+
+  // Only trades stored for the first time add candle volume
+  const newTrades = Object.keys(result.upsertedIds || {}).map(index => trades[index]);
+  await candleService.recordTrades(newTrades.map(trade => ({
+    chainId: trade.chainId,
+    contractAddress: trade.contractAddress,
+    priceUsd: trade.priceUsd,
+    volumeUsd: trade.valueUsd,
+    timestamp: trade.timestamp
+  })));
+
+  return newTrades.length;
+}
+
+/**
+ * Load every tracked pool of a DEX on a chain
+ * @param {Object} chain - Chain configuration
+ * @param {Object} dex - DEX factory configuration
+ * @returns {Promise<Map>} Pool address -> [{ token, pool }]
+ */
+async function loadTrackedPools(chain, dex) {
+  const tokens = await Token.find(
+    { chainId: chain.chainId, hasV3Pool: true },
+    { contractAddress: 1, decimals: 1, v3Pools: 1 }
+  ).lean();
+
+  const trackedPools = new Map();
+  for (const token of tokens) {
+    for (const pool of token.v3Pools || []) {
+      // Pools stored before DEX names were recorded all came from Uniswap V3
+      if ((pool.dex || 'uniswap-v3') !== dex.name) continue;
+
+      if (!trackedPools.has(pool.address)) trackedPools.set(pool.address, []);
+      trackedPools.get(pool.address).push({ token, pool });
+    }
+  }
+  return trackedPools;
+}
+
+/**
+ * Walk Swap logs of a DEX's tracked pools from its swap cursor up to its pool cursor
+ * (caller must hold the swap cursor lease)
+ * @param {Object} chain - Chain configuration
+ * @param {Object} dex - DEX factory configuration
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ */
+async function scanDexSwaps(chain, dex, provider) {
+  const cursorKey = getSwapCursorKey(chain, dex);
+
+  // Pools are known up to the pool cursor, so swaps never get ahead of it
+  const log = logger.child({ chainId: chain.chainId, chain: chain.name, dex: dex.name });
+  const limit = await blockStateService.getLastProcessedBlock(poolService.getPoolCursorKey(chain, dex));
+  let lastBlock = await blockStateService.getLastProcessedBlock(cursorKey);
+
+  if (limit === 0) return { trades: 0 };
+
+  if (lastBlock === 0) {
+    // Trades are indexed going forward; history before the first run isn't fetched
+    lastBlock = limit;
+    await blockStateService.saveLastProcessedBlock(cursorKey, lastBlock, null);
+    log.info(`Starting swap indexing at block ${lastBlock + 1}`);
+    return { trades: 0 };
+  }
+
+  if (lastBlock >= limit) return { trades: 0 };
+
+  const trackedPools = await loadTrackedPools(chain, dex);
+  const poolAddresses = [...trackedPools.keys()];
+  const topic = getSwapInterface(dex.type).fragments[0].topicHash;
+
+  let wethUsd = null;
+  try {
+    wethUsd = await priceEngine.getWethUsdPrice(provider, chain);
+  } catch (error) {
+    log.warn(`Could not read the WETH price, WETH trades stored without USD values: ${error.message}`);
+  }
+
+  const context = {
+    chain,
+    dex,
+    wethUsd,
+    quoteTokens: new Map(chain.quoteTokens.map(quote => [quote.address, quote]))
+  };
+
+  let trades = 0;
+
+  while (lastBlock < limit) {
+    const fromBlock = lastBlock + 1;
+    const toBlock = Math.min(fromBlock + SCAN_CONFIG.chunkSize - 1, limit);
+
+    for (let i = 0; i < poolAddresses.length; i += SCAN_CONFIG.poolsPerQuery) {
+      const address = poolAddresses.slice(i, i + SCAN_CONFIG.poolsPerQuery);
+
+      await poolService.walkLogs(provider, { address, topics: [topic] }, fromBlock, toBlock, async (logs) => {
+        trades += await processSwapLogs(logs, trackedPools, context, provider);
+      }, { log, initialChunkSize: SCAN_CONFIG.chunkSize, maxChunkSize: SCAN_CONFIG.chunkSize });
+    }
+
+    await blockStateService.saveLastProcessedBlock(cursorKey, toBlock, null);
+    lastBlock = toBlock;
+  }
+
+  log.info(`Swap indexing reached block ${lastBlock}, ${trades} new trades across ${poolAddresses.length} pools`);
+  return { trades };
+}
+
+/**
+ * Index Swap events from every enabled DEX on a chain
+ * @param {Object} chain - Chain configuration
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ */
+async function indexSwaps(chain, provider) {
+  for (const dex of chain.dexFactories.filter(dex => dex.enabled)) {
+    if (lifecycle.isShuttingDown()) break;
+
+    const logContext = { chainId: chain.chainId, chain: chain.name, dex: dex.name };
+    const log = logger.child(logContext);
+    const scanKey = `${chain.chainId}:${dex.address}`;
+    if (scanning.has(scanKey)) {
+      log.warn('Swap indexing already in progress, skipping this run');
+      continue;
+    }
+
+    scanning.add(scanKey);
+    try {
+      // Bound for the services the scan calls, so their lines carry the DEX too
+      await logger.withContext(logContext, () =>
+        blockStateService.withLease(getSwapCursorKey(chain, dex), () => scanDexSwaps(chain, dex, provider))
+      );
+    } catch (error) {
+      log.error('Error indexing swaps:', error);
+    } finally {
+      scanning.delete(scanKey);
+    }
+  }
+}
+
+/**
+ * Recompute rolling 1h/6h/24h trade stats for a chain's tokens and write them to TokenPrice.
+ * Volumes are only written when they aren't coming from an external price API.
+ * @param {Object} chain - Chain configuration
+ * @param {Object} [options] - { includeVolume } (default true)
+ */
+async function updateTradeStats(chain, { includeVolume = true } = {}) {
+  const now = new Date();
+  const since = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+  const within = hours => ({ $gte: ['$timestamp', since(hours)] });
+  const countSide = (side, hours) => ({
+    $sum: { $cond: [{ $and: [{ $eq: ['$side', side] }, within(hours)] }, 1, 0] }
+  });
+  const tradersWithin = hours => ({ $addToSet: { $cond: [within(hours), '$trader', '$$REMOVE'] } });
+
+  try {
+    const rows = await Trade.aggregate([
+      { $match: { chainId: chain.chainId, timestamp: { $gte: since(24) } } },
+      {
+        $group: {
+          _id: '$contractAddress',
+          volume_usd: { $sum: '$valueUsd' },
+          volume_usd_h6: { $sum: { $cond: [within(6), '$valueUsd', 0] } },
+          volume_usd_h1: { $sum: { $cond: [within(1), '$valueUsd', 0] } },
+          buys_h1: countSide('buy', 1),
+          sells_h1: countSide('sell', 1),
+          buys_h6: countSide('buy', 6),
+          sells_h6: countSide('sell', 6),
+          buys_h24: countSide('buy', 24),
+          sells_h24: countSide('sell', 24),
+          traders_h1: tradersWithin(1),
+          traders_h6: tradersWithin(6),
+          traders_h24: { $addToSet: '$trader' }
+        }
+      }
+    ]).option({ maxTimeMS: 60000 });
+
+    const operations = rows.map(row => {
+      const stats = {
+        buys_h1: row.buys_h1,
+        sells_h1: row.sells_h1,
+        traders_h1: row.traders_h1.length,
+        buys_h6: row.buys_h6,
+        sells_h6: row.sells_h6,
+        traders_h6: row.traders_h6.length,
+        buys_h24: row.buys_h24,
+        sells_h24: row.sells_h24,
+        traders_h24: row.traders_h24.length,
+        trade_stats_updated: now
+      };
+
+      if (includeVolume) {
+        Object.assign(stats, {
+          volume_usd: row.volume_usd,
+          volume_usd_h6: row.volume_usd_h6,
+          volume_usd_h1: row.volume_usd_h1
+        });
+      }
+
+      return {
+        updateOne: {
+          filter: { chainId: chain.chainId, contractAddress: row._id },
+          update: { $set: stats },
+          upsert: true
+        }
+      };
+    });
+
+    if (operations.length > 0) {
+      await TokenPrice.bulkWrite(operations, { maxTimeMS: 60000, ordered: false });
+    }
+
+    // Tokens that stopped trading drop out of the aggregation, so zero them explicitly
+    const zeroed = {
+      buys_h1: 0, sells_h1: 0, traders_h1: 0,
+      buys_h6: 0, sells_h6: 0, traders_h6: 0,
+      buys_h24: 0, sells_h24: 0, traders_h24: 0,
+      trade_stats_updated: now
+    };
+    if (includeVolume) {
+      Object.assign(zeroed, { volume_usd: 0, volume_usd_h6: 0, volume_usd_h1: 0 });
+    }
+
+    const stale = await TokenPrice.updateMany(
+      {
+        chainId: chain.chainId,
+        trade_stats_updated: { $lt: now },
+        $or: [{ buys_h24: { $gt: 0 } }, { sells_h24: { $gt: 0 } }]
+      },
+      { $set: zeroed }
+    );
+
+    logger.info(`Trade stats on ${chain.name} updated for ${rows.length} tokens, ${stale.modifiedCount} reset`);
+    return { success: true, tokens: rows.length };
+  } catch (error) {
+    logger.error(`Error updating ${chain.name} trade stats:`, error);
+    return { success: false };
+  }
+}
+
+module.exports = {
+  decodeSwap,
+  buildTrade,
+  indexSwaps,
+  updateTradeStats
+};
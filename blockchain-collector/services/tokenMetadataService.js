@@ -0,0 +1,215 @@
+// blockchain-collector/services/tokenMetadataService.js
+const { ethers } = require('ethers');
+const Token = require('../../shared/models/Token');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const eventDecoder = require('../utils/eventDecoder');
+const rpc = require('../utils/rpc');
+
+// ERC20 ABI (just what we need)
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)'
+];
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// Block timestamps are immutable once confirmed, so a small cache saves repeat lookups
+const BLOCK_CACHE_LIMIT = 1000;
+const blockTimestamps = new Map();
+
+/**
+ * Get a block's timestamp as a Date
+ * @param {ethers.Provider} provider - Blockchain provider
+ * @param {Object} chain - Chain configuration
+ * @param {number} blockNumber - Block number
+ * @returns {Promise<Date|null>} Block time, or null if the block isn't available
+ */
+async function getBlockTimestamp(provider, chain, blockNumber) {
+  const key = `${chain.chainId}:${blockNumber}`;
+  if (blockTimestamps.has(key)) {
+    return blockTimestamps.get(key);
+  }
+
+  const block = await provider.getBlock(blockNumber);
+  if (!block) return null;
+
+  const timestamp = new Date(block.timestamp * 1000);
+  blockTimestamps.set(key, timestamp);
+
+  // Maps iterate in insertion order, so the first key is the oldest
+  if (blockTimestamps.size > BLOCK_CACHE_LIMIT) {
+    blockTimestamps.delete(blockTimestamps.keys().next().value);
+  }
+
+  return timestamp;
+}
+
+/**
+ * Read decimals() and totalSupply() for many token contracts in one multicall
+ * @param {Array<string>} tokenAddresses - Token contract addresses
+ * @param {ethers.Provider} provider - Blockchain provider
+ * @param {Object} chain - Chain configuration
+ * @returns {Promise<Array>} { decimals, totalSupply } per address (raw supply as string), or null where a read failed
+ */
+async function getTokenMetadata(tokenAddresses, provider, chain) {
+  const results = await rpc.multicall(provider, chain, tokenAddresses.flatMap(target => [
+    { target, contractInterface: erc20Interface, method: 'decimals' },
+    { target, contractInterface: erc20Interface, method: 'totalSupply' }
+  ]));
+
+  return tokenAddresses.map((tokenAddress, i) => {
+    const [decimals, totalSupply] = results.slice(i * 2, i * 2 + 2);
+    if (!decimals.success || !totalSupply.success) {
+      logger.warn(`Could not read ERC-20 metadata for ${tokenAddress}: ${(decimals.error || totalSupply.error).message}`);
+      return null;
+    }
+
+    return {
+      decimals: Number(decimals.value),
+      totalSupply: totalSupply.value.toString()
+    };
+  });
+}
+
+/**
+ * Add on-chain metadata and the block timestamp to decoded tokens.
+ * Fields that can't be read are left unset so the repair job can fill them later.
+ * @param {Array} tokens - Decoded tokens from eventDecoder
+ * @param {ethers.Provider} provider - Blockchain provider
+ * @param {Object} chain - Chain configuration
+ * @returns {Promise<Array>} The same tokens, enriched in place
+ */
+async function enrichTokens(tokens, provider, chain) {
+  let metadata = [];
+  try {
+    metadata = await getTokenMetadata(tokens.map(token => token.contractAddress), provider, chain);
+  } catch (error) {
+    logger.warn(`Could not read ERC-20 metadata for ${tokens.length} tokens: ${error.message}`);
+  }
+
+  // Block reads go out together so the provider can send them as one JSON-RPC batch
+  const blockNumbers = [...new Set(tokens.map(token => token.blockNumber).filter(Number.isInteger))];
+  const timestamps = new Map(await Promise.all(blockNumbers.map(async (blockNumber) => {
+    try {
+      return [blockNumber, await getBlockTimestamp(provider, chain, blockNumber)];
+    } catch (error) {
+      logger.warn(`Could not read block ${blockNumber}: ${error.message}`);
+      return [blockNumber, null];
+    }
+  })));
+
+  tokens.forEach((token, i) => {
+    if (metadata[i]) Object.assign(token, metadata[i]);
+
+    const createdAt = timestamps.get(token.blockNumber);
+    if (createdAt) token.createdAt = createdAt;
+  });
+
+  return tokens;
+}
+
+/**
+ * One-off repair for tokens stored before the full TokenCreated payload was
+ * captured: re-reads each token's creation log, ERC-20 metadata and block time.
+ * Deployers are left untouched.
+ * @param {Object} pipeline - Pipeline from tokenScannerService.createPipeline
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @returns {Promise<Object>} { checked, repaired, failed }
+ */
+async function repairTokens(pipeline, provider) {
+  const query = {
+    chainId: pipeline.chain.chainId,
+    factoryAddress: pipeline.factory.address,
+    $or: [
+      { logIndex: { $exists: false } },
+      { totalSupply: { $exists: false } }
+    ]
+  };
+
+  let checked = 0;
+  let repaired = 0;
+  let failed = 0;
+  let lastId = null;
+
+  pipeline.log.info(`Repairing ${await Token.countDocuments(query)} incomplete token records`);
+
+  while (true) {
+    const pageQuery = lastId ? { ...query, _id: { $gt: lastId } } : query;
+    const tokens = await Token.find(pageQuery, { contractAddress: 1, blockNumber: 1 })
+      .sort({ _id: 1 })
+      .limit(constants.BATCH_SIZE)
+      .lean();
+
+    if (tokens.length === 0) break;
+    lastId = tokens[tokens.length - 1]._id;
+
+    // One getLogs call per creation block, decoded and keyed by token address
+    const decodedByAddress = new Map();
+    for (const blockNumber of new Set(tokens.map(token => token.blockNumber).filter(Number.isInteger))) {
+      try {
+        const logs = await provider.getLogs({
+          address: pipeline.factory.address,
+          topics: [pipeline.eventTopic],
+          fromBlock: blockNumber,
+          toBlock: blockNumber
+        });
+
+        for (const log of logs) {
+          const decoded = eventDecoder.decodeTokenCreatedEvent(log, pipeline);
+          if (decoded) decodedByAddress.set(decoded.contractAddress, decoded);
+        }
+      } catch (error) {
+        pipeline.log.error(`Error fetching logs for block ${blockNumber}: ${error.message}`);
+      }
+    }
+
+    const updates = tokens.map(token => {
+      const decoded = decodedByAddress.get(token.contractAddress);
+      return decoded ? { ...decoded } : { contractAddress: token.contractAddress, blockNumber: token.blockNumber };
+    });
+    await enrichTokens(updates, provider, pipeline.chain);
+
+    const operations = tokens.map((token, i) => {
+      const update = updates[i];
+      checked++;
+
+      // Identity fields are already correct and blockNumber may be missing on old records
+      delete update.contractAddress;
+      delete update.chainId;
+      delete update.factoryAddress;
+      if (!Number.isInteger(update.blockNumber)) delete update.blockNumber;
+
+      if (!decodedByAddress.has(token.contractAddress)) {
+        pipeline.log.warn(`TokenCreated log for ${token.contractAddress} not found, only metadata repaired`);
+        failed++;
+      }
+
+      return {
+        updateOne: {
+          filter: { _id: token._id },
+          update: { $set: update },
+          overwriteImmutable: true // createdAt comes from the block, not the time of the repair
+        }
+      };
+    });
+
+    const result = await Token.bulkWrite(operations, { maxTimeMS: 60000, ordered: false });
+    repaired += result.modifiedCount;
+
+    pipeline.log.info(`Repaired ${repaired} of ${checked} tokens checked so far`);
+
+    if (tokens.length < constants.BATCH_SIZE) break;
+  }
+
+  pipeline.log.info(`Token repair complete: ${checked} checked, ${repaired} repaired, ${failed} without a creation log`);
+
+  return { checked, repaired, failed };
+}
+
+module.exports = {
+  getBlockTimestamp,
+  getTokenMetadata,
+  enrichTokens,
+  repairTokens
+};
@@ -0,0 +1,400 @@
+// blockchain-collector/services/tokenScannerService.js
+const { ethers } = require('ethers');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const tokenStorageService = require('./tokenStorageService');
+const blockStateService = require('./blockStateService');
+const backfillService = require('./backfillService');
+const poolService = require('./poolService');
+const deployerService = require('./deployerService');
+const tokenMetadataService = require('./tokenMetadataService');
+const eventDecoder = require('../utils/eventDecoder');
+const rpc = require('../utils/rpc');
+const metrics = require('../utils/metrics');
+const lifecycle = require('../utils/lifecycle');
+
+// Batch processing configuration
+const BATCH_CONFIG = {
+  maxBatchSize: 50,    // Maximum tokens to process in one batch
+  minBatchSize: 10,    // Minimum tokens to process in one batch
+  batchTimeout: 5000   // 5 seconds timeout for batch processing
+};
+
+// Walk forward from the cursor (capped per run) so no block is ever skipped
+const MAX_BLOCKS_PER_SCAN = 500;
+
+// Process in chunks to avoid timeout issues; a run of MAX_BLOCKS_PER_SCAN is split into
+// several so a failed or interrupted chunk only costs the blocks after the last good one
+const CHUNK_SIZE = 100;
+
+// How many stored events to remember for (txHash, logIndex) deduplication
+const RECENT_EVENTS_LIMIT = 10000;
+
+// Events already stored by this process, keyed by chainId and eventDecoder.getEventKey
+const recentEvents = new Set();
+
+/**
+ * Dedup key for a decoded token event
+ * @param {Object} token - Decoded token data
+ * @returns {string}
+ */
+function getTokenEventKey(token) {
+  return `${token.chainId}:${eventDecoder.getEventKey(token.transactionHash, token.logIndex)}`;
+}
+
+/**
+ * Remember stored events, evicting the oldest once the limit is reached
+ * @param {Array} tokens - Tokens that were stored
+ */
+function rememberEvents(tokens) {
+  for (const token of tokens) {
+    recentEvents.add(getTokenEventKey(token));
+  }
+
+  // Sets iterate in insertion order, so the first entries are the oldest
+  for (const key of recentEvents) {
+    if (recentEvents.size <= RECENT_EVENTS_LIMIT) break;
+    recentEvents.delete(key);
+  }
+}
+
+/**
+ * Forget events whose tokens were removed by a reorg, so the same event
+ * re-mined in a later block is stored again
+ * @param {Array} events - { chainId, transactionHash, logIndex } of removed tokens
+ */
+function forgetEvents(events) {
+  for (const event of events) {
+    recentEvents.delete(getTokenEventKey(event));
+  }
+}
+
+/**
+ * Build the scanning context for one factory on one chain
+ * @param {Object} chain - Chain configuration
+ * @param {Object} factory - Factory configuration from the chain
+ * @returns {Object} Pipeline
+ */
+function createPipeline(chain, factory) {
+  const eventInterface = new ethers.Interface([factory.event]);
+  const name = `${chain.name}:${factory.name}`;
+  // Log fields identifying the pipeline, also bound around its runs for the services they call
+  const logContext = { chainId: chain.chainId, chain: chain.name, pipeline: name };
+
+  return {
+    name,
+    logContext,
+    log: logger.child(logContext),
+    chain,
+    factory,
+    eventInterface,
+    eventTopic: eventInterface.fragments[0].topicHash,
+    // Cursor tracking this factory's TokenCreated logs
+    cursorKey: {
+      chainId: chain.chainId,
+      factoryAddress: factory.address,
+      stream: 'tokens'
+    },
+    // Guard against overlapping scheduled scans
+    isScanning: false
+  };
+}
+
+/**
+ * Shared provider for a pipeline's chain (rate limited per RPC endpoint)
+ * @param {Object} pipeline - Pipeline from createPipeline
+ * @returns {ethers.JsonRpcProvider}
+ */
+function getProvider(pipeline) {
+  return rpc.createProvider(pipeline.chain);
+}
+
+// Process tokens in batches. Throws if a batch can't be stored so the caller
+// never advances a cursor past tokens that aren't in the database.
+async function processTokensInBatches(tokens) {
+  const batches = [];
+  for (let i = 0; i < tokens.length; i += BATCH_CONFIG.maxBatchSize) {
+    batches.push(tokens.slice(i, i + BATCH_CONFIG.maxBatchSize));
+  }
+
+  for (const batch of batches) {
+    try {
+      // Process the batch
+      await tokenStorageService.storeTokens(batch);
+      rememberEvents(batch);
+      logger.info(`Processed batch of ${batch.length} tokens`);
+    } catch (error) {
+      logger.error('Error processing batch:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Single ingestion path for TokenCreated logs from the scanner and the live
+ * WebSocket monitor: decode, resolve the deployer, read ERC-20 metadata and the
+ * block timestamp, and store. Events already
+ * stored by this process are skipped by (txHash, logIndex).
+ * @param {Object} pipeline - Pipeline from createPipeline
+ * @param {ethers.Provider} provider - Provider used for deployer lookups
+ * @param {Array} logs - Raw TokenCreated logs
+ * @returns {Promise<Array>} Every decoded token, including ones skipped as duplicates
+ */
+async function ingestLogs(pipeline, provider, logs) {
+  const tokens = [];
+  const newTokens = [];
+
+  for (const log of logs) {
+    const token = eventDecoder.decodeTokenCreatedEvent(log, pipeline);
+    metrics.logsDecoded.inc({ source: pipeline.name, result: token ? 'decoded' : 'invalid' });
+    if (!token) continue;
+
+    tokens.push(token);
+
+    if (recentEvents.has(getTokenEventKey(token))) {
+      pipeline.log.debug(`Skipping already stored event ${token.transactionHash}:${token.logIndex}`);
+      continue;
+    }
+
+    // Unresolved deployers are left unset so a stored or overridden one isn't cleared
+    const { deployer, strategy } = await deployerService.resolveDeployer(token, provider, pipeline);
+    newTokens.push(deployer ? { ...token, deployer, deployerStrategy: strategy } : token);
+  }
+
+  if (newTokens.length > 0) {
+    await tokenMetadataService.enrichTokens(newTokens, provider, pipeline.chain);
+    await processTokensInBatches(newTokens);
+  }
+
+  return tokens;
+}
+
+/**
+ * Fetch TokenCreated logs for a block range and ingest them
+ * Throws if the logs can't be fetched so callers never skip blocks.
+ * @param {Object} pipeline - Pipeline from createPipeline
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @returns {Promise<Array>} Decoded token data
+ */
+async function scanBlockRange(pipeline, provider, fromBlock, toBlock) {
+  // Query for events in this range
+  const filter = {
+    address: pipeline.factory.address,
+    topics: [pipeline.eventTopic],
+    fromBlock,
+    toBlock
+  };
+
+  const logs = await provider.getLogs(filter);
+  metrics.blocksScanned.inc({ pipeline: pipeline.name }, toBlock - fromBlock + 1);
+  pipeline.log.info(`Found ${logs.length} token creation events in blocks ${fromBlock}-${toBlock}`);
+
+  return ingestLogs(pipeline, provider, logs);
+}
+
+/**
+ * Backfill a block range (default: factory deployment to chain head), then
+ * hand the live scanner its cursor at the exact block the backfill reached.
+ * Caller must hold the cursor lease.
+ * @param {Object} pipeline - Pipeline from createPipeline
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @param {Object} [range] - Optional { fromBlock, toBlock }
+ */
+async function runBackfill(pipeline, provider, range = {}) {
+  const result = await backfillService.runBackfill(provider, {
+    fromBlock: pipeline.factory.deploymentBlock || undefined,
+    ...range,
+    cursorKey: pipeline.cursorKey,
+    factoryAddress: pipeline.factory.address,
+    scanAndStore: async (fromBlock, toBlock) => {
+      const tokens = await scanBlockRange(pipeline, provider, fromBlock, toBlock);
+      return tokens.length;
+    }
+  });
+
+  // Pool discovery won't walk back over tokens stored behind its cursors
+  await poolService.markBackfilledTokens(pipeline.chain, pipeline.factory.address, result.fromBlock, result.toBlock);
+
+  // A bounded range is a repair job and must not move the live cursor
+  if (range.toBlock !== undefined) {
+    return result;
+  }
+
+  const lastProcessedBlock = await blockStateService.getLastProcessedBlock(pipeline.cursorKey);
+  if (result.toBlock > lastProcessedBlock) {
+    const block = await provider.getBlock(result.toBlock);
+    await blockStateService.saveLastProcessedBlock(pipeline.cursorKey, result.toBlock, block ? block.hash : null);
+    pipeline.log.info(`Backfill handed off to live scanner at block ${result.toBlock}`);
+  }
+
+  return result;
+}
+
+/**
+ * Run a backfill for a pipeline under its cursor lease
+ * @param {Object} pipeline - Pipeline from createPipeline
+ * @param {Object} [range] - Optional { fromBlock, toBlock }
+ * @returns {Promise<Object>} { acquired, result }
+ */
+async function backfill(pipeline, range = {}) {
+  const provider = getProvider(pipeline);
+  return logger.withContext(pipeline.logContext, () =>
+    blockStateService.withLease(pipeline.cursorKey, () => runBackfill(pipeline, provider, range))
+  );
+}
+
+/**
+ * Scan blocks after the cursor and advance it (caller must hold the cursor lease)
+ * @param {Object} pipeline - Pipeline from createPipeline
+ * @param {ethers.JsonRpcProvider} provider - Blockchain provider
+ * @returns {Promise<Object>} { blocks, tokens } scanned by a live scan, {} after a backfill
+ */
+async function scanNewBlocks(pipeline, provider) {
+  const { cursorKey } = pipeline;
+  const scanStartedAt = Date.now();
+
+  // Only scan blocks with enough confirmations to be unlikely to reorg
+  const safeBlock = await blockStateService.getSafeBlockNumber(provider);
+  pipeline.log.info(`Scanning up to safe block ${safeBlock}`);
+
+  // Rewind if the blocks we processed last time are no longer canonical
+  const reorg = await blockStateService.detectReorg(cursorKey, provider);
+  if (reorg) {
+    await blockStateService.rollbackTo(cursorKey, reorg.forkBlock, reorg.lastBlock);
+  }
+
+  // Get last processed block
+  const lastProcessedBlock = await blockStateService.getLastProcessedBlock(cursorKey);
+  pipeline.log.info(`Last processed block: ${lastProcessedBlock}`);
+
+  // If we're up to date, no need to scan
+  if (safeBlock <= lastProcessedBlock) {
+    pipeline.log.info('Already up to date with blockchain');
+    return { blocks: 0, tokens: 0 };
+  }
+
+  // Fresh start or a long outage: walk the gap in adaptive chunks instead
+  if (lastProcessedBlock === 0 || safeBlock - lastProcessedBlock > constants.BACKFILL_THRESHOLD) {
+    pipeline.log.info(`Cursor is ${safeBlock - lastProcessedBlock} blocks behind, switching to backfill`);
+    await runBackfill(pipeline, provider, lastProcessedBlock === 0 ? {} : { fromBlock: lastProcessedBlock + 1 });
+    return {};
+  }
+
+  const startBlock = lastProcessedBlock + 1;
+  const endBlock = Math.min(safeBlock, lastProcessedBlock + MAX_BLOCKS_PER_SCAN);
+  pipeline.log.info(`Scanning blocks ${startBlock} to ${endBlock} [${endBlock - startBlock + 1} blocks]`);
+
+  const allTokens = [];
+
+  // Highest block whose tokens were all fetched and stored; the cursor never moves past it
+  let lastScannedBlock = null;
+
+  for (let chunkStart = startBlock; chunkStart <= endBlock; chunkStart += CHUNK_SIZE) {
+    // On shutdown, finish the chunk in hand and save the cursor for what's stored
+    if (lifecycle.isShuttingDown()) {
+      pipeline.log.info(`Shutting down, stopping scan before block ${chunkStart}`);
+      break;
+    }
+
+    const chunkEnd = Math.min(chunkStart + CHUNK_SIZE - 1, endBlock);
+
+    pipeline.log.info(`Processing block chunk ${chunkStart} to ${chunkEnd} [${chunkEnd - chunkStart + 1} blocks]`);
+
+    try {
+      // The provider rate limits and fails over per RPC endpoint, so chunks go back to back
+      const tokens = await scanBlockRange(pipeline, provider, chunkStart, chunkEnd);
+      allTokens.push(...tokens);
+      lastScannedBlock = chunkEnd;
+    } catch (error) {
+      pipeline.log.error(`Error processing block chunk ${chunkStart}-${chunkEnd}:`, error);
+      // Stop here so the cursor doesn't skip the failed chunk; the next run retries it
+      break;
+    }
+  }
+
+  if (lastScannedBlock === null) {
+    pipeline.log.warn('No block chunks were scanned successfully, cursor not advanced');
+    return { blocks: 0, tokens: 0 };
+  }
+
+  if (allTokens.length > 0) {
+    pipeline.log.info(`Processed ${allTokens.length} tokens from blocks ${startBlock} to ${lastScannedBlock}`);
+  } else {
+    pipeline.log.info('No new tokens found');
+  }
+
+  // The live monitor stores tokens before they are confirmed, so reconcile the whole
+  // confirmed range: this drops live tokens whose blocks were reorged out and covers
+  // any part of a rolled-back range this run re-scanned
+  const { removedEvents } = await tokenStorageService.reconcileReorgedRange(startBlock, lastScannedBlock, allTokens, cursorKey);
+  forgetEvents(removedEvents);
+
+  const pendingReorg = await blockStateService.getPendingReorg(cursorKey);
+  if (pendingReorg) {
+    const toBlock = Math.min(pendingReorg.toBlock, lastScannedBlock);
+
+    await blockStateService.setPendingReorg(
+      cursorKey,
+      toBlock < pendingReorg.toBlock ? { fromBlock: toBlock + 1, toBlock: pendingReorg.toBlock } : null
+    );
+  }
+
+  // Save the last processed block along with its hash for reorg detection
+  const block = await provider.getBlock(lastScannedBlock);
+  await blockStateService.saveLastProcessedBlock(cursorKey, lastScannedBlock, block ? block.hash : null);
+
+  await blockStateService.recordScan(cursorKey, {
+    fromBlock: startBlock,
+    toBlock: lastScannedBlock,
+    tokensFound: allTokens.length,
+    durationMs: Date.now() - scanStartedAt
+  });
+
+  return { blocks: lastScannedBlock - startBlock + 1, tokens: allTokens.length };
+}
+
+/**
+ * Fetch tokens deployed by a pipeline's factory
+ * Only the instance holding the cursor lease advances it.
+ * @param {Object} pipeline - Pipeline from createPipeline
+ * @returns {Promise<Object>} { success, skipped, blocks, tokens }
+ */
+async function fetchAndStoreTokens(pipeline) {
+  if (pipeline.isScanning) {
+    pipeline.log.warn('Token scan already in progress, skipping this run');
+    return { success: false, skipped: true };
+  }
+
+  pipeline.isScanning = true;
+
+  try {
+    pipeline.log.info(`Fetching tokens deployed by factory ${pipeline.factory.address}...`);
+
+    // Create a provider with rate limiting
+    const provider = getProvider(pipeline);
+
+    const { acquired, result } = await logger.withContext(pipeline.logContext, () =>
+      blockStateService.withLease(pipeline.cursorKey, () => scanNewBlocks(pipeline, provider))
+    );
+    return acquired ? { success: true, ...result } : { success: false, skipped: true };
+  } catch (error) {
+    // A backfill stopped for shutdown leaves its progress saved; let the job record the interruption
+    if (error instanceof lifecycle.ShutdownError) throw error;
+
+    pipeline.log.error('Error in fetchAndStoreTokens:', error);
+    return { success: false };
+  } finally {
+    pipeline.isScanning = false;
+  }
+}
+
+module.exports = {
+  createPipeline,
+  getProvider,
+  ingestLogs,
+  scanBlockRange,
+  backfill,
+  fetchAndStoreTokens
+};
@@ -1,6 +1,38 @@
 // blockchain-collector/services/tokenStorageService.js
 const Token = require('../../shared/models/Token');
+const TokenPrice = require('../../shared/models/TokenPrice');
+const TokenHolder = require('../../shared/models/TokenHolder');
+const TokenCandle = require('../../shared/models/TokenCandle');
+const Trade = require('../../shared/models/Trade');
+const PoolLiquidity = require('../../shared/models/PoolLiquidity');
+const Deployer = require('../../shared/models/Deployer');
 const logger = require('../../shared/utils/logger');
+const eventBus = require('../utils/eventBus');
+const metrics = require('../utils/metrics');
+
+/**
+ * Announce newly inserted tokens on the event bus
+ * @param {Array} tokens Token objects that were inserted
+ */
+function publishNewTokens(tokens) {
+  for (const token of tokens) {
+    logger.debug(`Stored new token ${token.symbol || token.contractAddress}`, {
+      contractAddress: token.contractAddress.toLowerCase(),
+      txHash: token.transactionHash,
+      blockNumber: token.blockNumber
+    });
+
+    eventBus.publish(eventBus.EVENTS.TOKEN_CREATED, {
+      chainId: token.chainId,
+      contractAddress: token.contractAddress.toLowerCase(),
+      name: token.name,
+      symbol: token.symbol,
+      deployer: token.deployer,
+      blockNumber: token.blockNumber,
+      transactionHash: token.transactionHash
+    });
+  }
+}
 
 /**
  * Store token data in the database using bulk write
@@ -13,12 +45,17 @@ async function storeTokens(tokens) {
       return { success: true, newTokens: 0, updatedTokens: 0 };
     }
     
-    logger.info(`Preparing bulk write operation for ${tokens.length} tokens`);
+    const blockNumbers = tokens.map(token => token.blockNumber).filter(Number.isInteger);
+    const blockRange = blockNumbers.length > 0
+      ? { fromBlock: Math.min(...blockNumbers), toBlock: Math.max(...blockNumbers) }
+      : {};
+    
+    logger.debug(`Preparing bulk write operation for ${tokens.length} tokens`, blockRange);
     
     // Prepare operations for bulk write
     const operations = tokens.map(token => ({
       updateOne: {
-        filter: { contractAddress: token.contractAddress.toLowerCase() },
+        filter: { chainId: token.chainId, contractAddress: token.contractAddress.toLowerCase() },
         update: { 
           $set: {
             ...token,
@@ -28,23 +65,35 @@ async function storeTokens(tokens) {
             blockNumber: token.blockNumber // Only set blockNumber on insert
           }
         },
-        upsert: true
+        upsert: true,
+        overwriteImmutable: true // createdAt is the block timestamp, not the insert time
       }
     }));
     
     // Perform the bulk write with explicit timeout settings
-    logger.info(`Executing bulk write for ${operations.length} operations`);
+    logger.debug(`Executing bulk write for ${operations.length} operations`, blockRange);
     const startTime = Date.now();
+    const endTimer = metrics.bulkWriteDuration.startTimer({ collection: 'tokens' });
     
     const result = await Token.bulkWrite(operations, {
       maxTimeMS: 60000,  // 60 second timeout
       ordered: false     // Continue processing even if some operations fail
     });
     
+    endTimer();
     const duration = Date.now() - startTime;
+    metrics.tokensStored.inc({ result: 'new' }, result.upsertedCount);
+    metrics.tokensStored.inc({ result: 'updated' }, result.modifiedCount);
+    
+    logger.info(`Bulk write completed in ${duration}ms: ${result.upsertedCount} new tokens, ${result.modifiedCount} modified tokens`, {
+      ...blockRange,
+      durationMs: duration,
+      newTokens: result.upsertedCount,
+      updatedTokens: result.modifiedCount
+    });
     
-    logger.info(`Bulk write completed in ${duration}ms`);
-    logger.info(`Results: ${result.upsertedCount} new tokens, ${result.modifiedCount} modified tokens`);
+    // upsertedIds is keyed by operation index
+    publishNewTokens(Object.keys(result.upsertedIds || {}).map(index => tokens[index]));
     
     return {
       success: true,
@@ -61,13 +110,15 @@ async function storeTokens(tokens) {
 }
 
 /**
- * Fallback method to store tokens individually if bulk operation fails
+ * Fallback method to store tokens individually if bulk operation fails.
+ * Every token is attempted; throws afterwards if any of them failed.
  * @param {Array} tokens Array of token objects
  */
 async function storeTokensIndividually(tokens) {
   try {
     let newTokens = 0;
     let updatedTokens = 0;
+    let failedTokens = 0;
     
     logger.info(`Processing ${tokens.length} tokens individually as fallback`);
     
@@ -75,33 +126,43 @@ async function storeTokensIndividually(tokens) {
       try {
         // Use findOneAndUpdate with explicit timeout
         const result = await Token.findOneAndUpdate(
-          { contractAddress: token.contractAddress.toLowerCase() },
+          { chainId: token.chainId, contractAddress: token.contractAddress.toLowerCase() },
           { $set: token },
           { 
             upsert: true, 
             new: true,
+            includeResultMetadata: true,
+            overwriteImmutable: true,
             maxTimeMS: 30000
           }
         );
         
-        if (result && result._id) {
-          // Check if new or updated based on timestamps
-          if (result.createdAt && result.updatedAt && 
-              result.createdAt.getTime() === result.updatedAt.getTime()) {
+        if (result && result.value) {
+          // The raw result tells us whether the upsert inserted a document
+          if (result.lastErrorObject && result.lastErrorObject.updatedExisting === false) {
             newTokens++;
+            metrics.tokensStored.inc({ result: 'new' });
+            publishNewTokens([token]);
           } else {
             updatedTokens++;
+            metrics.tokensStored.inc({ result: 'updated' });
           }
         }
       } catch (tokenError) {
-        logger.error(`Error processing token ${token.contractAddress}: ${tokenError.message}`);
+        failedTokens++;
+        logger.error(`Error processing token ${token.contractAddress}`, tokenError, {
+          contractAddress: token.contractAddress.toLowerCase(),
+          txHash: token.transactionHash,
+          blockNumber: token.blockNumber
+        });
       }
-      
-      // Add a small delay between operations
-      await new Promise(resolve => setTimeout(resolve, 200));
     }
     
-    logger.info(`Fallback processing complete: ${newTokens} new, ${updatedTokens} updated`);
+    logger.info(`Fallback processing complete: ${newTokens} new, ${updatedTokens} updated, ${failedTokens} failed`);
+    
+    if (failedTokens > 0) {
+      throw new Error(`Failed to store ${failedTokens} of ${tokens.length} tokens`);
+    }
     
     return {
       success: true,
@@ -114,6 +175,208 @@ async function storeTokensIndividually(tokens) {
   }
 }
 
+/**
+ * Delete tokens and every row built from them: price, holders, trades, liquidity
+ * history and candles. Their deployers' peaks are reset so the next profile
+ * update rebuilds them without the removed tokens.
+ * @param {number} chainId Chain the tokens live on
+ * @param {Array} tokens Lean tokens with contractAddress and deployer
+ */
+async function removeTokenData(chainId, tokens) {
+  const filter = { chainId, contractAddress: { $in: tokens.map(token => token.contractAddress) } };
+  const options = { maxTimeMS: 30000 };
+
+  await Token.deleteMany(filter, options);
+  await Promise.all([
+    TokenPrice.deleteMany(filter, options),
+    TokenHolder.deleteMany(filter, options),
+    Trade.deleteMany(filter, options),
+    PoolLiquidity.deleteMany(filter, options),
+    TokenCandle.deleteMany(filter, options)
+  ]);
+
+  const deployers = [...new Set(tokens.map(token => token.deployer).filter(Boolean))];
+  if (deployers.length > 0) {
+    await Deployer.updateMany(
+      { chainId, address: { $in: deployers } },
+      { $unset: { peakLiquidityUsd: '', peakFdvUsd: '' } },
+      options
+    );
+  }
+}
+
+/**
+ * Bump updatedAt on tokens whose risk inputs changed outside the Token document
+ * (liquidity, price or deployer profile), so the next risk run rescores them
+ * @param {Object} filter Token filter
+ */
+async function touchTokens(filter) {
+  await Token.updateMany(filter, { $set: { updatedAt: new Date() } }, { timestamps: false, maxTimeMS: 30000 });
+}
+
+/**
+ * Reconcile stored tokens with a block range that was re-scanned after a reorg.
+ * Tokens whose creating log is gone are removed along with everything derived from
+ * them (see removeTokenData); tokens that were re-included in a different block get
+ * their blockNumber corrected.
+ * @param {number} fromBlock First block of the re-scanned range
+ * @param {number} toBlock Last block of the re-scanned range
+ * @param {Array} foundTokens Tokens decoded from the range on the canonical chain
+ * @param {Object} scope { chainId, factoryAddress } the range was scanned for
+ * @returns {Promise<Object>} { confirmed, removed, removedEvents } where removedEvents
+ * are the { chainId, transactionHash, logIndex } of the removed tokens
+ */
+async function reconcileReorgedRange(fromBlock, toBlock, foundTokens, scope) {
+  const foundAddresses = foundTokens.map(token => token.contractAddress.toLowerCase());
+  
+  const orphaned = await Token.find(
+    {
+      chainId: scope.chainId,
+      factoryAddress: scope.factoryAddress.toLowerCase(),
+      blockNumber: { $gte: fromBlock, $lte: toBlock },
+      contractAddress: { $nin: foundAddresses }
+    },
+    { contractAddress: 1, chainId: 1, deployer: 1, transactionHash: 1, logIndex: 1 }
+  ).lean();
+  
+  if (orphaned.length > 0) {
+    const orphanedAddresses = orphaned.map(token => token.contractAddress);
+    logger.warn(`Removing ${orphaned.length} tokens orphaned by reorg in blocks ${fromBlock}-${toBlock}: ${orphanedAddresses.join(', ')}`, {
+      chainId: scope.chainId,
+      fromBlock,
+      toBlock
+    });
+    
+    await removeTokenData(scope.chainId, orphaned);
+  }
+  
+  // blockNumber is only set on insert, so fix it up for re-included tokens
+  if (foundTokens.length > 0) {
+    await Token.bulkWrite(foundTokens.map(token => ({
+      updateOne: {
+        filter: { chainId: scope.chainId, contractAddress: token.contractAddress.toLowerCase() },
+        update: { $set: { blockNumber: token.blockNumber } }
+      }
+    })), { maxTimeMS: 60000, ordered: false });
+  }
+  
+  logger.info(`Reconciled blocks ${fromBlock}-${toBlock}: ${foundTokens.length} tokens confirmed, ${orphaned.length} removed`, {
+    chainId: scope.chainId,
+    fromBlock,
+    toBlock
+  });
+  
+  return {
+    confirmed: foundTokens.length,
+    removed: orphaned.length,
+    removedEvents: orphaned.map(({ chainId, transactionHash, logIndex }) => ({ chainId, transactionHash, logIndex }))
+  };
+}
+
+/**
+ * Tag tokens stored before multi-chain support with the chain and factory
+ * they were collected from
+ * @param {number} chainId Chain the legacy tokens belong to
+ * @param {string} factoryAddress Factory the legacy tokens came from
+ */
+async function tagLegacyTokens(chainId, factoryAddress) {
+  const tag = { chainId, factoryAddress: factoryAddress.toLowerCase() };
+  
+  const tokens = await Token.updateMany(
+    { chainId: { $exists: false } },
+    { $set: tag },
+    { maxTimeMS: 60000 }
+  );
+  const prices = await TokenPrice.updateMany(
+    { chainId: { $exists: false } },
+    { $set: tag },
+    { maxTimeMS: 60000 }
+  );
+  
+  if (tokens.modifiedCount > 0 || prices.modifiedCount > 0) {
+    logger.info(`Tagged ${tokens.modifiedCount} legacy tokens and ${prices.modifiedCount} prices with chain ${chainId}, factory ${tag.factoryAddress}`);
+  }
+}
+
+// Indexes from before tokens were keyed by chain; they make the same address on a
+// second chain collide with the first
+const LEGACY_INDEXES = [
+  { model: Token, name: 'contractAddress_1', uniqueOnly: true },
+  { model: TokenPrice, name: 'contractAddress_1', uniqueOnly: true },
+  { model: TokenHolder, name: 'contractAddress_1_address_1' },
+  { model: TokenHolder, name: 'contractAddress_1_balanceValue_-1' },
+  { model: TokenCandle, name: 'contractAddress_1_resolution_1_bucketStart_1' }
+];
+
+/**
+ * Tag candles written before they were keyed by chain with their token's chain.
+ * Candles of an address stored on several chains mixed both series, so they are dropped.
+ */
+async function tagLegacyCandles() {
+  const addresses = await TokenCandle.distinct('contractAddress', { chainId: { $exists: false } });
+  if (addresses.length === 0) return;
+
+  const tokens = await Token.find({ contractAddress: { $in: addresses } }, { chainId: 1, contractAddress: 1 }).lean();
+  const chainsByAddress = new Map();
+  for (const token of tokens) {
+    if (!chainsByAddress.has(token.contractAddress)) chainsByAddress.set(token.contractAddress, new Set());
+    chainsByAddress.get(token.contractAddress).add(token.chainId);
+  }
+
+  let tagged = 0;
+  const ambiguous = [];
+  for (const contractAddress of addresses) {
+    const chainIds = [...(chainsByAddress.get(contractAddress) || [])];
+    if (chainIds.length !== 1) {
+      ambiguous.push(contractAddress);
+      continue;
+    }
+
+    const result = await TokenCandle.updateMany(
+      { contractAddress, chainId: { $exists: false } },
+      { $set: { chainId: chainIds[0] } },
+      { maxTimeMS: 60000 }
+    );
+    tagged += result.modifiedCount;
+  }
+
+  const dropped = ambiguous.length > 0
+    ? (await TokenCandle.deleteMany({ contractAddress: { $in: ambiguous }, chainId: { $exists: false } })).deletedCount
+    : 0;
+
+  logger.info(`Tagged ${tagged} legacy candles with their token's chain, dropped ${dropped} that could not be attributed to one chain`);
+}
+
+/**
+ * Drop the address-only unique indexes and build the per-chain ones in their place,
+ * tagging legacy candles with their chain first
+ */
+async function migrateTokenIndexes() {
+  for (const { model, name, uniqueOnly } of LEGACY_INDEXES) {
+    let indexes;
+    try {
+      indexes = await model.collection.indexes();
+    } catch (error) {
+      // The collection doesn't exist yet, so there is nothing to migrate
+      if (error.codeName === 'NamespaceNotFound') continue;
+      throw error;
+    }
+    
+    const legacy = indexes.find(index => index.name === name && (!uniqueOnly || index.unique));
+    if (!legacy) continue;
+    
+    await model.collection.dropIndex(name);
+    logger.info(`Dropped legacy index ${name} on ${model.collection.collectionName}`);
+  }
+  
+  await tagLegacyCandles();
+  await Promise.all([Token.createIndexes(), TokenPrice.createIndexes(), TokenHolder.createIndexes(), TokenCandle.createIndexes()]);
+}
+
 module.exports = {
-  storeTokens
+  storeTokens,
+  tagLegacyTokens,
+  migrateTokenIndexes,
+  reconcileReorgedRange,
+  touchTokens
 };
\ No newline at end of file
@@ -0,0 +1,252 @@
+// blockchain-collector/services/websocketServer.js
+const { WebSocketServer, WebSocket } = require('ws');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const eventBus = require('../utils/eventBus');
+
+// How often clients are pinged; clients missing a pong are dropped
+const HEARTBEAT_INTERVAL = 30000;
+
+let wss = null;
+let heartbeatTimer = null;
+let unsubscribers = [];
+
+// Ring buffer of recent events replayed to new clients
+const recentEvents = [];
+let sequence = 0;
+
+/**
+ * Normalise a list-like filter value (array or comma-separated string) into a lowercase Set
+ * @param {Array|string} value - Raw filter value
+ * @returns {Set<string>|null} Set of values, or null when empty
+ */
+function toFilterSet(value) {
+  if (!value) return null;
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim().toLowerCase())
+    .filter(Boolean);
+  return items.length > 0 ? new Set(items) : null;
+}
+
+/**
+ * Build a client filter from subscribe-message or query-string fields
+ * @param {Object} raw - { types, chainIds, deployers, tokens, minLiquidityUsd }
+ * @returns {Object} Normalised filter
+ */
+function parseFilters(raw = {}) {
+  const minLiquidityUsd = parseFloat(raw.minLiquidityUsd);
+  return {
+    types: toFilterSet(raw.types),
+    chainIds: toFilterSet(raw.chainIds),
+    deployers: toFilterSet(raw.deployers),
+    tokens: toFilterSet(raw.tokens),
+    minLiquidityUsd: Number.isFinite(minLiquidityUsd) ? minLiquidityUsd : null
+  };
+}
+
+/**
+ * Check whether an event passes a client's filters.
+ * Deployer and token filters are alternatives (either may match); type, chain
+ * and minimum liquidity always apply. Events without a known USD liquidity never
+ * pass a minimum liquidity filter.
+ * @param {Object} event - Buffered event
+ * @param {Object} filters - Client filters
+ * @returns {boolean}
+ */
+function matchesFilters(event, filters) {
+  if (filters.types && !filters.types.has(event.type)) {
+    return false;
+  }
+
+  if (filters.chainIds) {
+    const chainId = event.data && event.data.chainId;
+    if (chainId == null || !filters.chainIds.has(String(chainId))) {
+      return false;
+    }
+  }
+
+  if (filters.deployers || filters.tokens) {
+    const data = event.data || {};
+    const deployerMatch = filters.deployers && data.deployer && filters.deployers.has(data.deployer);
+    const tokenMatch = filters.tokens && data.contractAddress && filters.tokens.has(data.contractAddress);
+    if (!deployerMatch && !tokenMatch) {
+      return false;
+    }
+  }
+
+  if (filters.minLiquidityUsd !== null) {
+    const liquidityUsd = event.data && event.data.liquidityUsd;
+    if (typeof liquidityUsd !== 'number' || liquidityUsd < filters.minLiquidityUsd) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Send a JSON message to a single client if its socket is open
+ * @param {WebSocket} client - Client socket
+ * @param {Object} message - Message payload
+ */
+function send(client, message) {
+  if (client.readyState === WebSocket.OPEN) {
+    client.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Replay buffered events matching the client's filters
+ * @param {WebSocket} client - Client socket
+ */
+function replay(client) {
+  const events = recentEvents.filter(event => matchesFilters(event, client.filters));
+  send(client, { type: 'replay', events });
+}
+
+/**
+ * Buffer an event and fan it out to matching clients
+ * @param {Object} event - { type, data, timestamp } from the event bus
+ */
+function broadcast(event) {
+  const message = { seq: ++sequence, ...event };
+
+  recentEvents.push(message);
+  if (recentEvents.length > constants.WS_REPLAY_SIZE) {
+    recentEvents.shift();
+  }
+
+  if (!wss) return;
+
+  for (const client of wss.clients) {
+    if (client.filters && matchesFilters(message, client.filters)) {
+      send(client, message);
+    }
+  }
+}
+
+/**
+ * Whether a parsed JSON value is an object (not null or an array)
+ * @param {*} value - Parsed value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Handle a control message from a client
+ * @param {WebSocket} client - Client socket
+ * @param {Buffer} raw - Raw message
+ */
+function handleMessage(client, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    return send(client, { type: 'error', error: 'Messages must be JSON' });
+  }
+
+  // JSON.parse also accepts null, numbers, strings and arrays
+  if (!isPlainObject(message)) {
+    return send(client, { type: 'error', error: 'Messages must be JSON objects' });
+  }
+
+  switch (message.action) {
+    case 'subscribe':
+      if (message.filters !== undefined && !isPlainObject(message.filters)) {
+        return send(client, { type: 'error', error: 'filters must be an object' });
+      }
+      client.filters = parseFilters(message.filters);
+      send(client, { type: 'subscribed', filters: message.filters || {} });
+      if (message.replay) replay(client);
+      break;
+    case 'unsubscribe':
+      client.filters = parseFilters();
+      send(client, { type: 'unsubscribed' });
+      break;
+    case 'ping':
+      send(client, { type: 'pong', timestamp: new Date().toISOString() });
+      break;
+    default:
+      send(client, { type: 'error', error: `Unknown action: ${message.action}` });
+  }
+}
+
+/**
+ * Start the WebSocket push feed
+ * @param {number} [port] - Port to listen on
+ * @returns {WebSocketServer}
+ */
+function start(port = process.env.WS_PORT || constants.WS_PORT) {
+  if (wss) return wss;
+
+  wss = new WebSocketServer({ port: Number(port) });
+
+  wss.on('connection', (client, req) => {
+    // Initial filters can be given on the URL, e.g. ?chainIds=8453&deployers=0x..&minLiquidityUsd=1000
+    const query = new URL(req.url, 'ws://localhost').searchParams;
+    client.filters = parseFilters({
+      types: query.get('types'),
+      chainIds: query.get('chainIds'),
+      deployers: query.get('deployers'),
+      tokens: query.get('tokens'),
+      minLiquidityUsd: query.get('minLiquidityUsd')
+    });
+
+    client.isAlive = true;
+    client.on('pong', () => { client.isAlive = true; });
+    client.on('message', (raw) => handleMessage(client, raw));
+    client.on('error', (error) => logger.warn(`WebSocket client error: ${error.message}`));
+
+    replay(client);
+  });
+
+  wss.on('error', (error) => {
+    logger.error('WebSocket server error:', error);
+  });
+
+  // Drop clients that didn't answer the last ping
+  heartbeatTimer = setInterval(() => {
+    for (const client of wss.clients) {
+      if (!client.isAlive) {
+        client.terminate();
+        continue;
+      }
+      client.isAlive = false;
+      client.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  unsubscribers = Object.values(eventBus.EVENTS).map(type =>
+    eventBus.subscribe(type, broadcast)
+  );
+
+  logger.info(`WebSocket feed listening on port ${port}`);
+  return wss;
+}
+
+/**
+ * Stop the WebSocket push feed and disconnect all clients
+ */
+async function stop() {
+  if (!wss) return;
+
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+
+  for (const client of wss.clients) {
+    client.close(1001, 'Server shutting down');
+  }
+
+  await new Promise(resolve => wss.close(resolve));
+  wss = null;
+  logger.info('WebSocket feed stopped');
+}
+
+module.exports = {
+  start,
+  stop
+};
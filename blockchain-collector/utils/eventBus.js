@@ -0,0 +1,48 @@
+// blockchain-collector/utils/eventBus.js
+const { EventEmitter } = require('events');
+const logger = require('../../shared/utils/logger');
+
+// Event types published by the collector
+const EVENTS = {
+  TOKEN_CREATED: 'token-created',
+  POOL_DISCOVERED: 'pool-discovered',
+  PRICE_UPDATED: 'price-updated',
+  LIQUIDITY_UPDATED: 'liquidity-updated',
+  LIQUIDITY_PULLED: 'liquidity-pulled',
+  RISK_LEVEL_CHANGED: 'risk-level-changed'
+};
+
+// Single in-process bus shared by all services
+const emitter = new EventEmitter();
+emitter.setMaxListeners(50);
+
+/**
+ * Publish an event to all in-process listeners
+ * @param {string} type - One of EVENTS
+ * @param {Object} data - Event payload
+ */
+function publish(type, data) {
+  try {
+    emitter.emit(type, { type, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    // A faulty listener must never break the collector pipeline
+    logger.error(`Error publishing ${type} event:`, error);
+  }
+}
+
+/**
+ * Subscribe to an event type
+ * @param {string} type - One of EVENTS
+ * @param {Function} listener - Called with { type, data, timestamp }
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(type, listener) {
+  emitter.on(type, listener);
+  return () => emitter.off(type, listener);
+}
+
+module.exports = {
+  EVENTS,
+  publish,
+  subscribe
+};
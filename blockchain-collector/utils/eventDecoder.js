@@ -1,36 +1,59 @@
 // blockchain-collector/utils/eventDecoder.js
-const { ethers } = require('ethers');
 const logger = require('../../shared/utils/logger');
 
+/**
+ * Key identifying a single log, used to deduplicate events seen by both
+ * the WebSocket subscription and the polling scanner
+ * @param {string} transactionHash - Transaction that emitted the log
+ * @param {number} logIndex - Position of the log in its block
+ * @returns {string}
+ */
+function getEventKey(transactionHash, logIndex) {
+  return `${transactionHash.toLowerCase()}:${logIndex}`;
+}
+
 /**
  * Decode token creation event data
  * @param {Object} log The event log object
+ * @param {Object} pipeline Pipeline the log belongs to (factory event interface, chain)
  * @returns {Object|null} Decoded token data or null if error
  */
-function decodeTokenCreatedEvent(log) {
+function decodeTokenCreatedEvent(log, pipeline) {
   try {
-    // The event parameters are ABI encoded in the data field
-    const decodedData = ethers.AbiCoder.defaultAbiCoder().decode(
-      ['address', 'uint256', 'address', 'string', 'string', 'uint256', 'address', 'uint256'],
-      log.data
-    );
-    
-    const tokenAddress = decodedData[0];
-    const deployer = decodedData[2];
-    const name = decodedData[3];
-    const symbol = decodedData[4];
-    const supply = decodedData[5];
-    
+    const parsed = pipeline.eventInterface.parseLog(log);
+    if (!parsed) {
+      logger.warn(`Log ${log.transactionHash}:${log.index} is not a ${pipeline.name} TokenCreated event`);
+      return null;
+    }
+
+    const {
+      tokenAddress,
+      positionId,
+      deployer,
+      name,
+      symbol,
+      supply,
+      recipient,
+      recipientAmount
+    } = parsed.args;
+
     logger.debug(`Decoded token: ${name} (${symbol}) at ${tokenAddress}`);
-    
+
+    // decimals, totalSupply and createdAt need RPC calls and are filled in by tokenMetadataService
     return {
       contractAddress: tokenAddress.toLowerCase(),
       name,
       symbol,
-      decimals: 18, // ERC20 tokens deployed by KOA have 18 decimals
-      createdAt: new Date(), // We could estimate from block number but this is more accurate
-      deployer: deployer.toLowerCase(),
-      blockNumber: log.blockNumber
+      positionId: positionId.toString(),
+      eventDeployer: deployer.toLowerCase(),
+      supply: supply.toString(),
+      recipient: recipient.toLowerCase(),
+      recipientAmount: recipientAmount.toString(),
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+      chainId: pipeline.chain.chainId,
+      factoryAddress: pipeline.factory.address
     };
   } catch (error) {
     logger.error(`Error decoding event data:`, error);
@@ -39,5 +62,6 @@ function decodeTokenCreatedEvent(log) {
 }
 
 module.exports = {
+  getEventKey,
   decodeTokenCreatedEvent
-};
\ No newline at end of file
+};
@@ -0,0 +1,154 @@
+// blockchain-collector/utils/lifecycle.js
+// Process lifecycle: signal handling, ordered shutdown steps and the shutdown flag
+// long-running loops check between chunks
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+
+// Process exit codes
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,            // A shutdown step failed
+  DRAIN_TIMEOUT: 124   // In-flight work was still running at the deadline
+};
+
+// Conventional 128 + signal number, used when a second signal forces an exit
+const SIGNAL_EXIT_CODES = {
+  SIGINT: 130,
+  SIGTERM: 143
+};
+
+/**
+ * Thrown by loops that stop early because the process is shutting down
+ */
+class ShutdownError extends Error {
+  constructor(message = 'Shutdown in progress') {
+    super(message);
+    this.name = 'ShutdownError';
+  }
+}
+
+// Shutdown steps in the order they run: [{ name, fn }]
+const steps = [];
+
+let shuttingDown = false;
+let shutdownPromise = null;
+
+/**
+ * Whether shutdown has started; loops stop at their next chunk boundary
+ * @returns {boolean}
+ */
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+/**
+ * Throw a ShutdownError once shutdown has started
+ * @param {string} [message] - Where the work stopped
+ */
+function throwIfShuttingDown(message) {
+  if (shuttingDown) {
+    throw new ShutdownError(message);
+  }
+}
+
+/**
+ * Wait for a promise to settle, giving up at a deadline
+ * @param {Promise|Array<Promise>} work - Work in flight
+ * @param {number} deadline - Timestamp in ms
+ * @returns {Promise<boolean>} Whether everything settled in time
+ */
+async function waitUntil(work, deadline) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), Math.max(0, deadline - Date.now()));
+  });
+
+  const settled = Promise.allSettled([].concat(work)).then(() => true);
+  const result = await Promise.race([settled, timeout]);
+  clearTimeout(timer);
+  return result;
+}
+
+/**
+ * Add a shutdown step. Steps run one after another in registration order; a step
+ * may resolve to { exitCode } to report incomplete work without failing the rest.
+ * @param {string} name - Step name for logs
+ * @param {Function} fn - async (deadline) => void | { exitCode }; deadline is a timestamp in ms
+ */
+function onShutdown(name, fn) {
+  steps.push({ name, fn });
+}
+
+/**
+ * Run every shutdown step once
+ * @param {string} reason - Why we're shutting down (signal name, fatal error, ...)
+ * @returns {Promise<number>} Exit code
+ */
+function shutdown(reason) {
+  if (shutdownPromise) return shutdownPromise;
+
+  shuttingDown = true;
+  const drainTimeoutMs = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS, 10) || constants.SHUTDOWN_DRAIN_TIMEOUT_MS;
+  const deadline = Date.now() + drainTimeoutMs;
+
+  shutdownPromise = (async () => {
+    logger.info(`Shutting down (${reason}), draining in-flight work for up to ${drainTimeoutMs / 1000}s`);
+    let exitCode = EXIT_CODES.OK;
+
+    for (const step of steps) {
+      const startTime = Date.now();
+      try {
+        const result = await step.fn(deadline);
+        if (result && result.exitCode && exitCode === EXIT_CODES.OK) {
+          exitCode = result.exitCode;
+        }
+        logger.debug(`Shutdown step ${step.name} done`, { durationMs: Date.now() - startTime });
+      } catch (error) {
+        logger.error(`Shutdown step ${step.name} failed:`, error);
+        if (exitCode === EXIT_CODES.OK) exitCode = EXIT_CODES.ERROR;
+      }
+    }
+
+    logger.info(`Shutdown complete, exiting with code ${exitCode}`);
+    return exitCode;
+  })();
+
+  return shutdownPromise;
+}
+
+/**
+ * Shut down on SIGTERM and SIGINT. A second signal exits immediately.
+ * A watchdog exits if the steps themselves hang well past the drain deadline.
+ */
+function installSignalHandlers() {
+  for (const signal of Object.keys(SIGNAL_EXIT_CODES)) {
+    process.on(signal, () => {
+      if (shuttingDown) {
+        logger.warn(`${signal} received again, exiting without waiting for in-flight work`);
+        process.exit(SIGNAL_EXIT_CODES[signal]);
+      }
+
+      logger.info(`${signal} received, shutting down`);
+
+      const drainTimeoutMs = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS, 10) || constants.SHUTDOWN_DRAIN_TIMEOUT_MS;
+      const watchdog = setTimeout(() => {
+        logger.error('Shutdown steps did not finish in time, exiting');
+        process.exit(EXIT_CODES.DRAIN_TIMEOUT);
+      }, drainTimeoutMs + constants.SHUTDOWN_GRACE_MS);
+      watchdog.unref();
+
+      shutdown(signal).then(exitCode => process.exit(exitCode));
+    });
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  ShutdownError,
+  isShuttingDown,
+  throwIfShuttingDown,
+  waitUntil,
+  onShutdown,
+  shutdown,
+  installSignalHandlers
+};
@@ -0,0 +1,52 @@
+// blockchain-collector/utils/lruCache.js
+
+/**
+ * Minimal least-recently-used cache on top of Map insertion order
+ */
+class LRUCache {
+  /**
+   * @param {number} maxSize - Entries kept before the least recently used is evicted
+   */
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+
+    // Re-insert so the key becomes the most recently used
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return this;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LRUCache;
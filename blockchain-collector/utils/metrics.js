@@ -0,0 +1,284 @@
+// blockchain-collector/utils/metrics.js
+// In-process metrics rendered in the Prometheus text exposition format
+
+// Default latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Scheduled jobs run for seconds to minutes
+const JOB_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800];
+
+// Every registered metric, in registration order
+const registry = [];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set, e.g. {chain="base",method="eth_call"}
+ * @param {Object} labels - Label values
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Series key and normalised labels for a metric's label names
+ * @param {Array<string>} labelNames - Declared label names
+ * @param {Object} labels - Label values
+ * @returns {Object} { key, labels }
+ */
+function resolveLabels(labelNames, labels = {}) {
+  const resolved = {};
+  for (const name of labelNames) {
+    resolved[name] = labels[name] !== undefined && labels[name] !== null ? String(labels[name]) : '';
+  }
+  return { key: JSON.stringify(resolved), labels: resolved };
+}
+
+/**
+ * Counter: a value that only goes up
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} [labelNames] - Label names
+ * @returns {Object} { inc }
+ */
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+
+  const metric = {
+    inc(labels, value = 1) {
+      if (!(value > 0)) return;
+      const { key, labels: resolved } = resolveLabels(labelNames, labels);
+      const current = series.get(key) || { labels: resolved, value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Gauge: a value that goes up and down
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} [labelNames] - Label names
+ * @returns {Object} { set }
+ */
+function gauge(name, help, labelNames = []) {
+  const series = new Map();
+
+  const metric = {
+    set(labels, value) {
+      const { key, labels: resolved } = resolveLabels(labelNames, labels);
+      series.set(key, { labels: resolved, value });
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Histogram: observations counted into cumulative buckets
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} [labelNames] - Label names
+ * @param {Array<number>} [buckets] - Upper bounds in ascending order
+ * @returns {Object} { observe, startTimer }
+ */
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+
+  const metric = {
+    observe(labels, value) {
+      const { key, labels: resolved } = resolveLabels(labelNames, labels);
+      let current = series.get(key);
+      if (!current) {
+        current = { labels: resolved, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, current);
+      }
+
+      buckets.forEach((bound, i) => {
+        if (value <= bound) current.counts[i]++;
+      });
+      current.sum += value;
+      current.count++;
+    },
+
+    /**
+     * Start timing; call the returned function to observe the elapsed seconds
+     * @param {Object} labels - Label values
+     * @returns {Function} end(extraLabels)
+     */
+    startTimer(labels) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        metric.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+// Collector metrics
+const blocksScanned = counter(
+  'collector_blocks_scanned_total',
+  'Blocks scanned for TokenCreated logs',
+  ['pipeline']
+);
+const logsDecoded = counter(
+  'collector_logs_decoded_total',
+  'Event logs decoded, by source and outcome (decoded or invalid)',
+  ['source', 'result']
+);
+const tokensStored = counter(
+  'collector_tokens_stored_total',
+  'Tokens written by storeTokens, by result (new or updated)',
+  ['result']
+);
+const rpcRequests = counter(
+  'collector_rpc_requests_total',
+  'JSON-RPC requests sent',
+  ['chain', 'method']
+);
+const rpcErrors = counter(
+  'collector_rpc_errors_total',
+  'JSON-RPC requests that failed or returned an error',
+  ['chain', 'method']
+);
+const rpcDuration = histogram(
+  'collector_rpc_request_duration_seconds',
+  'JSON-RPC round trip time (a batch counts once per request in it)',
+  ['chain', 'method']
+);
+const rpcFailovers = counter(
+  'collector_rpc_failovers_total',
+  'Requests retried after an endpoint failed, by endpoint and reason (rate_limited or error)',
+  ['chain', 'endpoint', 'reason']
+);
+const rpcEndpointHealth = gauge(
+  'collector_rpc_endpoint_health',
+  'Endpoint health score (0-1, 0 while out of rotation)',
+  ['chain', 'endpoint']
+);
+const rpcLogSplits = counter(
+  'collector_rpc_getlogs_splits_total',
+  'eth_getLogs requests split in half after the endpoint rejected the range',
+  ['chain']
+);
+const poolLookups = counter(
+  'collector_pool_lookups_total',
+  'Created pools checked against tracked tokens, by result (tracked or untracked)',
+  ['chain', 'dex', 'result']
+);
+const bulkWriteDuration = histogram(
+  'collector_bulk_write_duration_seconds',
+  'MongoDB bulkWrite duration',
+  ['collection']
+);
+const jobRuns = counter(
+  'collector_job_runs_total',
+  'Scheduled job runs, by outcome (succeeded, failed or skipped)',
+  ['job', 'status']
+);
+const jobDuration = histogram(
+  'collector_job_duration_seconds',
+  'Scheduled job run time',
+  ['job'],
+  JOB_BUCKETS
+);
+const cursorLag = gauge(
+  'collector_cursor_lag_blocks',
+  'Blocks between the chain head and a pipeline cursor, as of the last readiness check',
+  ['pipeline']
+);
+
+const startedAt = Date.now();
+
+/**
+ * Render every metric plus process stats
+ * @returns {string} Prometheus text exposition
+ */
+function render() {
+  const memory = process.memoryUsage();
+  const lines = [
+    '# HELP process_uptime_seconds Seconds since the collector started',
+    '# TYPE process_uptime_seconds gauge',
+    `process_uptime_seconds ${(Date.now() - startedAt) / 1000}`,
+    '# HELP process_resident_memory_bytes Resident memory size in bytes',
+    '# TYPE process_resident_memory_bytes gauge',
+    `process_resident_memory_bytes ${memory.rss}`,
+    '# HELP nodejs_heap_used_bytes V8 heap in use in bytes',
+    '# TYPE nodejs_heap_used_bytes gauge',
+    `nodejs_heap_used_bytes ${memory.heapUsed}`
+  ];
+
+  for (const metric of registry) {
+    lines.push(...metric.render());
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  render,
+  blocksScanned,
+  logsDecoded,
+  tokensStored,
+  rpcRequests,
+  rpcErrors,
+  rpcDuration,
+  rpcFailovers,
+  rpcEndpointHealth,
+  rpcLogSplits,
+  poolLookups,
+  bulkWriteDuration,
+  jobRuns,
+  jobDuration,
+  cursorLag
+};
@@ -0,0 +1,166 @@
+// blockchain-collector/utils/rpc.js
+const { ethers } = require('ethers');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const rpcPool = require('./rpcPool');
+
+// Multicall3 (just what we need); declared view so ethers sends an eth_call
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) view returns (tuple(bool success, bytes returnData)[] returnData)'
+];
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+/**
+ * JsonRpcProvider that sends through a chain's endpoint pool instead of one URL
+ */
+class PooledProvider extends ethers.JsonRpcProvider {
+  /**
+   * @param {Object} chain - Chain configuration
+   * @param {Object} options - JsonRpcProvider options
+   */
+  constructor(chain, options) {
+    const pool = rpcPool.createPool(chain);
+    super(chain.rpcEndpoints[0].url, chain.chainId, options);
+    this.chainName = chain.name;
+    this.pool = pool;
+  }
+
+  /**
+   * Send one request or a batch through the pool
+   * @param {Object|Array} payload - JSON-RPC payload(s)
+   * @returns {Promise<Array>} JSON-RPC results
+   */
+  async _send(payload) {
+    return this.pool.send(payload);
+  }
+}
+
+// One shared provider per chain, so limits and endpoint health apply across jobs
+const providers = new Map();
+
+/**
+ * Get the shared HTTP provider for a chain. Requests issued in the same tick
+ * are sent as one JSON-RPC batch of up to `rpcBatchSize` (1 disables batching),
+ * spread over the chain's `rpcEndpoints` with failover and per-endpoint rate limits.
+ * @param {Object} chain - Chain configuration
+ * @returns {ethers.JsonRpcProvider}
+ */
+function createProvider(chain) {
+  if (!providers.has(chain.chainId)) {
+    providers.set(chain.chainId, new PooledProvider(chain, {
+      staticNetwork: true,
+      batchMaxCount: chain.rpcBatchSize || 1
+    }));
+  }
+  return providers.get(chain.chainId);
+}
+
+/**
+ * Decode one call's return data, isolating decode failures to that call
+ * @param {Object} call - { contractInterface, method }
+ * @param {string} returnData - Raw return data
+ * @returns {Object} { success, value, error }
+ */
+function decodeResult(call, returnData) {
+  try {
+    const decoded = call.contractInterface.decodeFunctionResult(call.method, returnData);
+    return { success: true, value: decoded.length === 1 ? decoded[0] : decoded, error: null };
+  } catch (error) {
+    return { success: false, value: null, error };
+  }
+}
+
+/**
+ * Run encoded calls one by one (still JSON-RPC batched by the provider).
+ * Used on chains without Multicall3.
+ * @param {ethers.Provider} provider - Blockchain provider
+ * @param {Array} calls - Encoded calls
+ * @returns {Promise<Array>} Per-call results
+ */
+async function callDirect(provider, calls) {
+  return Promise.all(calls.map(async (call) => {
+    try {
+      return decodeResult(call, await provider.call({ to: call.target, data: call.callData }));
+    } catch (error) {
+      return { success: false, value: null, error };
+    }
+  }));
+}
+
+/**
+ * Run encoded calls through one aggregate3, splitting the batch in half when
+ * the aggregate itself fails (gas or response size limits)
+ * @param {ethers.Provider} provider - Blockchain provider
+ * @param {string} multicallAddress - Multicall3 address
+ * @param {Array} calls - Encoded calls
+ * @returns {Promise<Array>} Per-call results
+ */
+async function callAggregate(provider, multicallAddress, calls) {
+  try {
+    const data = multicallInterface.encodeFunctionData('aggregate3', [
+      calls.map(call => ({ target: call.target, allowFailure: true, callData: call.callData }))
+    ]);
+    const [results] = multicallInterface.decodeFunctionResult('aggregate3', await provider.call({ to: multicallAddress, data }));
+
+    return results.map((result, i) => result.success
+      ? decodeResult(calls[i], result.returnData)
+      : { success: false, value: null, error: new Error(`${calls[i].method} reverted on ${calls[i].target}`) });
+  } catch (error) {
+    if (calls.length === 1) {
+      return [{ success: false, value: null, error }];
+    }
+
+    const middle = Math.ceil(calls.length / 2);
+    logger.debug(`Multicall of ${calls.length} calls failed (${error.message}), splitting`);
+
+    return [
+      ...await callAggregate(provider, multicallAddress, calls.slice(0, middle)),
+      ...await callAggregate(provider, multicallAddress, calls.slice(middle))
+    ];
+  }
+}
+
+/**
+ * Batch contract reads through Multicall3. A failing call never fails the
+ * others: every call gets its own { success, value, error } result, in order.
+ * Falls back to JSON-RPC batched eth_calls when the chain has no Multicall3.
+ * @param {ethers.Provider} provider - Blockchain provider
+ * @param {Object} chain - Chain configuration (multicallAddress)
+ * @param {Array} calls - [{ target, contractInterface, method, args }]
+ * @returns {Promise<Array>} [{ success, value, error }]; value is unwrapped for single-output functions
+ */
+async function multicall(provider, chain, calls) {
+  const results = new Array(calls.length);
+  const encoded = [];
+
+  calls.forEach((call, i) => {
+    try {
+      encoded.push({
+        ...call,
+        index: i,
+        callData: call.contractInterface.encodeFunctionData(call.method, call.args || [])
+      });
+    } catch (error) {
+      results[i] = { success: false, value: null, error };
+    }
+  });
+
+  for (let i = 0; i < encoded.length; i += constants.MULTICALL_BATCH_SIZE) {
+    const batch = encoded.slice(i, i + constants.MULTICALL_BATCH_SIZE);
+    const batchResults = chain.multicallAddress
+      ? await callAggregate(provider, chain.multicallAddress, batch)
+      : await callDirect(provider, batch);
+
+    batch.forEach((call, j) => {
+      results[call.index] = batchResults[j];
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  createProvider,
+  multicall
+};
@@ -0,0 +1,420 @@
+// blockchain-collector/utils/rpcPool.js
+// Weighted pool of JSON-RPC endpoints with health scoring, failover and per-endpoint rate limits
+const { ethers } = require('ethers');
+const constants = require('../../shared/config/constants');
+const logger = require('../../shared/utils/logger');
+const metrics = require('./metrics');
+
+// Health is an exponential moving average of outcomes (1 = success, 0 = failure)
+const HEALTH_DECAY = 0.9;
+
+// Endpoints never drop below this share of their configured rate after 429s
+const MIN_RATE_FACTOR = 1 / 16;
+
+// Rate regained per success, as a share of the configured rate
+const RATE_RECOVERY = 0.02;
+
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+// JSON-RPC error messages that mean "slow down" rather than "bad request"
+const RATE_LIMIT_PATTERN = /rate.?limit|too many requests|request limit|exceeded.*(capacity|quota|credits)/i;
+
+// eth_getLogs rejections that a smaller block range fixes
+const RANGE_ERROR_PATTERN = /block range|range (is )?too (large|wide|big)|too many (results|logs|blocks)|more than \d+ (results|logs)|exceed(s|ed)? (the )?(max|maximum|limit)|response (size|is too (big|large))|query timeout|log response size/i;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket that halves its rate when the endpoint pushes back (HTTP 429 or a
+ * rate-limit error) and creeps back to the configured rate on success
+ * @param {number} requestsPerSecond - Configured rate
+ * @returns {Object} { take, throttle, recover, rate }
+ */
+function createTokenBucket(requestsPerSecond) {
+  const capacity = Math.max(1, requestsPerSecond);
+  let rate = requestsPerSecond;
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  // Waiters are served in order
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * rate);
+    updatedAt = now;
+  }
+
+  return {
+    /**
+     * Wait for room to send `count` requests. A batch larger than the bucket
+     * waits for a full bucket and leaves it in debt, so the next caller waits longer.
+     * @param {number} [count] - Requests about to be sent
+     * @returns {Promise<void>}
+     */
+    take(count = 1) {
+      const turn = queue.then(async () => {
+        refill();
+        const needed = Math.min(count, capacity);
+        if (tokens < needed) {
+          await sleep(((needed - tokens) / rate) * 1000);
+          refill();
+        }
+        tokens -= count;
+      });
+      queue = turn.catch(() => {});
+      return turn;
+    },
+
+    throttle() {
+      rate = Math.max(requestsPerSecond * MIN_RATE_FACTOR, rate / 2);
+      tokens = Math.min(tokens, 0);
+    },
+
+    recover() {
+      rate = Math.min(requestsPerSecond, rate + requestsPerSecond * RATE_RECOVERY);
+    },
+
+    get rate() {
+      return rate;
+    }
+  };
+}
+
+/**
+ * One RPC endpoint with its limiter and health
+ * @param {Object} chain - Chain configuration
+ * @param {Object} config - { name, url, weight, requestsPerSecond } from chains.js
+ * @returns {Object} Endpoint
+ */
+function createEndpoint(chain, config) {
+  const connection = new ethers.FetchRequest(config.url);
+  connection.timeout = constants.RPC_REQUEST_TIMEOUT_MS;
+  // 429s come straight back so the pool can throttle and fail over
+  connection.retryFunc = async () => false;
+
+  const endpoint = {
+    name: config.name,
+    weight: config.weight,
+    bucket: createTokenBucket(config.requestsPerSecond || constants.RPC_DEFAULT_RATE_LIMIT),
+    health: 1,
+    latencyMs: null,
+    consecutiveFailures: 0,
+    cooldowns: 0,
+    cooldownUntil: 0,
+    // Largest eth_getLogs block span this endpoint last accepted after rejecting a wider one
+    logSpan: null,
+
+    isAvailable(now = Date.now()) {
+      return endpoint.cooldownUntil <= now;
+    },
+
+    recordSuccess(latencyMs) {
+      endpoint.health = endpoint.health * HEALTH_DECAY + (1 - HEALTH_DECAY);
+      endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : endpoint.latencyMs * 0.8 + latencyMs * 0.2;
+      endpoint.consecutiveFailures = 0;
+      endpoint.cooldowns = 0;
+      endpoint.bucket.recover();
+      metrics.rpcEndpointHealth.set({ chain: chain.name, endpoint: endpoint.name }, endpoint.health);
+    },
+
+    recordFailure(error) {
+      endpoint.health *= HEALTH_DECAY;
+      endpoint.consecutiveFailures++;
+      if (error.rateLimited) endpoint.bucket.throttle();
+
+      if (endpoint.consecutiveFailures >= constants.RPC_ENDPOINT_MAX_FAILURES) {
+        const cooldownMs = Math.min(constants.RPC_ENDPOINT_COOLDOWN_MS * Math.pow(2, endpoint.cooldowns), MAX_COOLDOWN_MS);
+        endpoint.cooldownUntil = Date.now() + cooldownMs;
+        endpoint.cooldowns++;
+        endpoint.consecutiveFailures = 0;
+        logger.warn(`RPC endpoint ${endpoint.name} taken out of rotation for ${cooldownMs / 1000}s: ${error.message}`, {
+          chainId: chain.chainId,
+          chain: chain.name,
+          endpoint: endpoint.name
+        });
+        metrics.rpcEndpointHealth.set({ chain: chain.name, endpoint: endpoint.name }, 0);
+        return;
+      }
+
+      metrics.rpcEndpointHealth.set({ chain: chain.name, endpoint: endpoint.name }, endpoint.health);
+    },
+
+    /**
+     * POST a payload to this endpoint. Transport failures, non-JSON replies and
+     * rate limiting throw; JSON-RPC errors for individual requests are returned.
+     * @param {Object|Array} payload - JSON-RPC payload(s)
+     * @returns {Promise<Array>} JSON-RPC results
+     */
+    async send(payload) {
+      const payloads = Array.isArray(payload) ? payload : [payload];
+      await endpoint.bucket.take(payloads.length);
+
+      const request = connection.clone();
+      request.body = JSON.stringify(payload);
+      request.setHeader('content-type', 'application/json');
+
+      const response = await request.send();
+
+      if (response.statusCode === 429) {
+        throw Object.assign(new Error(`${endpoint.name} responded 429 Too Many Requests`), { rateLimited: true });
+      }
+
+      // Some nodes answer bad requests with a 4xx and a normal JSON-RPC error body
+      let body = null;
+      try {
+        body = response.hasBody() ? response.bodyJson : null;
+      } catch (error) {
+        body = null;
+      }
+
+      if (!body || (!response.ok() && !(response.statusCode < 500 && (body.error || Array.isArray(body))))) {
+        throw Object.assign(new Error(`${endpoint.name} responded ${response.statusCode} ${response.statusMessage}`), {
+          status: response.statusCode
+        });
+      }
+
+      const results = Array.isArray(body) ? body : [body];
+      const rateLimited = results.find(result => result.error && isRateLimitError(result.error));
+      if (rateLimited) {
+        throw Object.assign(new Error(`${endpoint.name} rate limited: ${rateLimited.error.message}`), { rateLimited: true });
+      }
+
+      return results;
+    }
+  };
+
+  return endpoint;
+}
+
+/**
+ * Whether a JSON-RPC error asks the client to slow down
+ * @param {Object} error - JSON-RPC error object
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+  return error.code === 429 || RATE_LIMIT_PATTERN.test(error.message || '');
+}
+
+/**
+ * Whether a failed send is worth retrying: rate limits, timeouts, connection
+ * failures and server errors. Other 4xx answers mean the request itself is bad,
+ * so every endpoint would reject it the same way.
+ * @param {Error} error - Error thrown by endpoint.send
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (error.rateLimited) return true;
+  if (error.status === undefined) return true;
+  return error.status >= 500 || error.status === 408;
+}
+
+/**
+ * Whether a JSON-RPC error rejects an eth_getLogs block range as too large
+ * @param {Object} error - JSON-RPC error object
+ * @returns {boolean}
+ */
+function isRangeError(error) {
+  return RANGE_ERROR_PATTERN.test(`${error.message || ''} ${typeof error.data === 'string' ? error.data : ''}`);
+}
+
+/**
+ * Pick an endpoint at random, weighted by configured weight times health.
+ * Falls back to the endpoint that leaves cooldown soonest when none is available.
+ * @param {Array} endpoints - Pool endpoints
+ * @param {Set} exclude - Endpoints already tried for this request
+ * @returns {Object} Endpoint
+ */
+function pickEndpoint(endpoints, exclude) {
+  const now = Date.now();
+  let candidates = endpoints.filter(endpoint => endpoint.isAvailable(now) && !exclude.has(endpoint));
+  if (candidates.length === 0) {
+    candidates = endpoints.filter(endpoint => endpoint.isAvailable(now));
+  }
+  if (candidates.length === 0) {
+    return endpoints.reduce((soonest, endpoint) => endpoint.cooldownUntil < soonest.cooldownUntil ? endpoint : soonest);
+  }
+
+  const weights = candidates.map(endpoint => endpoint.weight * Math.max(endpoint.health, 0.01));
+  let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+  for (let i = 0; i < candidates.length; i++) {
+    roll -= weights[i];
+    if (roll <= 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Create the endpoint pool for a chain
+ * @param {Object} chain - Chain configuration (rpcEndpoints)
+ * @returns {Object} { send, endpoints, getStatus }
+ */
+function createPool(chain) {
+  if (!chain.rpcEndpoints || chain.rpcEndpoints.length === 0) {
+    throw new Error(`No RPC endpoint configured for chain ${chain.name} (set ${chain.rpcUrlEnv || 'rpcEndpoints'})`);
+  }
+
+  const endpoints = chain.rpcEndpoints.map(config => createEndpoint(chain, config));
+
+  /**
+   * Send a payload, retrying transient failures with jittered backoff on the
+   * healthiest endpoint not tried yet. JSON-RPC errors (reverts, invalid params)
+   * come back as results and are never retried.
+   * @param {Object|Array} payload - JSON-RPC payload(s)
+   * @returns {Promise<Object>} { results, endpoint } with the endpoint that answered
+   */
+  async function sendWithFailover(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const tried = new Set();
+    let lastError;
+
+    for (let attempt = 0; attempt <= constants.RPC_MAX_RETRIES; attempt++) {
+      const endpoint = pickEndpoint(endpoints, tried);
+      const start = process.hrtime.bigint();
+
+      const record = (failedIds) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        for (const request of payloads) {
+          const labels = { chain: chain.name, method: request.method };
+          metrics.rpcRequests.inc(labels);
+          metrics.rpcDuration.observe(labels, seconds);
+          if (!failedIds || failedIds.has(request.id)) metrics.rpcErrors.inc(labels);
+        }
+        return seconds;
+      };
+
+      try {
+        const results = await endpoint.send(payload);
+        const seconds = record(new Set(results.filter(result => result.error).map(result => result.id)));
+        endpoint.recordSuccess(seconds * 1000);
+        return { results, endpoint };
+      } catch (error) {
+        record(null);
+
+        // A bad request isn't the endpoint's fault and no other endpoint would take it
+        if (!isTransientError(error)) throw error;
+
+        endpoint.recordFailure(error);
+        tried.add(endpoint);
+        lastError = error;
+
+        if (attempt === constants.RPC_MAX_RETRIES) break;
+
+        metrics.rpcFailovers.inc({ chain: chain.name, endpoint: endpoint.name, reason: error.rateLimited ? 'rate_limited' : 'error' });
+        logger.debug(`RPC request to ${endpoint.name} failed (${error.message}), retrying`, {
+          chainId: chain.chainId,
+          chain: chain.name,
+          endpoint: endpoint.name,
+          attempt: attempt + 1
+        });
+
+        // Full jitter keeps retries from every caller from arriving together
+        await sleep(Math.random() * constants.RPC_RETRY_BASE_MS * Math.pow(2, attempt));
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Re-send an eth_getLogs request an endpoint rejected as too large in consecutive
+   * chunks and merge the logs into one result. Chunks start at the span the answering
+   * endpoint last accepted (half the range the first time), halve on each rejection
+   * and the accepted span is remembered for the next split.
+   * @param {Object} request - eth_getLogs JSON-RPC request
+   * @param {Object} errorResult - The rejection, returned when the range can't be split
+   * @param {Object} endpoint - Endpoint that rejected the range
+   * @returns {Promise<Object>} JSON-RPC result
+   */
+  async function splitGetLogs(request, errorResult, endpoint) {
+    const filter = request.params && request.params[0];
+    if (!filter || filter.blockHash || !ethers.isHexString(filter.fromBlock) || !ethers.isHexString(filter.toBlock)) {
+      return errorResult;
+    }
+
+    const fromBlock = Number(filter.fromBlock);
+    const toBlock = Number(filter.toBlock);
+    if (toBlock <= fromBlock) {
+      return errorResult;
+    }
+
+    const range = toBlock - fromBlock + 1;
+    let span = Math.min(endpoint.logSpan || Math.ceil(range / 2), range - 1);
+    metrics.rpcLogSplits.inc({ chain: chain.name });
+
+    const logs = [];
+    let nextBlock = fromBlock;
+
+    while (nextBlock <= toBlock) {
+      const chunkEnd = Math.min(nextBlock + span - 1, toBlock);
+      const chunk = {
+        ...request,
+        params: [{ ...filter, fromBlock: ethers.toQuantity(nextBlock), toBlock: ethers.toQuantity(chunkEnd) }]
+      };
+
+      const { results: [result], endpoint: answered } = await sendWithFailover(chunk);
+
+      if (result.error) {
+        if (!isRangeError(result.error) || chunkEnd === nextBlock) return result;
+
+        span = Math.max(1, Math.floor((chunkEnd - nextBlock + 1) / 2));
+        answered.logSpan = span;
+        metrics.rpcLogSplits.inc({ chain: chain.name });
+        continue;
+      }
+
+      // The tail chunk can be shorter than the span and says nothing about the limit
+      if (chunkEnd - nextBlock + 1 === span) answered.logSpan = span;
+      logs.push(...result.result);
+      nextBlock = chunkEnd + 1;
+    }
+
+    return { jsonrpc: '2.0', id: request.id, result: logs };
+  }
+
+  /**
+   * Send one request or a batch through the pool
+   * @param {Object|Array} payload - JSON-RPC payload(s)
+   * @returns {Promise<Array>} JSON-RPC results, one per request
+   */
+  async function send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const { results, endpoint } = await sendWithFailover(payload);
+
+    // Replace range rejections with the merged logs of smaller ranges
+    return Promise.all(results.map(async (result) => {
+      const request = payloads.find(item => item.id === result.id);
+      if (request && request.method === 'eth_getLogs' && result.error && isRangeError(result.error)) {
+        logger.debug(`eth_getLogs range rejected (${result.error.message}), splitting`, { chainId: chain.chainId, chain: chain.name });
+        return splitGetLogs(request, result, endpoint);
+      }
+      return result;
+    }));
+  }
+
+  /**
+   * Endpoint health for diagnostics
+   * @returns {Array} [{ name, weight, health, latencyMs, rate, available }]
+   */
+  function getStatus() {
+    const now = Date.now();
+    return endpoints.map(endpoint => ({
+      name: endpoint.name,
+      weight: endpoint.weight,
+      health: endpoint.health,
+      latencyMs: endpoint.latencyMs,
+      rate: endpoint.bucket.rate,
+      available: endpoint.isAvailable(now)
+    }));
+  }
+
+  return { send, endpoints, getStatus };
+}
+
+module.exports = {
+  createPool,
+  createTokenBucket,
+  isRateLimitError,
+  isTransientError,
+  isRangeError
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+
+/**
+ * Declarative chain/factory configuration.
+ * Every enabled factory on every chain gets its own collector pipeline.
+ * Set CHAINS_CONFIG to the path of a JSON file with the same shape to override.
+ * RPC URLs are referenced by environment variable name so secrets stay in .env.
+ * `rpcEndpoints` lists every HTTP endpoint for a chain: `weight` is its share of
+ * traffic and `requestsPerSecond` its rate limit (RPC_DEFAULT_RATE_LIMIT when unset).
+ * Endpoints whose URL isn't set are skipped; without the list, `rpcUrlEnv` is the only endpoint.
+ */
+
+// KOA factory event and deploy function (shared by both factory deployments)
+const KOA_TOKEN_CREATED_EVENT = 'event TokenCreated(address tokenAddress, uint256 positionId, address deployer, string name, string symbol, uint256 supply, address recipient, uint256 recipientAmount)';
+const KOA_DEPLOY_FUNCTION = 'function deployToken(string _name, string _symbol, uint256 _supply, int24 _initialTick, uint24 _fee, bytes32 _salt, address _deployer, address _recipient, uint256 _recipientAmount) payable returns (address tokenAddress, uint256 tokenId)';
+
+const DEFAULT_CHAINS = [
+  {
+    chainId: 8453,
+    name: 'base',
+    rpcUrlEnv: 'BASE_RPC_URL',
+    wsUrlEnv: 'BASE_WS_URL',
+    rpcEndpoints: [
+      { urlEnv: 'BASE_RPC_URL', weight: 3 },
+      { urlEnv: 'BASE_RPC_URL_FALLBACK', weight: 1 } // Failover and overflow
+    ],
+    geckoTerminalNetwork: 'base',
+    // Multicall3 (same address on every EVM chain); null = plain eth_calls
+    multicallAddress: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    rpcBatchSize: 50, // JSON-RPC requests per batch, 1 = no batching
+    // Uniswap V3 WETH/USDC 0.05% pool, used to convert WETH prices to USD
+    wethUsdReferencePool: '0xd0b53D9277642d899DF5C87A3966A349A798F224',
+    factories: [
+      {
+        name: 'koa',
+        address: '0x9bd7dCc13c532F37F65B0bF078C8f83E037e7445',
+        enabled: true,
+        deploymentBlock: null, // null = detect from contract code
+        event: KOA_TOKEN_CREATED_EVENT,
+        deployFunction: KOA_DEPLOY_FUNCTION
+      },
+      {
+        // Address previously used by the WebSocket monitor; enable once verified
+        name: 'koa-legacy',
+        address: '0xb51F74E6d8568119061f59Fd7f98824F1e666AC1',
+        enabled: false,
+        deploymentBlock: null,
+        event: KOA_TOKEN_CREATED_EVENT,
+        deployFunction: KOA_DEPLOY_FUNCTION
+      }
+    ],
+    // Pools are discovered from these factories' creation logs (see poolService for the types)
+    dexFactories: [
+      {
+        name: 'uniswap-v3',
+        type: 'uniswap-v3',
+        address: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD'
+      },
+      {
+        name: 'uniswap-v2',
+        type: 'uniswap-v2',
+        address: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
+        enabled: false
+      },
+      {
+        name: 'aerodrome',
+        type: 'aerodrome',
+        address: '0x420DD381b31aEf6683db6B902084cB0FFECe40Da',
+        enabled: false
+      },
+      {
+        name: 'aerodrome-slipstream',
+        type: 'aerodrome-cl',
+        address: '0x5e7BB104d84c7CB9B682AaC2F3d509f5F406809A',
+        enabled: false
+      }
+    ],
+    quoteTokens: [
+      { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH', decimals: 18 },
+      { address: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA', symbol: 'USDbC', decimals: 6, usdPegged: true },
+      { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', symbol: 'USDC', decimals: 6, usdPegged: true }
+    ]
+  }
+];
+
+/**
+ * Resolve a chain's RPC endpoints, dropping ones whose URL isn't configured.
+ * Endpoints are named after their env variable so URLs (and API keys) stay out of logs.
+ * @param {Object} chain - Raw chain configuration
+ * @returns {Array} [{ name, url, weight, requestsPerSecond }]
+ */
+function resolveRpcEndpoints(chain) {
+  const endpoints = chain.rpcEndpoints || [{ url: chain.rpcUrl, urlEnv: chain.rpcUrlEnv }];
+
+  return endpoints
+    .map((endpoint, i) => ({
+      name: endpoint.name || endpoint.urlEnv || `${chain.name}-rpc-${i + 1}`,
+      url: endpoint.url || process.env[endpoint.urlEnv],
+      weight: endpoint.weight || 1,
+      requestsPerSecond: endpoint.requestsPerSecond || null
+    }))
+    .filter(endpoint => endpoint.url);
+}
+
+/**
+ * Load the chain list from CHAINS_CONFIG or the defaults above,
+ * resolving RPC URLs and normalising addresses
+ * @returns {Array} Chain configurations
+ */
+function loadChains() {
+  const raw = process.env.CHAINS_CONFIG
+    ? JSON.parse(fs.readFileSync(process.env.CHAINS_CONFIG, 'utf8'))
+    : DEFAULT_CHAINS;
+
+  return raw.map(chain => ({
+    ...chain,
+    rpcUrl: chain.rpcUrl || process.env[chain.rpcUrlEnv],
+    rpcEndpoints: resolveRpcEndpoints(chain),
+    wsUrl: chain.wsUrl || process.env[chain.wsUrlEnv],
+    wethUsdReferencePool: chain.wethUsdReferencePool && chain.wethUsdReferencePool.toLowerCase(),
+    multicallAddress: chain.multicallAddress && chain.multicallAddress.toLowerCase(),
+    factories: (chain.factories || []).map(factory => ({
+      ...factory,
+      address: factory.address.toLowerCase(),
+      enabled: factory.enabled !== false
+    })),
+    dexFactories: (chain.dexFactories || []).map(dex => ({
+      ...dex,
+      address: dex.address.toLowerCase(),
+      enabled: dex.enabled !== false
+    })),
+    quoteTokens: (chain.quoteTokens || []).map(token => ({
+      ...token,
+      address: token.address.toLowerCase()
+    }))
+  }));
+}
+
+const chains = loadChains();
+
+/**
+ * Look up a chain by id
+ * @param {number} chainId - Chain id
+ * @returns {Object|undefined} Chain configuration
+ */
+function getChain(chainId) {
+  return chains.find(chain => chain.chainId === chainId);
+}
+
+/**
+ * List every enabled factory together with its chain
+ * @returns {Array<Object>} [{ chain, factory }]
+ */
+function getEnabledFactories() {
+  return chains.flatMap(chain =>
+    chain.factories
+      .filter(factory => factory.enabled)
+      .map(factory => ({ chain, factory }))
+  );
+}
+
+module.exports = {
+  chains,
+  getChain,
+  getEnabledFactories
+};
@@ -1,15 +1,109 @@
 module.exports = {
-    // Blockchain constants
-    FACTORY_ADDRESS: '0xb51F74E6d8568119061f59Fd7f98824F1e666AC1',
-    TOKEN_CREATED_EVENT: 'TokenCreated(address,uint256,address,string,string,uint256,address,uint256)',
+    // Chains, factories, DEXes and quote tokens live in chains.js
     
     // API endpoints
     GECKO_TERMINAL_API_URL: 'https://api.geckoterminal.com/api/v2',
     
+    // Price source: 'onchain' (DEX pool state, volumes from indexed swaps) or 'geckoterminal'
+    PRICE_SOURCE: 'onchain',
+    
     // Collection settings
     BATCH_SIZE: 30,
-    BLOCKCHAIN_SCAN_INTERVAL: '*/5 * * * *',  // Every 5 minutes
+    BLOCKCHAIN_SCAN_INTERVAL: '* * * * *',    // Every minute
     PRICE_UPDATE_INTERVAL: '*/2 * * * *',     // Every 2 minutes
+    CANDLE_ROLLUP_INTERVAL: '*/5 * * * *',    // Every 5 minutes
+    POOL_DISCOVERY_INTERVAL: '*/2 * * * *',   // Every 2 minutes
+    
+    // Candle retention per resolution in days (null = keep forever)
+    CANDLE_RETENTION_DAYS: {
+      '1m': 2,
+      '5m': 14,
+      '1h': 90,
+      '1d': null
+    },
+    
+    // WebSocket push feed
+    WS_PORT: 8081,
+    WS_REPLAY_SIZE: 100,                      // Recent events replayed on connect
+    
+    // Health, readiness and metrics endpoints
+    HEALTH_PORT: 9464,
+    READY_MAX_CURSOR_LAG_BLOCKS: 500,         // Token cursors further behind the head fail /readyz
+    READY_RPC_TIMEOUT_MS: 5000,               // Per-chain head lookup timeout for /readyz
+    
+    // Reorg protection
+    CONFIRMATION_BLOCKS: 10,                  // Scanner lags the chain head by this many blocks
+    REORG_CHECKPOINTS: 20,                    // Recent cursor block hashes kept for reorg detection
+    CURSOR_LEASE_TTL: 120000,                 // 2 minutes, renewed while a scan runs
+    
+    // Historical backfill (start block comes from each factory's deploymentBlock)
+    BACKFILL_THRESHOLD: 5000,                 // Live scanner hands off to backfill when further behind than this
+    
+    // Pool state refresh (the scheduler ticks often and only touches tokens that are due)
+    POOL_REFRESH_INTERVAL: '* * * * *',       // Every minute
+    POOL_REFRESH_TIERS: [                     // First tier covering the token's age wins
+      { name: 'hot', maxAgeHours: 24, intervalMinutes: 2 },
+      { name: 'warm', maxAgeHours: 168, intervalMinutes: 15 },
+      { name: 'cold', maxAgeHours: null, intervalMinutes: 360 }
+    ],
+    POOL_ACTIVE_WINDOW_MINUTES: 60,           // Tokens whose pools changed this recently refresh at the hot interval
+    POOL_RECHECK_MIN_MINUTES: 5,              // No-pool tokens are re-checked after a quarter of their age, within these bounds
+    POOL_RECHECK_MAX_MINUTES: 1440,
+    POOL_RECHECK_MAX_AGE_DAYS: 7,             // No-pool tokens older than this are left to log-driven discovery
+    POOL_CATCHUP_BATCH: 20,                   // Backfilled tokens per discovery run replayed from their creation block
+    LIQUIDITY_PULL_THRESHOLD: 0.5,            // Drop in a pool's quote reserve flagged as a liquidity pull
+    LIQUIDITY_HISTORY_RETENTION_DAYS: 90,
+    
+    // Swap indexing and trade stats
+    SWAP_INDEX_INTERVAL: '* * * * *',         // Every minute
+    TRADE_RETENTION_DAYS: 30,                 // Stats only look back 24 hours
+    
+    // Holder indexing
+    HOLDER_INDEX_INTERVAL: '* * * * *',       // Every minute
+    HOLDER_CATCHUP_BATCH: 20,                 // Tokens per run replayed from their creation block
+    
+    // Risk scoring (runs after pool discovery)
+    RISK_SCORE_MAX_AGE_HOURS: 168,            // Older tokens keep their last score
+    RISK_RESCORE_MINUTES: 60,                 // Unchanged tokens are rescored this often (deployer history moves on its own)
+    RISK_MIN_LIQUIDITY_USD: 10000,            // Pool reserves below this are flagged as thin
+    RISK_TOP10_SHARE_THRESHOLD: 0.5,          // Top-10 holder share flagged as concentrated
+    RISK_DEPLOYER_SHARE_THRESHOLD: 0.1,       // Deployer's retained share flagged as a dump risk
+    RISK_LEVELS: {                            // Minimum score per level (0-100, higher is riskier)
+      medium: 30,
+      high: 60
+    },
+    
+    // Alert rules and webhook delivery
+    ALERT_RETRY_INTERVAL: '* * * * *',        // Every minute
+    ALERT_DEFAULT_COOLDOWN_SECONDS: 3600,     // Per rule and token, for rules without their own cooldown
+    ALERT_WEBHOOK_TIMEOUT_MS: 10000,
+    ALERT_MAX_ATTEMPTS: 6,                    // Deliveries are marked failed after this many tries
+    ALERT_RETRY_BASE_SECONDS: 30,             // Doubles after every failed attempt
+    ALERT_RETENTION_DAYS: 30,
+    
+    // Deployer profiles
+    DEPLOYER_UPDATE_INTERVAL: '*/10 * * * *', // Every 10 minutes
+    SERIAL_LAUNCHER_WINDOW_HOURS: 24,         // Sliding window for counting launches
+    SERIAL_LAUNCHER_MIN_TOKENS: 5,            // Launches within the window that flag a serial launcher
+    
+    // Scheduled jobs (see jobRunner)
+    JOB_LOCK_TTL: 120000,                     // Cross-instance job lock, renewed while the job runs
+    JOB_RUN_RETENTION_DAYS: 14,               // JobRun history kept this long
+    
+    // Graceful shutdown
+    SHUTDOWN_DRAIN_TIMEOUT_MS: 25000,         // In-flight jobs get this long to finish their current chunk
+    SHUTDOWN_GRACE_MS: 5000,                  // Extra time for closing servers and the DB before a forced exit
+    
+    // RPC batching
+    MULTICALL_BATCH_SIZE: 100,                // Calls per Multicall3 aggregate3 (halved automatically on failure)
+    
+    // RPC endpoint pool (endpoints per chain live in chains.js)
+    RPC_REQUEST_TIMEOUT_MS: 30000,
+    RPC_MAX_RETRIES: 3,                       // Extra attempts on transport errors, each on another endpoint when possible
+    RPC_RETRY_BASE_MS: 250,                   // Retry backoff doubles per attempt, with full jitter
+    RPC_DEFAULT_RATE_LIMIT: 25,               // Requests per second per endpoint unless the endpoint sets its own
+    RPC_ENDPOINT_MAX_FAILURES: 3,             // Consecutive failures that take an endpoint out of rotation
+    RPC_ENDPOINT_COOLDOWN_MS: 30000,          // First time out of rotation; doubles on repeat, up to 10 minutes
     
     // Block range for event scanning
     BLOCKS_TO_SCAN: 50000
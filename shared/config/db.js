@@ -39,7 +39,16 @@ async function closeConnection() {
   }
 }
 
+/**
+ * Whether the shared connection is currently open
+ * @returns {boolean}
+ */
+function isConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
 module.exports = {
   connectToDatabase,
-  closeConnection
+  closeConnection,
+  isConnected
 };
\ No newline at end of file
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One triggered rule and its webhook delivery state
+const AlertSchema = new mongoose.Schema({
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: true
+  },
+  ruleName: String,
+  event: String,
+  chainId: Number,     // Chain of the event; cooldowns are per chain and subject
+  subject: {           // What the cooldown applies to: the token, or the deployer for deployer-only events
+    type: String,
+    lowercase: true
+  },
+  payload: mongoose.Schema.Types.Mixed, // Event data as delivered
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastError: String,
+  responseStatus: Number, // HTTP status of the last attempt
+  deliveredAt: Date,
+  // Set from ALERT_RETENTION_DAYS; unset means keep forever
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Define all indexes in one place
+AlertSchema.index({ ruleId: 1, chainId: 1, subject: 1, createdAt: -1 });
+AlertSchema.index({ status: 1, nextAttemptAt: 1 });
+AlertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Alert', AlertSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Collector events a rule can match (see blockchain-collector/utils/eventBus.js)
+const ALERT_EVENTS = ['token-created', 'pool-discovered', 'price-updated', 'liquidity-updated', 'liquidity-pulled', 'risk-level-changed'];
+
+const CONDITION_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'];
+
+// Alert rule evaluated by the collector against its events; edits take effect without a restart
+const AlertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  event: {
+    type: String,
+    required: true,
+    enum: ALERT_EVENTS
+  },
+  // All conditions must hold; `field` is a path into the event payload
+  // (e.g. { field: 'liquidityUsd', op: 'gte', value: 50000 })
+  conditions: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    op: {
+      type: String,
+      required: true,
+      enum: CONDITION_OPERATORS
+    },
+    value: mongoose.Schema.Types.Mixed
+  }],
+  webhookUrl: {
+    type: String,
+    required: true
+  },
+  secret: String,         // HMAC-SHA256 key for the X-Alert-Signature header; unsigned when unset
+  cooldownSeconds: Number, // Per token; unset means ALERT_DEFAULT_COOLDOWN_SECONDS
+  lastTriggeredAt: Date,
+  triggerCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Define all indexes in one place
+AlertRuleSchema.index({ enabled: 1, event: 1 });
+
+const AlertRule = mongoose.model('AlertRule', AlertRuleSchema);
+AlertRule.EVENTS = ALERT_EVENTS;
+AlertRule.OPERATORS = CONDITION_OPERATORS;
+
+module.exports = AlertRule;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const CollectorStateSchema = new mongoose.Schema({
+  // A cursor is identified by chain, factory and the log stream it follows
+  chainId: {
+    type: Number,
+    required: true
+  },
+  factoryAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  stream: {
+    type: String,
+    required: true,
+    default: 'tokens'
+  },
+  lastBlock: {
+    type: Number,
+    default: 0
+  },
+  // Recent cursor block hashes used to detect reorgs
+  checkpoints: [{
+    _id: false,
+    number: Number,
+    hash: String
+  }],
+  // Range rolled back by a reorg that still needs reconciling
+  pendingReorg: {
+    fromBlock: Number,
+    toBlock: Number
+  },
+  backfill: {
+    fromBlock: Number,
+    toBlock: Number,
+    completedRanges: [{
+      _id: false,
+      fromBlock: Number,
+      toBlock: Number
+    }],
+    status: { type: String, enum: ['running', 'complete'] },
+    startedAt: Date,
+    completedAt: Date
+  },
+  // Scan metadata
+  lastScan: {
+    fromBlock: Number,
+    toBlock: Number,
+    tokensFound: Number,
+    durationMs: Number,
+    finishedAt: Date,
+    error: String
+  },
+  // Only the lease owner may advance this cursor
+  lease: {
+    owner: String,
+    expiresAt: Date
+  }
+}, { timestamps: true });
+
+// Define all indexes in one place for clarity
+CollectorStateSchema.index({ chainId: 1, factoryAddress: 1, stream: 1 }, { unique: true });
+
+module.exports = mongoose.model('CollectorState', CollectorStateSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Per-deployer launch history, rebuilt by the collector from Token and TokenPrice
+const DeployerSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  tokenCount: Number,
+  tokensWithPool: Number,   // Tokens that got a DEX pool
+  firstLaunchAt: Date,
+  lastLaunchAt: Date,
+  avgLaunchIntervalSeconds: Number, // Mean time between launches (null with a single token)
+  minLaunchIntervalSeconds: Number, // Shortest time between two launches
+  // Sums over the deployer's tokens from TokenPrice
+  currentLiquidityUsd: Number,
+  currentFdvUsd: Number,
+  // Highest sums seen so far
+  peakLiquidityUsd: Number,
+  peakFdvUsd: Number,
+  // Most launches within SERIAL_LAUNCHER_WINDOW_HOURS
+  maxLaunchesInWindow: Number,
+  isSerialLauncher: { type: Boolean, default: false },
+  serialLauncherSince: Date,
+  last_updated: Date
+}, {
+  timestamps: true
+});
+
+// Define all indexes in one place
+DeployerSchema.index({ chainId: 1, address: 1 }, { unique: true });
+DeployerSchema.index({ address: 1 });
+DeployerSchema.index({ tokenCount: -1 });
+DeployerSchema.index({ lastLaunchAt: -1 });
+DeployerSchema.index({ isSerialLauncher: 1, lastLaunchAt: -1 });
+
+module.exports = mongoose.model('Deployer', DeployerSchema);
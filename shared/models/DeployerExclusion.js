@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Address that is never recorded as a deployer (routers, relayers, the zero address)
+const DeployerExclusionSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  reason: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DeployerExclusion', DeployerExclusionSchema);
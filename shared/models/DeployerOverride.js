@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Manually verified deployer for a token, matched by creating transaction or token address
+const DeployerOverrideSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  transactionHash: {
+    type: String,
+    lowercase: true
+  },
+  contractAddress: {
+    type: String,
+    lowercase: true
+  },
+  deployer: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  reason: String
+}, {
+  timestamps: true
+});
+
+// Define all indexes in one place
+// An override names either field, so uniqueness only applies where the field is set
+DeployerOverrideSchema.index(
+  { chainId: 1, transactionHash: 1 },
+  { unique: true, partialFilterExpression: { transactionHash: { $type: 'string' } } }
+);
+DeployerOverrideSchema.index(
+  { chainId: 1, contractAddress: 1 },
+  { unique: true, partialFilterExpression: { contractAddress: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('DeployerOverride', DeployerOverrideSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// One run of a scheduled job
+const JobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  runId: {
+    type: String,
+    required: true
+  },
+  instanceId: String,   // Collector instance that ran it
+  trigger: {
+    type: String,
+    enum: ['schedule', 'startup', 'manual']
+  },
+  status: {
+    type: String,
+    // abandoned: the instance died mid-run; interrupted: stopped early by a graceful shutdown
+    enum: ['running', 'succeeded', 'failed', 'abandoned', 'interrupted'],
+    default: 'running'
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  durationMs: Number,
+  counters: {           // Totals reported by the job (tokens, blocks, refreshed, ...)
+    type: Map,
+    of: Number
+  },
+  error: String,
+  // Set from JOB_RUN_RETENTION_DAYS; unset means keep forever
+  expiresAt: Date
+}, { timestamps: true });
+
+// Define all indexes in one place for clarity
+JobRunSchema.index({ runId: 1 }, { unique: true });
+JobRunSchema.index({ job: 1, startedAt: -1 });
+JobRunSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
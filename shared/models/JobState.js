@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Shared control state for one scheduled job: pause flag, cross-instance lock and last run
+const JobStateSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  pausedAt: Date,
+  // Only the lock owner may run the job
+  lock: {
+    owner: String,
+    runId: String,
+    expiresAt: Date
+  },
+  // Latest run, mirrored from JobRun
+  lastRunId: String,
+  lastStatus: String,
+  lastStartedAt: Date,
+  lastFinishedAt: Date
+}, { timestamps: true });
+
+// Define all indexes in one place for clarity
+JobStateSchema.index({ job: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobState', JobStateSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One record per refresh that saw a pool's state change
+const PoolLiquiditySchema = new mongoose.Schema({
+  chainId: Number,
+  contractAddress: {   // Tracked token in the pool
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  poolAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  dex: String,
+  // Pool state (uints as strings to handle large numbers)
+  liquidity: String,
+  sqrtPriceX96: String,
+  tick: Number,
+  tokenReserve: String,
+  quoteReserve: String,
+  quoteReserveChange: Number, // Fractional change in quoteReserve since the previous record (-1 = emptied)
+  liquidityPulled: {          // quoteReserve fell by at least LIQUIDITY_PULL_THRESHOLD
+    type: Boolean,
+    default: false
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // Set from LIQUIDITY_HISTORY_RETENTION_DAYS; unset means keep forever
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Define all indexes in one place
+PoolLiquiditySchema.index({ contractAddress: 1, timestamp: -1 });
+PoolLiquiditySchema.index({ poolAddress: 1, timestamp: -1 });
+PoolLiquiditySchema.index({ liquidityPulled: 1, timestamp: -1 });
+PoolLiquiditySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PoolLiquidity', PoolLiquiditySchema);
@@ -4,33 +4,112 @@ const TokenSchema = new mongoose.Schema({
   contractAddress: { 
     type: String, 
     required: true, 
-    unique: true,
     lowercase: true,
   },
   name: String,
   symbol: String,
-  decimals: Number,
-  createdAt: Date,
+  decimals: Number,    // Read from the ERC-20 contract
+  totalSupply: String, // Raw ERC-20 totalSupply() at creation, as string to handle large numbers
+  createdAt: Date,     // Timestamp of the block that created the token
   deployer: String,
+  deployerStrategy: String, // Resolution strategy that produced `deployer` (see deployerService)
   blockNumber: Number, // Add this field to store the block number
-  // V3 Pool information
+  transactionHash: String,
+  logIndex: Number,    // Position of the TokenCreated log in its block
+  // Remaining TokenCreated event fields (uint256s as strings)
+  positionId: String,
+  eventDeployer: {     // `deployer` as emitted by the factory, which may be a router
+    type: String,
+    lowercase: true
+  },
+  supply: String,
+  recipient: {
+    type: String,
+    lowercase: true
+  },
+  recipientAmount: String,
+  chainId: Number,     // Chain the token lives on (see shared/config/chains.js)
+  factoryAddress: {    // Factory that emitted TokenCreated
+    type: String,
+    lowercase: true
+  },
+  // Pool information (every DEX in chains.js, despite the name)
   v3Pools: [{
     address: String,
+    dex: String,       // DEX factory name from chains.js (e.g., uniswap-v3, aerodrome)
+    dexType: String,   // Pool type (uniswap-v3, uniswap-v2, aerodrome, aerodrome-cl); unset means uniswap-v3
     pairWith: String,  // Address of the paired token (e.g., WETH, USDC)
     pairSymbol: String, // Symbol of the paired token
     fee: Number,       // Pool fee tier (e.g., 0.3%, 1%)
-    liquidity: String  // Current liquidity as string to handle large numbers
+    tickSpacing: Number, // Concentrated liquidity pools only
+    stable: Boolean,   // Aerodrome stable pools
+    blockNumber: Number, // Block the pool was created in
+    // Latest state from poolRefreshService (uints as strings to handle large numbers)
+    liquidity: String,   // In-range liquidity (concentrated liquidity pools only)
+    sqrtPriceX96: String, // Concentrated liquidity pools only
+    tick: Number,        // Concentrated liquidity pools only
+    tokenReserve: String, // Token balance held by the pool
+    quoteReserve: String, // Paired token balance held by the pool
+    refreshedAt: Date
+  }],
+  hasV3Pool: { type: Boolean, default: false },
+  // Pool refresh scheduling (see poolRefreshService)
+  poolRefreshTier: String,   // Tier from POOL_REFRESH_TIERS, or 'active' after a recent change
+  nextPoolRefreshAt: Date,   // When pool state is next due for a refresh
+  lastPoolChangeAt: Date,    // Last refresh that saw pool state move
+  poolCheckedBlock: Number,  // No-pool tokens: last block re-checked for pool creation
+  nextPoolCheckAt: Date,     // No-pool tokens: when the next re-check is due
+  poolCatchUp: Boolean,      // Stored by a backfill behind the pool cursors; pool logs not yet replayed
+  // Holder stats from Transfer logs (see holderService)
+  holdersTracked: { type: Boolean, default: false }, // Transfers indexed from the token's creation block
+  holderCount: Number,       // Addresses with a non-zero balance
+  top10HolderShare: Number,  // Share of supply held by the 10 largest holders, excluding pools and burn addresses
+  deployerShare: Number,     // Share of supply still held by the deployer
+  holdersUpdatedAt: Date,
+  // Risk score from riskService (0-100, higher is riskier)
+  riskScore: Number,
+  riskLevel: String,         // low, medium or high (see RISK_LEVELS)
+  riskSignals: [{            // Per-signal breakdown; points sum to riskScore (capped at 100)
+    _id: false,
+    name: String,
+    points: Number,
+    value: mongoose.Schema.Types.Mixed, // Raw input, null when not known yet
+    detail: String
   }],
-  hasV3Pool: { type: Boolean, default: false }
+  riskUpdatedAt: Date,
+  // Bytecode checks, read once per token
+  codeFlags: {
+    hasOwner: Boolean,
+    mintable: Boolean,
+    blacklist: Boolean,
+    pausable: Boolean,
+    upgradeable: Boolean,    // EIP-1967 proxy
+    checkedAt: Date
+  }
 }, { timestamps: true });
 
 // Define all indexes in one place for clarity
 TokenSchema.index({ contractAddress: 1 });
+// Unique per chain: the same address can be deployed on several chains
+TokenSchema.index({ chainId: 1, contractAddress: 1 }, { unique: true });
 // Add any other indexes you need, like text search on name and symbol
 TokenSchema.index({ symbol: 'text', name: 'text' });
 // Add an index on createdAt for sorting
 TokenSchema.index({ createdAt: -1 });
 // Add an index on blockNumber for querying by block
 TokenSchema.index({ blockNumber: 1 });
+// Add an index for per-chain/per-factory pipelines
+TokenSchema.index({ chainId: 1, factoryAddress: 1, blockNumber: 1 });
+// Add an index for looking tokens up by creating transaction
+TokenSchema.index({ transactionHash: 1, logIndex: 1 });
+// Add indexes for the pool refresh and no-pool re-check schedulers
+TokenSchema.index({ chainId: 1, hasV3Pool: 1, nextPoolRefreshAt: 1 });
+TokenSchema.index({ chainId: 1, hasV3Pool: 1, nextPoolCheckAt: 1 });
+// Add an index for the pool catch-up of backfilled tokens
+TokenSchema.index({ chainId: 1, poolCatchUp: 1, blockNumber: -1 });
+// Add an index for the holder indexer's per-factory token sets
+TokenSchema.index({ chainId: 1, factoryAddress: 1, holdersTracked: 1 });
+// Add an index for filtering tokens by risk level
+TokenSchema.index({ riskLevel: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Token', TokenSchema);
\ No newline at end of file
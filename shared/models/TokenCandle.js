@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const CANDLE_RESOLUTIONS = ['1m', '5m', '1h', '1d'];
+
+const TokenCandleSchema = new mongoose.Schema({
+  chainId: Number,     // Chain the token lives on
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  resolution: {
+    type: String,
+    required: true,
+    enum: CANDLE_RESOLUTIONS
+  },
+  bucketStart: {
+    type: Date,
+    required: true
+  },
+  open: Number,
+  high: Number,
+  low: Number,
+  close: Number,
+  volume_usd: {
+    type: Number,
+    default: 0
+  },
+  trades: {
+    type: Number,
+    default: 0
+  },
+  liquidity_usd: {
+    type: Number,
+    default: 0
+  },
+  // Set per resolution from CANDLE_RETENTION_DAYS; unset means keep forever
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Define all indexes in one place
+// Unique per chain: the same address can be deployed on several chains
+TokenCandleSchema.index({ chainId: 1, contractAddress: 1, resolution: 1, bucketStart: 1 }, { unique: true });
+TokenCandleSchema.index({ resolution: 1, bucketStart: 1 });
+TokenCandleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TokenCandle = mongoose.model('TokenCandle', TokenCandleSchema);
+TokenCandle.RESOLUTIONS = CANDLE_RESOLUTIONS;
+
+module.exports = TokenCandle;
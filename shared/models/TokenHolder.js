@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Balance of one address in one tracked token, rebuilt from Transfer logs
+const TokenHolderSchema = new mongoose.Schema({
+  chainId: Number,
+  contractAddress: {   // Tracked token
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  address: {           // Holder
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  balance: {           // Raw balance as string to handle large numbers
+    type: String,
+    default: '0'
+  },
+  balanceValue: {      // Approximate balance as a double, for sorting and counting
+    type: Number,
+    default: 0
+  },
+  // Position of the last Transfer applied, so re-scanned ranges are never counted twice
+  lastBlock: Number,
+  lastLogIndex: Number
+}, {
+  timestamps: true
+});
+
+// Define all indexes in one place
+// The same token address can exist on several chains
+TokenHolderSchema.index({ chainId: 1, contractAddress: 1, address: 1 }, { unique: true });
+TokenHolderSchema.index({ chainId: 1, contractAddress: 1, balanceValue: -1 });
+TokenHolderSchema.index({ address: 1 });
+
+module.exports = mongoose.model('TokenHolder', TokenHolderSchema);
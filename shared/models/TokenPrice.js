@@ -4,9 +4,12 @@ const TokenPriceSchema = new mongoose.Schema({
   contractAddress: {
     type: String,
     required: true,
-    unique: true,
-    lowercase: true,
-    // Removed // index: true removed if it was here
+    lowercase: true
+  },
+  chainId: Number,
+  factoryAddress: {
+    type: String,
+    lowercase: true
   },
   price_usd: {
     type: Number,
@@ -29,6 +32,17 @@ const TokenPriceSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Trade counts and unique traders from indexed swaps (see swapService)
+  buys_h1: Number,
+  sells_h1: Number,
+  traders_h1: Number,
+  buys_h6: Number,
+  sells_h6: Number,
+  traders_h6: Number,
+  buys_h24: Number,
+  sells_h24: Number,
+  traders_h24: Number,
+  trade_stats_updated: Date,
   // Fields for pool data
   pool_address: {
     type: String,
@@ -49,6 +63,8 @@ const TokenPriceSchema = new mongoose.Schema({
 
 // Define all indexes in one place
 TokenPriceSchema.index({ contractAddress: 1 });
+// Unique per chain: the same address can be deployed on several chains
+TokenPriceSchema.index({ chainId: 1, contractAddress: 1 }, { unique: true });
 TokenPriceSchema.index({ volume_usd: -1 });
 TokenPriceSchema.index({ price_usd: -1 });
 
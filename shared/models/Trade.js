@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// One swap seen from the side of a tracked token (a pool of two tracked tokens yields two trades)
+const TradeSchema = new mongoose.Schema({
+  chainId: Number,
+  contractAddress: {   // Tracked token traded
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  poolAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  dex: String,
+  side: {              // From the token's point of view: 'buy' = token left the pool
+    type: String,
+    enum: ['buy', 'sell'],
+    required: true
+  },
+  // Raw amounts as strings to handle large numbers
+  tokenAmount: String,
+  quoteAmount: String,
+  quoteAddress: {      // Token on the other side of the pool
+    type: String,
+    lowercase: true
+  },
+  quoteSymbol: String,
+  priceUsd: Number,    // Token price implied by this trade (null for unsupported quote tokens)
+  valueUsd: Number,    // Quote side in USD (null for unsupported quote tokens)
+  trader: {            // Transaction sender
+    type: String,
+    lowercase: true
+  },
+  recipient: {         // Swap recipient as emitted by the pool (often a router)
+    type: String,
+    lowercase: true
+  },
+  transactionHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  blockNumber: Number,
+  timestamp: {         // Block time
+    type: Date,
+    required: true
+  },
+  // Set from TRADE_RETENTION_DAYS; unset means keep forever
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Define all indexes in one place
+TradeSchema.index({ transactionHash: 1, logIndex: 1, contractAddress: 1 }, { unique: true });
+TradeSchema.index({ contractAddress: 1, timestamp: -1 });
+TradeSchema.index({ chainId: 1, timestamp: -1 });
+TradeSchema.index({ trader: 1, timestamp: -1 });
+TradeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Trade', TradeSchema);
@@ -1,11 +1,242 @@
-// simple-logger.js
-function createLogger() {
+// shared/utils/logger.js
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Lower is more severe; a line is written when its level is at or below LOG_LEVEL
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+// Fields every line carries, in this order
+const STANDARD_FIELDS = ['timestamp', 'level', 'service', 'message', 'error'];
+
+const DEFAULT_LEVEL = 'info';
+const DEFAULT_MAX_FILE_BYTES = 10 * 1024 * 1024; // 10 MB
+const DEFAULT_MAX_FILES = 5;
+
+// Context bound to the current async call chain (job name, run id, ...)
+const contextStorage = new AsyncLocalStorage();
+
+let fileSink = null;
+
+/**
+ * Resolve the configured level. LOG_LEVEL is read on every line so tests and
+ * entry points can change it after the logger has been required.
+ * @returns {number} Numeric level
+ */
+function getThreshold() {
+  const level = (process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+  return LEVELS[level] !== undefined ? LEVELS[level] : LEVELS[DEFAULT_LEVEL];
+}
+
+/**
+ * Serialize an Error, keeping its own enumerable fields (code, status, ...) and cause
+ * @param {Error} error - Error to serialize
+ * @returns {Object}
+ */
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+    stack: error.stack
+  };
+
+  for (const [key, value] of Object.entries(error)) {
+    if (serialized[key] === undefined && typeof value !== 'function') {
+      serialized[key] = value;
+    }
+  }
+
+  if (error.cause instanceof Error) {
+    serialized.cause = serializeError(error.cause);
+  }
+
+  return serialized;
+}
+
+/**
+ * JSON.stringify that survives bigints and circular references
+ * @param {Object} entry - Log entry
+ * @returns {string}
+ */
+function stringify(entry) {
+  const seen = new WeakSet();
+  return JSON.stringify(entry, (key, value) => {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Error) return serializeError(value);
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) return '[Circular]';
+      seen.add(value);
+    }
+    return value;
+  });
+}
+
+/**
+ * Render an entry for LOG_FORMAT=text (local development)
+ * @param {Object} entry - Log entry
+ * @returns {string}
+ */
+function formatText(entry) {
+  const { timestamp, level, service, message, error, ...fields } = entry;
+  const context = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? stringify(value) : value}`)
+    .join(' ');
+
+  let line = `${timestamp} [${level.toUpperCase()}]${service ? ` ${service}` : ''} ${message}`;
+  if (context) line += ` (${context})`;
+  if (error) line += `\n${error.stack || `${error.name}: ${error.message}`}`;
+  return line;
+}
+
+/**
+ * Size-rotated log file: app.log is renamed to app.log.1, app.log.1 to app.log.2, ...
+ * and the oldest beyond LOG_FILE_MAX_FILES is deleted
+ * @param {string} filePath - Log file path
+ * @returns {Object} { write }
+ */
+function createFileSink(filePath) {
+  const maxBytes = parseInt(process.env.LOG_FILE_MAX_BYTES, 10) || DEFAULT_MAX_FILE_BYTES;
+  const maxFiles = parseInt(process.env.LOG_FILE_MAX_FILES, 10) || DEFAULT_MAX_FILES;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Opened synchronously so the file exists before the first rotation renames it
+  const open = () => fs.createWriteStream(null, { fd: fs.openSync(filePath, 'a') });
+
+  let size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  let stream = open();
+
+  function rotate() {
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      const from = i === 1 ? filePath : `${filePath}.${i - 1}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${filePath}.${i}`);
+    }
+
+    // The old stream keeps its descriptor, so buffered lines land in the renamed file
+    stream.end();
+    stream = open();
+    size = 0;
+  }
+
+  return {
+    write(line) {
+      const bytes = Buffer.byteLength(line) + 1;
+      if (size > 0 && size + bytes > maxBytes) {
+        try {
+          rotate();
+        } catch (error) {
+          process.stderr.write(`Log rotation failed: ${error.message}\n`);
+        }
+      }
+      stream.write(`${line}\n`);
+      size += bytes;
+    }
+  };
+}
+
+/**
+ * File sink for LOG_FILE, opened on first use
+ * @returns {Object|null}
+ */
+function getFileSink() {
+  if (!process.env.LOG_FILE) return null;
+
+  if (!fileSink || fileSink.path !== process.env.LOG_FILE) {
+    try {
+      fileSink = { path: process.env.LOG_FILE, ...createFileSink(process.env.LOG_FILE) };
+    } catch (error) {
+      process.stderr.write(`Could not open log file ${process.env.LOG_FILE}: ${error.message}\n`);
+      fileSink = { path: process.env.LOG_FILE, write: () => {} };
+    }
+  }
+
+  return fileSink;
+}
+
+/**
+ * Build and write one log line. Extra arguments may be Errors (serialized under
+ * `error`), plain objects (merged in as context fields) or anything else
+ * (appended to the message).
+ * @param {string} level - Level name
+ * @param {Object} bound - Context bound by child()
+ * @param {string} message - Log message
+ * @param {Array} args - Extra arguments
+ */
+function write(level, bound, message, args) {
+  if (LEVELS[level] > getThreshold()) return;
+
+  const fields = { ...contextStorage.getStore(), ...bound };
+  const extra = [];
+  let error;
+
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      error = serializeError(arg);
+    } else if (arg && typeof arg === 'object' && !Array.isArray(arg)) {
+      Object.assign(fields, arg);
+    } else if (arg !== undefined) {
+      extra.push(typeof arg === 'string' ? arg : stringify(arg));
+    }
+  }
+
+  // Context fields can't overwrite the standard ones
+  STANDARD_FIELDS.forEach(field => delete fields[field]);
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    service: process.env.SERVICE_NAME,
+    message: extra.length > 0 ? `${message} ${extra.join(' ')}` : String(message),
+    ...fields
+  };
+  if (error) entry.error = error;
+
+  const line = process.env.LOG_FORMAT === 'text' ? formatText(entry) : stringify(entry);
+
+  if (LEVELS[level] <= LEVELS.warn) {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+
+  // Files always get JSON lines, whatever the console format
+  const sink = getFileSink();
+  if (sink) sink.write(process.env.LOG_FORMAT === 'text' ? stringify(entry) : line);
+}
+
+/**
+ * Create a logger with fields bound to every line it writes
+ * @param {Object} bound - Context fields
+ * @returns {Object} Logger
+ */
+function createLogger(bound = {}) {
   return {
-    info: (message, ...args) => console.log(`[INFO] ${message}`, ...args),
-    warn: (message, ...args) => console.warn(`[WARNING] ${message}`, ...args),
-    error: (message, ...args) => console.error(`[ERROR] ${message}`, ...args),
-    debug: (message, ...args) => console.log(`[DEBUG] ${message}`, ...args)
+    error: (message, ...args) => write('error', bound, message, args),
+    warn: (message, ...args) => write('warn', bound, message, args),
+    info: (message, ...args) => write('info', bound, message, args),
+    debug: (message, ...args) => write('debug', bound, message, args),
+
+    /**
+     * Logger for one job or component, e.g. logger.child({ job: 'indexSwaps', chainId })
+     * @param {Object} context - Fields added to every line
+     * @returns {Object} Logger
+     */
+    child: context => createLogger({ ...bound, ...context }),
+
+    /**
+     * Run a function with context fields attached to every line logged during
+     * it, including from services it calls (e.g. a job run id)
+     * @param {Object} context - Fields added to every line
+     * @param {Function} fn - Function to run
+     * @returns {*} The function's return value
+     */
+    withContext: (context, fn) => contextStorage.run({ ...contextStorage.getStore(), ...context }, fn)
   };
 }
 
-module.exports = createLogger();
\ No newline at end of file
+module.exports = createLogger();